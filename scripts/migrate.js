@@ -0,0 +1,50 @@
+// Usage: node scripts/migrate.js up|down [steps]|status
+require('dotenv').config();
+
+const { connectDatabase, closeDatabase } = require('../src/config/database');
+const { runMigrations, rollbackMigrations, getMigrationStatus } = require('../src/config/migrator');
+
+const usage = () => {
+  console.log('Usage: node scripts/migrate.js <command>');
+  console.log('');
+  console.log('Commands:');
+  console.log('  up            Apply all pending migrations');
+  console.log('  down [steps]  Revert the last applied migration(s), default 1');
+  console.log('  status        List migrations and whether they are applied');
+};
+
+const main = async () => {
+  const [command, arg] = process.argv.slice(2);
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = await connectDatabase();
+
+  try {
+    if (command === 'up') {
+      const applied = await runMigrations(db);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Nothing to migrate');
+    } else if (command === 'down') {
+      const steps = parseInt(arg) || 1;
+      const reverted = await rollbackMigrations(db, steps);
+      console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+    } else {
+      const status = await getMigrationStatus(db);
+      status.forEach(migration => {
+        const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+        console.log(`${migration.applied ? '✓' : ' '} ${migration.name} (${state})`);
+      });
+    }
+  } finally {
+    await closeDatabase();
+  }
+};
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
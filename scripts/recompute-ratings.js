@@ -0,0 +1,33 @@
+// Usage: node scripts/recompute-ratings.js [--dry-run]
+// Rebuilds the denormalised rating aggregates on books from the reviews table.
+require('dotenv').config();
+
+const { connectDatabase, closeDatabase } = require('../src/config/database');
+const { findRatingDrift, recomputeRatingAggregates } = require('../src/services/ratingService');
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const db = await connectDatabase();
+
+  try {
+    const drifted = await findRatingDrift(db);
+    drifted.forEach(book => {
+      console.log(`#${book.bookId} ${book.title}: stored ${JSON.stringify(book.stored)}, actual ${JSON.stringify(book.actual)}`);
+    });
+
+    if (dryRun) {
+      console.log(`${drifted.length} book(s) have drifted aggregates`);
+      return;
+    }
+
+    const result = await recomputeRatingAggregates(db);
+    console.log(`Checked ${result.checked} book(s), repaired ${result.repaired}`);
+  } finally {
+    await closeDatabase();
+  }
+};
+
+main().catch(error => {
+  console.error('Recompute failed:', error);
+  process.exit(1);
+});
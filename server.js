@@ -36,8 +36,13 @@ app.get('/api/health', (req, res) => {
 // Routes
 app.use('/api/auth', require('./src/routes/authRoutes'));
 app.use('/api/books', require('./src/routes/bookRoutes'));
+app.use('/api/authors', require('./src/routes/authorRoutes'));
+app.use('/api/genres', require('./src/routes/genreRoutes'));
+app.use('/api/tags', require('./src/routes/tagRoutes'));
 app.use('/api/reviews', require('./src/routes/reviewRoutes'));
 app.use('/api/users', require('./src/routes/userRoutes'));
+app.use('/api/roles', require('./src/routes/roleRoutes'));
+app.use('/api/content-filter', require('./src/routes/contentFilterRoutes'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
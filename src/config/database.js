@@ -1,4 +1,5 @@
 const mysql = require('mysql2/promise');
+const { runMigrations } = require('./migrator');
 
 let db;
 
@@ -9,7 +10,23 @@ const getDB = () => {
   return db;
 };
 
-const initDatabase = async () => {
+// Run a callback inside a transaction on a dedicated pool connection
+const withTransaction = async (callback) => {
+  const connection = await getDB().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await callback(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const connectDatabase = async () => {
   try {
     console.log('Attempting to connect to Hostinger MySQL database...');
     console.log('DB Host:', process.env.DB_HOST);
@@ -58,12 +75,7 @@ const initDatabase = async () => {
     
     console.log('Connected to Hostinger MySQL database successfully');
     
-    // Create tables if they don't exist
-    await createTables();
-    
-    // Insert demo data if needed
-    await insertDemoData();
-    
+    return db;
   } catch (error) {
     console.error('Hostinger database connection failed:', error);
     console.error('Error details:', {
@@ -80,73 +92,20 @@ const initDatabase = async () => {
   }
 };
 
-const createTables = async () => {
-  try {
-    console.log('Creating/verifying tables in Hostinger database...');
-    
-    // Users table
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        username VARCHAR(255) NOT NULL UNIQUE,
-        email VARCHAR(255) NOT NULL UNIQUE,
-        password VARCHAR(255) NOT NULL,
-        role ENUM('user', 'admin') DEFAULT 'user',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_email (email),
-        INDEX idx_username (username),
-        INDEX idx_role (role)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-    `);
-    console.log('✓ Users table created/verified');
+const initDatabase = async () => {
+  await connectDatabase();
 
-    // Books table
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS books (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        title VARCHAR(255) NOT NULL,
-        author VARCHAR(255) NOT NULL,
-        description TEXT,
-        isbn VARCHAR(20) UNIQUE,
-        published_date DATE,
-        genre VARCHAR(100),
-        cover_image VARCHAR(500),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_title (title),
-        INDEX idx_author (author),
-        INDEX idx_genre (genre),
-        INDEX idx_isbn (isbn),
-        INDEX idx_published_date (published_date)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-    `);
-    console.log('✓ Books table created/verified');
+  // Apply any pending schema migrations
+  await runMigrations(db);
 
-    // Reviews table
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS reviews (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        user_id INT NOT NULL,
-        book_id INT NOT NULL,
-        rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
-        comment TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
-        UNIQUE KEY unique_user_book (user_id, book_id),
-        INDEX idx_user_id (user_id),
-        INDEX idx_book_id (book_id),
-        INDEX idx_rating (rating)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-    `);
-    console.log('✓ Reviews table created/verified');
-    
-    console.log('All tables created/verified successfully in Hostinger database');
-  } catch (error) {
-    console.error('Error creating tables in Hostinger database:', error);
-    throw error;
+  // Insert demo data if needed
+  await insertDemoData();
+};
+
+const closeDatabase = async () => {
+  if (db) {
+    await db.end();
+    db = null;
   }
 };
 
@@ -165,7 +124,7 @@ const insertDemoData = async () => {
       const hashedPassword = await bcrypt.hash('admin123', 10);
       
       await db.execute(
-        'INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)',
+        'INSERT INTO users (username, email, password, role, email_verified_at) VALUES (?, ?, ?, ?, NOW())',
         ['admin', 'admin@bookreviews.com', hashedPassword, 'admin']
       );
       console.log('✓ Demo admin user created');
@@ -212,6 +171,9 @@ const insertDemoData = async () => {
 };
 
 module.exports = {
+  connectDatabase,
   initDatabase,
-  getDB
+  closeDatabase,
+  getDB,
+  withTransaction
 };
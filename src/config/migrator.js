@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_NAME = 'book_review_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.MIGRATION_LOCK_TIMEOUT) || 60;
+
+// Migration files are named NNN_description.js and export async up(db) / down(db).
+// A migration must do the same thing whenever it is replayed, so it never requires
+// application code (services, utils). Logic it needs is copied into the migration, or into
+// migrations/helpers/ when several share it; a helper is never changed once a migration
+// uses it, so new rules go into a new helper instead.
+const loadMigrations = () => {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort((a, b) => parseInt(a) - parseInt(b));
+
+  const seen = new Set();
+  return files.map(file => {
+    const version = file.split('_')[0];
+    if (seen.has(version)) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+    seen.add(version);
+
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+
+    return {
+      version,
+      name: file.replace(/\.js$/, ''),
+      up: migration.up,
+      down: migration.down
+    };
+  });
+};
+
+const ensureMigrationsTable = async (connection) => {
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+const getAppliedVersions = async (connection) => {
+  const [rows] = await connection.execute(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY CAST(version AS UNSIGNED) ASC'
+  );
+  return rows;
+};
+
+// Holds a MySQL advisory lock so concurrently booting instances migrate one at a time
+const withMigrationLock = async (db, callback) => {
+  const connection = await db.getConnection();
+  try {
+    const [lockResult] = await connection.execute(
+      'SELECT GET_LOCK(?, ?) as acquired',
+      [LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+    );
+
+    if (lockResult[0].acquired !== 1) {
+      throw new Error(`Could not acquire migration lock within ${LOCK_TIMEOUT_SECONDS}s`);
+    }
+
+    try {
+      await ensureMigrationsTable(connection);
+      return await callback(connection);
+    } finally {
+      await connection.execute('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+const runMigrations = async (db) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(db, async (connection) => {
+    const applied = new Set((await getAppliedVersions(connection)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    if (pending.length === 0) {
+      console.log('✓ Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      console.log(`Applying migration ${migration.name}...`);
+      await migration.up(connection);
+      await connection.execute(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      console.log(`✓ Migration ${migration.name} applied`);
+    }
+
+    return pending.map(migration => migration.name);
+  });
+};
+
+const rollbackMigrations = async (db, steps = 1) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(db, async (connection) => {
+    const applied = await getAppliedVersions(connection);
+    const toRollback = applied.slice(-steps).reverse();
+    const rolledBack = [];
+
+    for (const row of toRollback) {
+      const migration = migrations.find(m => m.version === row.version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${row.version} (${row.name}) not found`);
+      }
+
+      console.log(`Reverting migration ${migration.name}...`);
+      await migration.down(connection);
+      await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      console.log(`✓ Migration ${migration.name} reverted`);
+      rolledBack.push(migration.name);
+    }
+
+    return rolledBack;
+  });
+};
+
+const getMigrationStatus = async (db) => {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(db, async (connection) => {
+    const applied = await getAppliedVersions(connection);
+
+    return migrations.map(migration => {
+      const row = applied.find(a => a.version === migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        applied_at: row ? row.applied_at.toISOString() : null
+      };
+    });
+  });
+};
+
+module.exports = {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus
+};
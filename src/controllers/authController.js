@@ -1,6 +1,14 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { getDB } = require('../config/database');
+const {
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/tokenService');
+const { createUserToken, consumeUserToken } = require('../services/userTokenService');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/mailService');
 
 // Demo users for testing
 const demoUsers = {
@@ -18,15 +26,21 @@ const demoUsers = {
   }
 };
 
+const sessionMeta = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ip: req.ip
+});
+
 const register = async (req, res) => {
   try {
-    const { username, email, password, role = 'user' } = req.body;
+    const { username, email, password } = req.body;
     
     if (!username || !email || !password) {
       return res.status(400).json({ error: 'All fields are required' });
     }
 
-    const userRole = role === 'admin' ? 'admin' : 'user';
+    // New accounts always start as plain users; roles change through PUT /api/users/:id/role
+    const userRole = 'user';
     const hashedPassword = await bcrypt.hash(password, 10);
     
     const db = getDB();
@@ -35,16 +49,23 @@ const register = async (req, res) => {
       [username, email, hashedPassword, userRole]
     );
 
-    const token = jwt.sign(
-      { userId: result.insertId, username, role: userRole },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '24h' }
+    const tokens = await createSession(
+      { id: result.insertId, username, role: userRole, token_version: 0 },
+      sessionMeta(req)
     );
 
+    // A mail failure should not fail the signup; the user can request another link
+    try {
+      const { token } = await createUserToken(result.insertId, 'email_verification');
+      await sendVerificationEmail({ username, email }, token);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
     res.status(201).json({
       message: 'User created successfully',
-      token,
-      user: { id: result.insertId, username, email, role: userRole }
+      ...tokens,
+      user: { id: result.insertId, username, email, role: userRole, email_verified: false }
     });
   } catch (error) {
     if (error.code === 'ER_DUP_ENTRY') {
@@ -75,15 +96,17 @@ const login = async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '24h' }
-    );
+    const tokens = await createSession(user, sessionMeta(req));
 
     res.json({
-      token,
-      user: { id: user.id, username: user.username, email: user.email, role: user.role }
+      ...tokens,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        email_verified: Boolean(user.email_verified_at)
+      }
     });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
@@ -110,7 +133,7 @@ const demoLogin = async (req, res) => {
     if (users.length === 0) {
       const hashedPassword = await bcrypt.hash(demoUser.password, 10);
       const [result] = await db.execute(
-        'INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)',
+        'INSERT INTO users (username, email, password, role, email_verified_at) VALUES (?, ?, ?, ?, NOW())',
         [demoUser.username, demoUser.email, hashedPassword, demoUser.role]
       );
       user = { id: result.insertId, ...demoUser };
@@ -118,14 +141,10 @@ const demoLogin = async (req, res) => {
       user = users[0];
     }
 
-    const token = jwt.sign(
-      { userId: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '24h' }
-    );
+    const tokens = await createSession(user, sessionMeta(req));
 
     res.json({
-      token,
+      ...tokens,
       user: { id: user.id, username: user.username, email: user.email, role: user.role }
     });
   } catch (error) {
@@ -133,4 +152,198 @@ const demoLogin = async (req, res) => {
   }
 };
 
-module.exports = { register, login, demoLogin };
\ No newline at end of file
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, sessionMeta(req));
+
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const { user, ...tokenPair } = tokens;
+
+    res.json({
+      ...tokenPair,
+      user: { id: user.id, username: user.username, role: user.role }
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    let sessionId = null;
+
+    // Prefer the refresh token so clients can log out with an expired access token
+    if (refreshToken) {
+      const session = await findSessionByRefreshToken(refreshToken);
+      sessionId = session ? session.session_id : null;
+    } else if (req.user) {
+      sessionId = req.user.sid;
+    } else {
+      return res.status(400).json({ error: 'Refresh token or access token is required' });
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+
+    res.json({ message: 'Logged out of all sessions successfully' });
+  } catch (error) {
+    console.error('Error logging out all sessions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const db = getDB();
+    const [users] = await db.execute(
+      'SELECT id, username, email FROM users WHERE email = ?',
+      [email]
+    );
+
+    // Same response whether or not the account exists, so emails can't be enumerated.
+    // A failure here is only logged, since a 500 would reveal that the account exists.
+    if (users.length > 0) {
+      try {
+        const { token, expiresInMinutes } = await createUserToken(users[0].id, 'password_reset');
+        await sendPasswordResetEmail(users[0], token, expiresInMinutes);
+      } catch (mailError) {
+        console.error('Error sending password reset email:', mailError);
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'New password must be at least 6 characters long' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Resetting proves ownership of the email and signs out every existing session
+    const result = await consumeUserToken(token, 'password_reset', async (connection, userId) => {
+      await connection.execute(
+        `UPDATE users
+         SET password = ?, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+         WHERE id = ?`,
+        [hashedPassword, userId]
+      );
+      await revokeAllSessions(userId, connection);
+    });
+
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const result = await consumeUserToken(token, 'email_verification', async (connection, userId) => {
+      await connection.execute(
+        'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+        [userId]
+      );
+    });
+
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const resendVerification = async (req, res) => {
+  try {
+    const db = getDB();
+    const [users] = await db.execute(
+      'SELECT id, username, email, email_verified_at FROM users WHERE id = ?',
+      [req.user.userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (users[0].email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const { token } = await createUserToken(users[0].id, 'email_verification');
+    await sendVerificationEmail(users[0], token);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  demoLogin,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+};
\ No newline at end of file
@@ -0,0 +1,140 @@
+const { getDB } = require('../config/database');
+const { BOOK_COLUMNS, formatBook } = require('../services/bookService');
+const { escapeLike } = require('../services/searchService');
+const { findAuthor, findAuthorsForBooks, getAuthorStats, formatAuthor } = require('../services/authorService');
+
+const getAuthors = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const search = req.query.search || '';
+
+    const where = search ? 'WHERE a.name LIKE ?' : '';
+    const params = search ? [`%${escapeLike(search)}%`] : [];
+
+    const db = getDB();
+    const [authors] = await db.execute(
+      `SELECT a.*, COUNT(ba.book_id) as book_count
+       FROM authors a
+       LEFT JOIN book_authors ba ON ba.author_id = a.id
+       ${where}
+       GROUP BY a.id
+       ORDER BY a.name ASC, a.id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const [countResult] = await db.execute(
+      `SELECT COUNT(*) as total FROM authors a ${where}`,
+      params
+    );
+
+    const total = countResult[0].total;
+
+    res.json({
+      authors: authors.map(author => ({
+        ...formatAuthor(author),
+        book_count: parseInt(author.book_count) || 0
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching authors:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Author page: profile, totals across all their works and a page of their books
+const getAuthor = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const db = getDB();
+    const author = await findAuthor(db, req.params.id);
+
+    if (!author) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+
+    const stats = await getAuthorStats(db, author.id);
+
+    const [books] = await db.execute(
+      `SELECT ${BOOK_COLUMNS}
+       FROM book_authors ba
+       JOIN books b ON b.id = ba.book_id
+       WHERE ba.author_id = ?
+       ORDER BY b.published_date DESC, b.title ASC, b.id ASC
+       LIMIT ? OFFSET ?`,
+      [author.id, limit, offset]
+    );
+
+    // Co-authors are listed on each book alongside this author
+    const bookAuthors = await findAuthorsForBooks(db, books.map(book => book.id));
+
+    res.json({
+      author: {
+        ...formatAuthor(author),
+        ...stats
+      },
+      books: books.map(book => ({
+        ...formatBook(book),
+        authors: bookAuthors[book.id] || []
+      })),
+      pagination: {
+        page,
+        limit,
+        total: stats.book_count,
+        totalPages: Math.ceil(stats.book_count / limit),
+        hasNext: page < Math.ceil(stats.book_count / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching author:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const updateAuthor = async (req, res) => {
+  try {
+    const db = getDB();
+    const author = await findAuthor(db, req.params.id);
+
+    if (!author) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+
+    const bio = req.body.bio ? req.body.bio.trim() || null : null;
+
+    await db.execute(
+      'UPDATE authors SET bio = ?, updated_at = NOW() WHERE id = ?',
+      [bio, author.id]
+    );
+
+    const updated = await findAuthor(db, String(author.id));
+
+    res.json({
+      message: 'Author updated successfully',
+      author: formatAuthor(updated)
+    });
+  } catch (error) {
+    console.error('Error updating author:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getAuthors,
+  getAuthor,
+  updateAuthor
+};
@@ -1,4 +1,72 @@
-const { getDB } = require('../config/database');
+const { getDB, withTransaction } = require('../config/database');
+const { BOOK_COLUMNS, prepareBookData, findIsbnConflict, formatBook } = require('../services/bookService');
+const { buildTextSearch, addSearchHighlights } = require('../services/searchService');
+const { getSuggestions } = require('../services/suggestService');
+const { getRecommendations } = require('../services/recommendationService');
+const { toList, buildSearchFilters, composeFilters, getFacetCounts } = require('../services/facetService');
+const { createKeyset, buildCursorPage } = require('../services/paginationService');
+const { findRatingDrift, recomputeRatingAggregates } = require('../services/ratingService');
+const { findRelatedBooks, invalidateNeighbours, invalidateSimilarBooks } = require('../services/relatedBooksService');
+const { slugifyAuthor, syncBookAuthors, findAuthorsForBooks } = require('../services/authorService');
+const { buildGenreFilter, resolveGenre, fetchGenres } = require('../services/genreService');
+const { findTagsForBooks, buildTagFilter } = require('../services/tagService');
+const { parseIsbn } = require('../utils/isbn');
+const { DEFAULT_THRESHOLD, findDuplicateCandidates, mergeBooks, findBookRedirect } = require('../services/duplicateService');
+
+// Sort keys for getBooks. relevance is a SELECT alias, so a cursor on it is applied in HAVING.
+const BOOK_SORT_COLUMNS = {
+  created_at: { expr: 'b.created_at', type: 'date' },
+  title: { expr: 'b.title' },
+  author: { expr: 'b.author' },
+  published_date: { expr: 'b.published_date', type: 'date', nullable: true },
+  average_rating: { expr: 'b.average_rating' },
+  weighted_rating: { expr: 'b.weighted_rating' },
+  review_count: { expr: 'b.rating_count' },
+  relevance: { expr: 'relevance', alias: true }
+};
+
+// Adds a keyset condition to WHERE, or to HAVING when it compares a SELECT alias
+const applyKeyset = (keyset, whereConditions, whereParams) => {
+  if (!keyset.condition || keyset.columns.some(column => column.alias)) {
+    return;
+  }
+  whereConditions.push(keyset.condition.sql);
+  whereParams.push(...keyset.condition.params);
+};
+
+const keysetHaving = (keyset) => (keyset.condition && keyset.columns.some(column => column.alias)
+  ? { sql: ` HAVING ${keyset.condition.sql}`, params: keyset.condition.params }
+  : { sql: '', params: [] });
+
+// searchBooks sort options as ORDER BY columns, ending with the book id as tie-breaker
+const searchSortColumns = (sortBy, hasTextSearch) => {
+  switch (sortBy) {
+    case 'title':
+      return [{ expr: 'b.title', key: 'title', order: 'ASC' }, { expr: 'b.id', key: 'id', order: 'ASC' }];
+    case 'author':
+      return [{ expr: 'b.author', key: 'author', order: 'ASC' }, { expr: 'b.id', key: 'id', order: 'ASC' }];
+    case 'rating':
+      return [{ expr: 'b.average_rating', key: 'average_rating', order: 'DESC' }, { expr: 'b.id', key: 'id', order: 'ASC' }];
+    case 'weighted_rating':
+      return [{ expr: 'b.weighted_rating', key: 'weighted_rating', order: 'DESC' }, { expr: 'b.id', key: 'id', order: 'ASC' }];
+    case 'newest':
+      return [{ expr: 'b.created_at', key: 'created_at', order: 'DESC', type: 'date' }, { expr: 'b.id', key: 'id', order: 'DESC' }];
+    case 'oldest':
+      return [{ expr: 'b.created_at', key: 'created_at', order: 'ASC', type: 'date' }, { expr: 'b.id', key: 'id', order: 'ASC' }];
+    default: // relevance
+      return hasTextSearch
+        ? [
+          { expr: 'relevance', key: 'relevance', order: 'DESC', alias: true },
+          { expr: 'b.rating_count', key: 'review_count', order: 'DESC' },
+          { expr: 'b.id', key: 'id', order: 'ASC' }
+        ]
+        : [
+          { expr: 'b.rating_count', key: 'review_count', order: 'DESC' },
+          { expr: 'b.average_rating', key: 'average_rating', order: 'DESC' },
+          { expr: 'b.id', key: 'id', order: 'ASC' }
+        ];
+  }
+};
 
 const getBooks = async (req, res) => {
   try {
@@ -6,73 +74,117 @@ const getBooks = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const search = req.query.search || '';
     const genre = req.query.genre || '';
-    const sortBy = req.query.sortBy || 'created_at';
+    const tags = toList(req.query.tag, ',');
+    const sortBy = req.query.sortBy || (search ? 'relevance' : 'created_at');
     const sortOrder = req.query.sortOrder || 'DESC';
     const offset = (page - 1) * limit;
 
-    const validSortFields = ['created_at', 'title', 'author', 'published_date', 'average_rating', 'review_count'];
+    const textSearch = search ? buildTextSearch(search) : null;
+
+    const validSortFields = ['created_at', 'title', 'author', 'published_date', 'average_rating', 'weighted_rating', 'review_count'];
+    if (textSearch) {
+      validSortFields.push('relevance');
+    }
     const validSortBy = validSortFields.includes(sortBy) ? sortBy : 'created_at';
     const validSortOrder = ['ASC', 'DESC'].includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'DESC';
 
+    // The book id breaks ties so pages never overlap or skip rows
+    const cursorMode = req.query.cursor !== undefined;
+    const keyset = createKeyset([
+      { ...BOOK_SORT_COLUMNS[validSortBy], key: validSortBy, order: validSortOrder },
+      { expr: 'b.id', key: 'id', order: validSortOrder }
+    ], req.query.cursor);
+
+    if (!keyset) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
     let query = `
-      SELECT b.*, 
-             COALESCE(AVG(r.rating), 0) as average_rating, 
-             COUNT(r.id) as review_count
+      SELECT ${BOOK_COLUMNS}
+             ${textSearch ? `, ${textSearch.score} as relevance` : ''}
       FROM books b
-      LEFT JOIN reviews r ON b.id = r.book_id
     `;
-    let params = [];
+    let whereParams = [];
     let whereConditions = [];
 
-    if (search) {
-      whereConditions.push('(b.title LIKE ? OR b.author LIKE ? OR b.isbn LIKE ? OR b.description LIKE ?)');
-      params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+    if (search && !textSearch) {
+      // Nothing searchable in the query (e.g. only punctuation)
+      whereConditions.push('1 = 0');
+    }
+
+    if (textSearch) {
+      whereConditions.push(textSearch.where);
+      whereParams.push(...textSearch.whereParams);
     }
 
+    // A parent genre includes its sub-genres
     if (genre) {
-      whereConditions.push('b.genre = ?');
-      params.push(genre);
+      const genreFilter = buildGenreFilter([genre]);
+      whereConditions.push(genreFilter.sql);
+      whereParams.push(...genreFilter.params);
     }
 
-    if (whereConditions.length > 0) {
-      query += ' WHERE ' + whereConditions.join(' AND ');
+    if (tags.length > 0) {
+      const tagFilter = buildTagFilter(tags);
+      whereConditions.push(tagFilter.sql);
+      whereParams.push(...tagFilter.params);
+    }
+
+    const pageConditions = [...whereConditions];
+    const pageParams = [...whereParams];
+    applyKeyset(keyset, pageConditions, pageParams);
+
+    if (pageConditions.length > 0) {
+      query += ' WHERE ' + pageConditions.join(' AND ');
     }
 
-    query += ` GROUP BY b.id ORDER BY ${validSortBy === 'average_rating' ? 'COALESCE(AVG(r.rating), 0)' : 'b.' + validSortBy} ${validSortOrder}`;
-    query += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+    const having = keysetHaving(keyset);
+    query += having.sql;
+    const params = [...(textSearch ? textSearch.scoreParams : []), ...pageParams, ...having.params];
+
+    query += ` ORDER BY ${keyset.orderBy}`;
+    if (cursorMode) {
+      query += ' LIMIT ?';
+      params.push(limit + 1);
+    } else {
+      query += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+    }
 
     const db = getDB();
-    const [books] = await db.execute(query, params);
-    
-    let countQuery = 'SELECT COUNT(DISTINCT b.id) as total FROM books b';
-    let countParams = [];
-    
-    if (whereConditions.length > 0) {
-      countQuery += ' WHERE ' + whereConditions.join(' AND ');
-      countParams = params.slice(0, -2);
+    const [rows] = await db.execute(query, params);
+    const cursorPage = cursorMode ? buildCursorPage(rows, limit, keyset) : null;
+    const books = cursorPage ? cursorPage.rows : rows;
+
+    let total;
+    if (!cursorMode || req.query.includeTotal !== 'false') {
+      let countQuery = 'SELECT COUNT(*) as total FROM books b';
+
+      if (whereConditions.length > 0) {
+        countQuery += ' WHERE ' + whereConditions.join(' AND ');
+      }
+
+      const [countResult] = await db.execute(countQuery, whereParams);
+      total = countResult[0].total;
     }
-    
-    const [countResult] = await db.execute(countQuery, countParams);
-    const total = countResult[0].total;
 
-    const formattedBooks = books.map(book => ({
-      ...book,
-      average_rating: parseFloat(book.average_rating) || 0,
-      review_count: parseInt(book.review_count) || 0,
-      published_date: book.published_date ? book.published_date.toISOString().split('T')[0] : null
-    }));
+    const formattedBooks = books.map(book => {
+      const formatted = formatBook(book);
+      return textSearch ? addSearchHighlights(formatted, textSearch.terms) : formatted;
+    });
 
     res.json({
       books: formattedBooks,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit),
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      }
+      pagination: cursorPage
+        ? { ...cursorPage.pagination, ...(total !== undefined && { total }) }
+        : {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
     });
   } catch (error) {
     console.error('Error fetching books:', error);
@@ -90,25 +202,40 @@ const getBookById = async (req, res) => {
 
     const db = getDB();
     const [books] = await db.execute(
-      `SELECT b.*, 
-              COALESCE(AVG(r.rating), 0) as average_rating, 
-              COUNT(r.id) as review_count
+      `SELECT ${BOOK_COLUMNS}
        FROM books b
-       LEFT JOIN reviews r ON b.id = r.book_id
-       WHERE b.id = ?
-       GROUP BY b.id`,
+       WHERE b.id = ?`,
       [bookId]
     );
 
     if (books.length === 0) {
+      // Books merged into another one redirect to the surviving copy
+      const redirectId = await findBookRedirect(db, bookId);
+      if (redirectId) {
+        return res.redirect(301, `${req.baseUrl}/${redirectId}`);
+      }
       return res.status(404).json({ error: 'Book not found' });
     }
 
+    // Reading list state for the calling user, if signed in
+    let shelf = null;
+    if (req.user) {
+      const [wishlistItems] = await db.execute(
+        'SELECT shelf FROM wishlist WHERE user_id = ? AND book_id = ?',
+        [req.user.userId, bookId]
+      );
+      shelf = wishlistItems.length > 0 ? wishlistItems[0].shelf : null;
+    }
+
+    const authors = await findAuthorsForBooks(db, [books[0].id]);
+    const tags = await findTagsForBooks(db, [books[0].id]);
+
     const book = {
-      ...books[0],
-      average_rating: parseFloat(books[0].average_rating) || 0,
-      review_count: parseInt(books[0].review_count) || 0,
-      published_date: books[0].published_date ? books[0].published_date.toISOString().split('T')[0] : null
+      ...formatBook(books[0]),
+      authors: authors[books[0].id] || [],
+      tags: tags[books[0].id] || [],
+      in_wishlist: shelf !== null,
+      shelf
     };
 
     res.json(book);
@@ -118,30 +245,57 @@ const getBookById = async (req, res) => {
   }
 };
 
+// Accepts an ISBN-10 or ISBN-13, with or without hyphens
+const getBookByIsbn = async (req, res) => {
+  try {
+    const { isbn13 } = parseIsbn(req.params.isbn);
+
+    const db = getDB();
+    const [books] = await db.execute(
+      `SELECT ${BOOK_COLUMNS}
+       FROM books b
+       WHERE b.isbn = ?`,
+      [isbn13]
+    );
+
+    if (books.length === 0) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    const authors = await findAuthorsForBooks(db, [books[0].id]);
+    const tags = await findTagsForBooks(db, [books[0].id]);
+
+    res.json({
+      ...formatBook(books[0]),
+      authors: authors[books[0].id] || [],
+      tags: tags[books[0].id] || []
+    });
+  } catch (error) {
+    console.error('Error fetching book by ISBN:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 const getFeaturedBooks = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 6;
-    
+    const sortBy = req.query.sortBy || 'weighted_rating';
+
+    // weighted_rating already discounts books with only a few ratings
+    const ranking = sortBy === 'average_rating'
+      ? 'WHERE b.average_rating >= 4.0 OR b.rating_count >= 5 ORDER BY b.average_rating DESC, b.rating_count DESC'
+      : 'WHERE b.rating_count > 0 ORDER BY b.weighted_rating DESC, b.rating_count DESC';
+
     const db = getDB();
     const [books] = await db.execute(
-      `SELECT b.*, 
-              COALESCE(AVG(r.rating), 0) as average_rating, 
-              COUNT(r.id) as review_count
+      `SELECT ${BOOK_COLUMNS}
        FROM books b
-       LEFT JOIN reviews r ON b.id = r.book_id
-       GROUP BY b.id
-       HAVING average_rating >= 4.0 OR review_count >= 5
-       ORDER BY average_rating DESC, review_count DESC
+       ${ranking}
        LIMIT ?`,
       [limit]
     );
 
-    const formattedBooks = books.map(book => ({
-      ...book,
-      average_rating: parseFloat(book.average_rating) || 0,
-      review_count: parseInt(book.review_count) || 0,
-      published_date: book.published_date ? book.published_date.toISOString().split('T')[0] : null
-    }));
+    const formattedBooks = books.map(formatBook);
 
     res.json(formattedBooks);
   } catch (error) {
@@ -150,18 +304,22 @@ const getFeaturedBooks = async (req, res) => {
   }
 };
 
+// Flat list of genres that have books, or with ?tree=true the full taxonomy
 const getGenres = async (req, res) => {
   try {
     const db = getDB();
-    const [genres] = await db.execute(
-      `SELECT genre, COUNT(*) as book_count
-       FROM books 
-       WHERE genre IS NOT NULL AND genre != ''
-       GROUP BY genre
-       ORDER BY book_count DESC, genre ASC`
-    );
+    const { roots, genres } = await fetchGenres(db);
+
+    if (req.query.tree === 'true') {
+      return res.json(roots);
+    }
+
+    const flat = genres
+      .filter(genre => genre.total_book_count > 0)
+      .sort((a, b) => b.total_book_count - a.total_book_count || a.name.localeCompare(b.name))
+      .map(({ children, name, ...genre }) => ({ genre: name, ...genre }));
 
-    res.json(genres);
+    res.json(flat);
   } catch (error) {
     console.error('Error fetching genres:', error);
     res.status(500).json({ error: 'Server error' });
@@ -179,33 +337,30 @@ const getBooksByAuthor = async (req, res) => {
       return res.status(400).json({ error: 'Author name is required' });
     }
 
+    // Matches whole authors by name or slug, so "Harper Lee" doesn't match "Harper Leeds"
     const db = getDB();
     const [books] = await db.execute(
-      `SELECT b.*, 
-              COALESCE(AVG(r.rating), 0) as average_rating, 
-              COUNT(r.id) as review_count
+      `SELECT ${BOOK_COLUMNS}
        FROM books b
-       LEFT JOIN reviews r ON b.id = r.book_id
-       WHERE b.author LIKE ?
-       GROUP BY b.id
+       JOIN book_authors ba ON ba.book_id = b.id
+       JOIN authors a ON a.id = ba.author_id
+       WHERE a.slug = ?
        ORDER BY b.published_date DESC, b.title ASC
        LIMIT ? OFFSET ?`,
-      [`%${author}%`, limit, offset]
+      [slugifyAuthor(author), limit, offset]
     );
 
     const [countResult] = await db.execute(
-      'SELECT COUNT(*) as total FROM books WHERE author LIKE ?',
-      [`%${author}%`]
+      `SELECT COUNT(*) as total
+       FROM book_authors ba
+       JOIN authors a ON a.id = ba.author_id
+       WHERE a.slug = ?`,
+      [slugifyAuthor(author)]
     );
 
     const total = countResult[0].total;
 
-    const formattedBooks = books.map(book => ({
-      ...book,
-      average_rating: parseFloat(book.average_rating) || 0,
-      review_count: parseInt(book.review_count) || 0,
-      published_date: book.published_date ? book.published_date.toISOString().split('T')[0] : null
-    }));
+    const formattedBooks = books.map(formatBook);
 
     res.json({
       books: formattedBooks,
@@ -227,89 +382,48 @@ const getBooksByAuthor = async (req, res) => {
 
 const createBook = async (req, res) => {
   try {
-    const { title, author, description, isbn, published_date, genre, cover_image } = req.body;
-    
-    if (!title || !author) {
-      return res.status(400).json({ error: 'Title and author are required' });
-    }
-
-    const cleanTitle = title.trim();
-    const cleanAuthor = author.trim();
-    
-    if (cleanTitle.length < 1 || cleanAuthor.length < 1) {
-      return res.status(400).json({ error: 'Title and author cannot be empty' });
-    }
-
-    // Validate ISBN if provided
-    if (isbn) {
-      const cleanIsbn = isbn.replace(/[-\s]/g, '');
-      if (!/^(?:\d{10}|\d{13})$/.test(cleanIsbn)) {
-        return res.status(400).json({ error: 'Invalid ISBN format. Must be 10 or 13 digits.' });
-      }
-      
-      const db = getDB();
-      const [existingIsbn] = await db.execute(
-        'SELECT id FROM books WHERE isbn = ? AND isbn IS NOT NULL',
-        [isbn.trim()]
-      );
-      
-      if (existingIsbn.length > 0) {
-        return res.status(400).json({ error: 'A book with this ISBN already exists' });
-      }
-    }
+    const { errors, book } = prepareBookData(req.body);
 
-    // Validate published_date if provided
-    if (published_date) {
-      const date = new Date(published_date);
-      if (isNaN(date.getTime()) || date > new Date()) {
-        return res.status(400).json({ error: 'Invalid published date or date cannot be in the future' });
-      }
-    }
-
-    // Validate cover_image URL if provided
-    if (cover_image) {
-      try {
-        new URL(cover_image);
-        if (!/\.(jpg|jpeg|png|gif|webp|svg)$/i.test(cover_image)) {
-          return res.status(400).json({ error: 'Cover image must be a valid image URL (jpg, png, gif, webp, svg)' });
-        }
-      } catch {
-        return res.status(400).json({ error: 'Invalid cover image URL' });
-      }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0] });
     }
 
     const db = getDB();
-    const [result] = await db.execute(
-      `INSERT INTO books (title, author, description, isbn, published_date, genre, cover_image, created_at, updated_at) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-      [
-        cleanTitle,
-        cleanAuthor,
-        description?.trim() || null,
-        isbn?.trim() || null,
-        published_date || null,
-        genre?.trim() || null,
-        cover_image?.trim() || null
-      ]
-    );
+
+    if (await findIsbnConflict(db, book.isbn)) {
+      return res.status(400).json({ error: 'A book with this ISBN already exists' });
+    }
+
+    const result = await withTransaction(async (connection) => {
+      const genre = await resolveGenre(connection, book.genre);
+      const [inserted] = await connection.execute(
+        `INSERT INTO books (title, author, description, isbn, published_date, genre, genre_id, cover_image, created_at, updated_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          book.title,
+          book.author,
+          book.description,
+          book.isbn,
+          book.published_date,
+          genre ? genre.name : null,
+          genre ? genre.id : null,
+          book.cover_image
+        ]
+      );
+      await syncBookAuthors(connection, inserted.insertId, book.author);
+      return inserted;
+    });
 
     const [newBook] = await db.execute(
-      `SELECT b.*, 
-              COALESCE(AVG(r.rating), 0) as average_rating, 
-              COUNT(r.id) as review_count
+      `SELECT ${BOOK_COLUMNS}
        FROM books b
-       LEFT JOIN reviews r ON b.id = r.book_id
-       WHERE b.id = ?
-       GROUP BY b.id`,
+       WHERE b.id = ?`,
       [result.insertId]
     );
 
-    const formattedBook = {
-      ...newBook[0],
-      average_rating: 0,
-      review_count: 0,
-      published_date: newBook[0].published_date ? newBook[0].published_date.toISOString().split('T')[0] : null
-    };
+    const formattedBook = formatBook(newBook[0]);
+
+    await invalidateSimilarBooks(db, result.insertId);
 
     res.status(201).json({
       message: 'Book added successfully',
@@ -328,16 +442,11 @@ const createBook = async (req, res) => {
 const updateBook = async (req, res) => {
   try {
     const bookId = req.params.id;
-    const { title, author, description, isbn, published_date, genre, cover_image } = req.body;
-    
+
     if (!bookId || isNaN(bookId)) {
       return res.status(400).json({ error: 'Invalid book ID' });
     }
 
-    if (!title || !author) {
-      return res.status(400).json({ error: 'Title and author are required' });
-    }
-
     const db = getDB();
     const [existingBook] = await db.execute(
       'SELECT id, isbn FROM books WHERE id = ?',
@@ -348,84 +457,51 @@ const updateBook = async (req, res) => {
       return res.status(404).json({ error: 'Book not found' });
     }
 
-    const cleanTitle = title.trim();
-    const cleanAuthor = author.trim();
-    
-    if (cleanTitle.length < 1 || cleanAuthor.length < 1) {
-      return res.status(400).json({ error: 'Title and author cannot be empty' });
-    }
-
-    // Validate ISBN if provided and different from current
-    if (isbn && isbn.trim() !== existingBook[0].isbn) {
-      const cleanIsbn = isbn.replace(/[-\s]/g, '');
-      if (!/^(?:\d{10}|\d{13})$/.test(cleanIsbn)) {
-        return res.status(400).json({ error: 'Invalid ISBN format. Must be 10 or 13 digits.' });
-      }
-      
-      const [duplicateIsbn] = await db.execute(
-        'SELECT id FROM books WHERE isbn = ? AND id != ? AND isbn IS NOT NULL',
-        [isbn.trim(), bookId]
-      );
-      
-      if (duplicateIsbn.length > 0) {
-        return res.status(400).json({ error: 'A book with this ISBN already exists' });
-      }
-    }
+    const { errors, book } = prepareBookData(req.body);
 
-    // Validate published_date if provided
-    if (published_date) {
-      const date = new Date(published_date);
-      if (isNaN(date.getTime()) || date > new Date()) {
-        return res.status(400).json({ error: 'Invalid published date or date cannot be in the future' });
-      }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0] });
     }
 
-    // Validate cover_image URL if provided
-    if (cover_image) {
-      try {
-        new URL(cover_image);
-        if (!/\.(jpg|jpeg|png|gif|webp|svg)$/i.test(cover_image)) {
-          return res.status(400).json({ error: 'Cover image must be a valid image URL (jpg, png, gif, webp, svg)' });
-        }
-      } catch {
-        return res.status(400).json({ error: 'Invalid cover image URL' });
-      }
+    // Only check for ISBN conflicts when the ISBN actually changes
+    if (book.isbn !== existingBook[0].isbn && await findIsbnConflict(db, book.isbn, bookId)) {
+      return res.status(400).json({ error: 'A book with this ISBN already exists' });
     }
 
-    await db.execute(
-      `UPDATE books 
-       SET title = ?, author = ?, description = ?, isbn = ?, published_date = ?, 
-           genre = ?, cover_image = ?, updated_at = NOW() 
-       WHERE id = ?`,
-      [
-        cleanTitle,
-        cleanAuthor,
-        description?.trim() || null,
-        isbn?.trim() || null,
-        published_date || null,
-        genre?.trim() || null,
-        cover_image?.trim() || null,
-        bookId
-      ]
-    );
+    await withTransaction(async (connection) => {
+      const genre = await resolveGenre(connection, book.genre);
+      await connection.execute(
+        `UPDATE books 
+         SET title = ?, author = ?, description = ?, isbn = ?, published_date = ?, 
+             genre = ?, genre_id = ?, cover_image = ?, updated_at = NOW() 
+         WHERE id = ?`,
+        [
+          book.title,
+          book.author,
+          book.description,
+          book.isbn,
+          book.published_date,
+          genre ? genre.name : null,
+          genre ? genre.id : null,
+          book.cover_image,
+          bookId
+        ]
+      );
+      await syncBookAuthors(connection, bookId, book.author);
+    });
 
     const [updatedBook] = await db.execute(
-      `SELECT b.*, 
-              COALESCE(AVG(r.rating), 0) as average_rating, 
-              COUNT(r.id) as review_count
+      `SELECT ${BOOK_COLUMNS}
        FROM books b
-       LEFT JOIN reviews r ON b.id = r.book_id
-       WHERE b.id = ?
-       GROUP BY b.id`,
+       WHERE b.id = ?`,
       [bookId]
     );
 
-    const formattedBook = {
-      ...updatedBook[0],
-      average_rating: parseFloat(updatedBook[0].average_rating) || 0,
-      review_count: parseInt(updatedBook[0].review_count) || 0,
-      published_date: updatedBook[0].published_date ? updatedBook[0].published_date.toISOString().split('T')[0] : null
-    };
+    const formattedBook = formatBook(updatedBook[0]);
+
+    // Lists that include this book, and lists it may now belong in
+    await invalidateNeighbours(db, [parseInt(bookId)]);
+    await invalidateSimilarBooks(db, parseInt(bookId));
 
     res.json({
       message: 'Book updated successfully',
@@ -458,26 +534,23 @@ const deleteBook = async (req, res) => {
       return res.status(404).json({ error: 'Book not found' });
     }
 
-    await db.execute('START TRANSACTION');
+    // Books listing this one as related lose a neighbour and need recomputing
+    await invalidateNeighbours(db, [parseInt(bookId)]);
 
-    try {
+    // The deletes share one connection, so they commit or roll back together
+    await withTransaction(async (connection) => {
       // Delete associated reviews and wishlist items first
-      await db.execute('DELETE FROM reviews WHERE book_id = ?', [bookId]);
-      await db.execute('DELETE FROM wishlist WHERE book_id = ?', [bookId]);
-      
+      await connection.execute('DELETE FROM reviews WHERE book_id = ?', [bookId]);
+      await connection.execute('DELETE FROM wishlist WHERE book_id = ?', [bookId]);
+
       // Delete the book
-      await db.execute('DELETE FROM books WHERE id = ?', [bookId]);
-      
-      await db.execute('COMMIT');
-
-      res.json({
-        message: `Book "${existingBook[0].title}" and all associated data deleted successfully`,
-        deletedBookId: parseInt(bookId)
-      });
-    } catch (error) {
-      await db.execute('ROLLBACK');
-      throw error;
-    }
+      await connection.execute('DELETE FROM books WHERE id = ?', [bookId]);
+    });
+
+    res.json({
+      message: `Book "${existingBook[0].title}" and all associated data deleted successfully`,
+      deletedBookId: parseInt(bookId)
+    });
   } catch (error) {
     console.error('Error deleting book:', error);
     res.status(500).json({ error: 'Server error' });
@@ -506,20 +579,17 @@ const getBookStats = async (req, res) => {
     );
 
     const [topRated] = await db.execute(
-      `SELECT b.title, b.author, COALESCE(AVG(r.rating), 0) as average_rating, COUNT(r.id) as review_count
+      `SELECT b.title, b.author, b.average_rating, b.rating_count as review_count
        FROM books b
-       LEFT JOIN reviews r ON b.id = r.book_id
-       GROUP BY b.id, b.title, b.author
-       HAVING review_count >= 3
-       ORDER BY average_rating DESC, review_count DESC
+       WHERE b.rating_count >= 3
+       ORDER BY b.average_rating DESC, b.rating_count DESC
        LIMIT 5`
     );
 
     const [booksWithoutReviews] = await db.execute(
       `SELECT COUNT(*) as count
-       FROM books b
-       LEFT JOIN reviews r ON b.id = r.book_id
-       WHERE r.id IS NULL`
+       FROM books
+       WHERE rating_count = 0`
     );
 
     res.json({
@@ -539,6 +609,123 @@ const getBookStats = async (req, res) => {
   }
 };
 
+const suggestBooks = async (req, res) => {
+  try {
+    const q = req.query.q;
+    const limit = parseInt(req.query.limit) || 8;
+
+    const db = getDB();
+    const suggestions = await getSuggestions(db, q, limit);
+
+    // Safe for shared caches: the answer doesn't depend on who is asking
+    res.set('Cache-Control', 'public, max-age=30');
+    res.json({ query: q, suggestions });
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const recommendBooks = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+
+    const db = getDB();
+    const recommendations = await getRecommendations(db, req.user.userId, limit);
+
+    res.json({ recommendations });
+  } catch (error) {
+    console.error('Error fetching recommendations:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Repairs drift between the stored rating aggregates and the reviews table
+const recomputeRatings = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    const db = getDB();
+    const drifted = await findRatingDrift(db);
+
+    if (dryRun) {
+      return res.json({ dryRun, drifted: drifted.length, books: drifted });
+    }
+
+    const result = await recomputeRatingAggregates(db);
+
+    res.json({
+      message: 'Rating aggregates recomputed',
+      dryRun,
+      checked: result.checked,
+      repaired: result.repaired,
+      books: drifted
+    });
+  } catch (error) {
+    console.error('Error recomputing rating aggregates:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const findDuplicates = async (req, res) => {
+  try {
+    const threshold = parseFloat(req.query.threshold) || DEFAULT_THRESHOLD;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const db = getDB();
+    const candidates = await findDuplicateCandidates(db, { threshold, limit });
+
+    res.json({ threshold, candidates });
+  } catch (error) {
+    console.error('Error finding duplicate books:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Merges the books in sourceIds into the book in the URL and leaves redirects behind
+const mergeDuplicateBooks = async (req, res) => {
+  try {
+    const targetId = parseInt(req.params.id);
+    const sourceIds = [...new Set(req.body.sourceIds)];
+
+    if (sourceIds.includes(targetId)) {
+      return res.status(400).json({ error: 'A book cannot be merged into itself' });
+    }
+
+    const db = getDB();
+    const [books] = await db.query('SELECT id FROM books WHERE id IN (?)', [[targetId, ...sourceIds]]);
+
+    if (!books.some(book => book.id === targetId)) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    const missing = sourceIds.filter(id => !books.some(book => book.id === id));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Source book not found', missing });
+    }
+
+    const merged = await withTransaction(connection => mergeBooks(connection, targetId, sourceIds, req.user.userId));
+
+    await invalidateNeighbours(db, [targetId]);
+
+    const [mergedBook] = await db.execute(
+      `SELECT ${BOOK_COLUMNS}
+       FROM books b
+       WHERE b.id = ?`,
+      [targetId]
+    );
+
+    res.json({
+      message: `Merged ${merged.length} book(s) into "${mergedBook[0].title}"`,
+      merged,
+      book: formatBook(mergedBook[0])
+    });
+  } catch (error) {
+    console.error('Error merging books:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 const getRelatedBooks = async (req, res) => {
   try {
     const bookId = req.params.id;
@@ -549,10 +736,8 @@ const getRelatedBooks = async (req, res) => {
     }
 
     const db = getDB();
-    
-    // First get the current book's genre
     const [currentBook] = await db.execute(
-      'SELECT genre FROM books WHERE id = ?',
+      'SELECT id FROM books WHERE id = ?',
       [bookId]
     );
 
@@ -560,34 +745,9 @@ const getRelatedBooks = async (req, res) => {
       return res.status(404).json({ error: 'Book not found' });
     }
 
-    const genre = currentBook[0].genre;
-    
-    if (!genre) {
-      return res.json([]);
-    }
-
-    // Get related books from the same genre
-    const [relatedBooks] = await db.execute(
-      `SELECT b.*, 
-              COALESCE(AVG(r.rating), 0) as average_rating, 
-              COUNT(r.id) as review_count
-       FROM books b
-       LEFT JOIN reviews r ON b.id = r.book_id
-       WHERE b.genre = ? AND b.id != ?
-       GROUP BY b.id
-       ORDER BY average_rating DESC, review_count DESC
-       LIMIT ?`,
-      [genre, bookId, limit]
-    );
+    const relatedBooks = await findRelatedBooks(db, parseInt(bookId), limit);
 
-    const formattedBooks = relatedBooks.map(book => ({
-      ...book,
-      average_rating: parseFloat(book.average_rating) || 0,
-      review_count: parseInt(book.review_count) || 0,
-      published_date: book.published_date ? book.published_date.toISOString().split('T')[0] : null
-    }));
-
-    res.json(formattedBooks);
+    res.json(relatedBooks);
   } catch (error) {
     console.error('Error fetching related books:', error);
     res.status(500).json({ error: 'Server error' });
@@ -596,122 +756,100 @@ const getRelatedBooks = async (req, res) => {
 
 const searchBooks = async (req, res) => {
   try {
-    const { q, genre, author, minRating, maxRating, sortBy = 'relevance' } = req.query;
+    const { q, genre, tag, author, decade, publishedFrom, publishedTo, minRating, maxRating, sortBy = 'relevance' } = req.query;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
+    const facetNames = toList(req.query.facets, ',');
 
-    if (!q && !genre && !author) {
+    if (!q && !genre && !tag && !author && !decade && !publishedFrom && !publishedTo) {
       return res.status(400).json({ error: 'At least one search parameter is required' });
     }
 
+    const textSearch = q ? buildTextSearch(q) : null;
+
+    if (q && !textSearch) {
+      return res.status(400).json({ error: 'Search query must contain letters or numbers' });
+    }
+
+    const cursorMode = req.query.cursor !== undefined;
+    const keyset = createKeyset(searchSortColumns(sortBy, Boolean(textSearch)), req.query.cursor);
+
+    if (!keyset) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
     let query = `
-      SELECT b.*, 
-             COALESCE(AVG(r.rating), 0) as average_rating, 
-             COUNT(r.id) as review_count
+      SELECT ${BOOK_COLUMNS}
+             ${textSearch ? `, ${textSearch.score} as relevance` : ''}
       FROM books b
-      LEFT JOIN reviews r ON b.id = r.book_id
     `;
     
-    let whereConditions = [];
-    let params = [];
-
-    if (q) {
-      whereConditions.push('(b.title LIKE ? OR b.author LIKE ? OR b.description LIKE ? OR b.isbn LIKE ?)');
-      params.push(`%${q}%`, `%${q}%`, `%${q}%`, `%${q}%`);
-    }
+    const conditions = buildSearchFilters(req.query);
+    const filters = composeFilters(conditions);
+    const whereConditions = [...(textSearch ? [textSearch.where] : []), ...filters.where];
+    const whereParams = [...(textSearch ? textSearch.whereParams : []), ...filters.whereParams];
 
-    if (genre) {
-      whereConditions.push('b.genre = ?');
-      params.push(genre);
+    let countQuery = 'SELECT COUNT(*) as total FROM books b';
+    if (whereConditions.length > 0) {
+      countQuery += ' WHERE ' + whereConditions.join(' AND ');
     }
 
-    if (author) {
-      whereConditions.push('b.author LIKE ?');
-      params.push(`%${author}%`);
-    }
+    const pageConditions = [...whereConditions];
+    const pageParams = [...whereParams];
+    applyKeyset(keyset, pageConditions, pageParams);
 
-    if (whereConditions.length > 0) {
-      query += ' WHERE ' + whereConditions.join(' AND ');
+    if (pageConditions.length > 0) {
+      query += ' WHERE ' + pageConditions.join(' AND ');
     }
 
-    query += ' GROUP BY b.id';
+    const having = keysetHaving(keyset);
+    query += having.sql;
+    const params = [...(textSearch ? textSearch.scoreParams : []), ...pageParams, ...having.params];
 
-    // Add rating filter after GROUP BY
-    if (minRating || maxRating) {
-      query += ' HAVING';
-      const ratingConditions = [];
-      
-      if (minRating) {
-        ratingConditions.push('COALESCE(AVG(r.rating), 0) >= ?');
-        params.push(parseFloat(minRating));
-      }
-      
-      if (maxRating) {
-        ratingConditions.push('COALESCE(AVG(r.rating), 0) <= ?');
-        params.push(parseFloat(maxRating));
-      }
-      
-      query += ' ' + ratingConditions.join(' AND ');
-    }
-
-    // Add sorting
-    switch (sortBy) {
-      case 'title':
-        query += ' ORDER BY b.title ASC';
-        break;
-      case 'author':
-        query += ' ORDER BY b.author ASC';
-        break;
-      case 'rating':
-        query += ' ORDER BY average_rating DESC';
-        break;
-      case 'newest':
-        query += ' ORDER BY b.created_at DESC';
-        break;
-      case 'oldest':
-        query += ' ORDER BY b.created_at ASC';
-        break;
-      default: // relevance
-        query += ' ORDER BY review_count DESC, average_rating DESC';
-    }
-
-    query += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+    query += ` ORDER BY ${keyset.orderBy}`;
+    if (cursorMode) {
+      query += ' LIMIT ?';
+      params.push(limit + 1);
+    } else {
+      query += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+    }
 
     const db = getDB();
-    const [books] = await db.execute(query, params);
+    const [rows] = await db.execute(query, params);
+    const cursorPage = cursorMode ? buildCursorPage(rows, limit, keyset) : null;
+    const books = cursorPage ? cursorPage.rows : rows;
 
-    // Get total count for pagination
-    let countQuery = 'SELECT COUNT(DISTINCT b.id) as total FROM books b';
-    let countParams = [];
-    
-    if (whereConditions.length > 0) {
-      countQuery += ' WHERE ' + whereConditions.join(' AND ');
-      countParams = params.slice(0, whereConditions.length * (q ? 4 : 1));
+    let total;
+    if (!cursorMode || req.query.includeTotal !== 'false') {
+      const [countResult] = await db.execute(countQuery, whereParams);
+      total = countResult[0].total;
     }
 
-    const [countResult] = await db.execute(countQuery, countParams);
-    const total = countResult[0].total;
+    const facets = facetNames.length > 0
+      ? await getFacetCounts(db, facetNames, conditions, textSearch)
+      : undefined;
 
-    const formattedBooks = books.map(book => ({
-      ...book,
-      average_rating: parseFloat(book.average_rating) || 0,
-      review_count: parseInt(book.review_count) || 0,
-      published_date: book.published_date ? book.published_date.toISOString().split('T')[0] : null
-    }));
+    const formattedBooks = books.map(book => {
+      const formatted = formatBook(book);
+      return textSearch ? addSearchHighlights(formatted, textSearch.terms) : formatted;
+    });
 
     res.json({
       books: formattedBooks,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit),
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      },
-      searchParams: { q, genre, author, minRating, maxRating, sortBy }
+      pagination: cursorPage
+        ? { ...cursorPage.pagination, ...(total !== undefined && { total }) }
+        : {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        },
+      ...(facets && { facets }),
+      searchParams: { q, genre, tag, author, decade, publishedFrom, publishedTo, minRating, maxRating, sortBy }
     });
   } catch (error) {
     console.error('Error searching books:', error);
@@ -722,6 +860,7 @@ const searchBooks = async (req, res) => {
 module.exports = {
   getBooks,
   getBookById,
+  getBookByIsbn,
   getFeaturedBooks,
   getGenres,
   getBooksByAuthor,
@@ -730,6 +869,11 @@ module.exports = {
   deleteBook,
   getBookStats,
   getRelatedBooks,
-  searchBooks
+  findDuplicates,
+  mergeDuplicateBooks,
+  recommendBooks,
+  recomputeRatings,
+  searchBooks,
+  suggestBooks
 };
 
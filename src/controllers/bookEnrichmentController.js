@@ -0,0 +1,89 @@
+const { getDB } = require('../config/database');
+const { findBooksToEnrich, enrichBook: runEnrichment } = require('../services/metadataService');
+
+const DEFAULT_BULK_LIMIT = 25;
+
+const enrichOptions = (req) => ({
+  // Preview unless explicitly disabled, so nothing is written by accident
+  dryRun: req.query.dryRun !== 'false',
+  overwrite: req.body?.overwrite === true,
+  fields: req.body?.fields
+});
+
+const enrichBook = async (req, res) => {
+  try {
+    const options = enrichOptions(req);
+    const db = getDB();
+
+    const [books] = await db.execute('SELECT * FROM books WHERE id = ?', [req.params.id]);
+    if (books.length === 0) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    if (!books[0].isbn) {
+      return res.status(400).json({ error: 'Book has no ISBN to look up' });
+    }
+
+    const result = await runEnrichment(db, books[0], options);
+
+    res.status(result.status === 'updated' ? 201 : 200).json({
+      message: options.dryRun ? 'Enrichment preview (dry run, nothing was saved)' : 'Enrichment completed',
+      dryRun: options.dryRun,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error enriching book:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const enrichBooks = async (req, res) => {
+  try {
+    const options = enrichOptions(req);
+    const db = getDB();
+
+    const bookIds = req.body?.bookIds || null;
+    const books = await findBooksToEnrich(db, {
+      bookIds,
+      limit: req.body?.limit || DEFAULT_BULK_LIMIT
+    });
+
+    const results = [];
+    if (bookIds) {
+      const found = new Set(books.map(book => book.id));
+      bookIds.filter(id => !found.has(id)).forEach(id => {
+        results.push({ bookId: id, status: 'missing', changes: [] });
+      });
+    }
+
+    // Books run one at a time to stay polite to the providers; one failure doesn't stop the rest
+    for (const book of books) {
+      try {
+        results.push(await runEnrichment(db, book, options));
+      } catch (error) {
+        console.error(`Error enriching book ${book.id}:`, error);
+        results.push({ bookId: book.id, title: book.title, isbn: book.isbn, status: 'failed', changes: [] });
+      }
+    }
+
+    const summary = results.reduce((counts, result) => ({
+      ...counts,
+      [result.status]: (counts[result.status] || 0) + 1
+    }), {});
+
+    res.status(options.dryRun ? 200 : 201).json({
+      message: options.dryRun ? 'Enrichment preview (dry run, nothing was saved)' : 'Enrichment completed',
+      dryRun: options.dryRun,
+      total: results.length,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('Error enriching books:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  enrichBook,
+  enrichBooks
+};
@@ -0,0 +1,82 @@
+const { pipeline } = require('stream');
+const { getDB } = require('../config/database');
+const {
+  FORMATS,
+  MAX_IMPORT_ROWS,
+  EXPORT_QUERY,
+  parseImport,
+  importBooks: runImport,
+  createExportTransform
+} = require('../services/bookImportService');
+
+const importBooks = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    // Dry run unless explicitly disabled, so nothing is written by accident
+    const dryRun = req.query.dryRun !== 'false';
+
+    // Accept a raw text body, or JSON of the form { data: "..." }
+    const payload = typeof req.body === 'string' ? req.body : req.body?.data;
+
+    if (!payload || typeof payload !== 'string' || payload.trim().length === 0) {
+      return res.status(400).json({ error: 'Import data is required' });
+    }
+
+    const parsedRows = parseImport(format, payload);
+
+    if (parsedRows.length === 0) {
+      return res.status(400).json({ error: 'No rows found in import data' });
+    }
+
+    if (parsedRows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const db = getDB();
+    const report = await runImport(db, parsedRows, { dryRun });
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Import validated (dry run, nothing was saved)' : 'Import completed',
+      format,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error importing books:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const exportBooks = (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${FORMATS.join(', ')}` });
+  }
+
+  let rows;
+  try {
+    // Stream rows straight from the driver instead of buffering the whole table
+    rows = getDB().pool.query(EXPORT_QUERY).stream();
+  } catch (error) {
+    console.error('Error exporting books:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  const date = new Date().toISOString().split('T')[0];
+  const extension = format === 'jsonl' ? 'jsonl' : 'csv';
+  res.setHeader('Content-Type', format === 'jsonl' ? 'application/x-ndjson; charset=utf-8' : 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="books-${format}-${date}.${extension}"`);
+
+  pipeline(rows, createExportTransform(format), res, (error) => {
+    if (error) {
+      console.error('Error streaming book export:', error);
+      // Headers are already sent, so the best we can do is cut the response short
+      res.destroy(error);
+    }
+  });
+};
+
+module.exports = {
+  importBooks,
+  exportBooks
+};
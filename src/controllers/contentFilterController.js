@@ -0,0 +1,156 @@
+const { getDB } = require('../config/database');
+const {
+  RULE_ACTIONS,
+  RULE_TYPES,
+  formatRule,
+  invalidateRuleCache,
+  prepareRule,
+  filterComment
+} = require('../services/contentFilterService');
+
+const findRule = async (db, ruleId) => {
+  const [rows] = await db.execute('SELECT * FROM content_filter_rules WHERE id = ?', [ruleId]);
+  return rows.length > 0 ? formatRule(rows[0]) : null;
+};
+
+const getRules = async (req, res) => {
+  try {
+    const db = getDB();
+    const [rows] = await db.execute('SELECT * FROM content_filter_rules ORDER BY id ASC');
+
+    res.json({
+      rules: rows.map(formatRule),
+      types: Object.keys(RULE_TYPES).map(type => ({
+        type,
+        actions: RULE_TYPES[type].actions || RULE_ACTIONS
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching content filter rules:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Body: { name, type, action, locale?, config?, enabled? }
+const createRule = async (req, res) => {
+  try {
+    const prepared = prepareRule(req.body);
+    if (prepared.error) {
+      return res.status(400).json({ error: prepared.error });
+    }
+
+    const { name, type, action, locale, config, enabled } = prepared.rule;
+    const db = getDB();
+    const [result] = await db.execute(
+      `INSERT INTO content_filter_rules (name, type, action, locale, config, enabled, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, type, action, locale, JSON.stringify(config), enabled, req.user.userId]
+    );
+
+    invalidateRuleCache();
+
+    res.status(201).json({
+      message: 'Content filter rule created successfully',
+      rule: await findRule(db, result.insertId)
+    });
+  } catch (error) {
+    console.error('Error creating content filter rule:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Fields left out of the body keep their current values; the type can't change
+const updateRule = async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+
+    const db = getDB();
+    const existing = await findRule(db, ruleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Content filter rule not found' });
+    }
+
+    const prepared = prepareRule({
+      name: req.body.name !== undefined ? req.body.name : existing.name,
+      type: existing.type,
+      action: req.body.action !== undefined ? req.body.action : existing.action,
+      locale: req.body.locale !== undefined ? req.body.locale : existing.locale,
+      config: req.body.config !== undefined ? req.body.config : existing.config,
+      enabled: req.body.enabled !== undefined ? req.body.enabled : existing.enabled
+    });
+    if (prepared.error) {
+      return res.status(400).json({ error: prepared.error });
+    }
+
+    const { name, action, locale, config, enabled } = prepared.rule;
+    await db.execute(
+      'UPDATE content_filter_rules SET name = ?, action = ?, locale = ?, config = ?, enabled = ? WHERE id = ?',
+      [name, action, locale, JSON.stringify(config), enabled, ruleId]
+    );
+
+    invalidateRuleCache();
+
+    res.json({
+      message: 'Content filter rule updated successfully',
+      rule: await findRule(db, ruleId)
+    });
+  } catch (error) {
+    console.error('Error updating content filter rule:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const deleteRule = async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+
+    const db = getDB();
+    const [result] = await db.execute('DELETE FROM content_filter_rules WHERE id = ?', [ruleId]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Content filter rule not found' });
+    }
+
+    invalidateRuleCache();
+
+    res.json({ message: 'Content filter rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting content filter rule:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Body: { comment, locale?, book_id? }. Shows what the enabled rules would do to a
+// comment without saving anything, so moderators can try out rule changes.
+const testComment = async (req, res) => {
+  try {
+    const { comment, locale, book_id } = req.body;
+
+    const db = getDB();
+    // Read straight from the table so a rule changed a moment ago is already applied
+    const [rows] = await db.execute('SELECT * FROM content_filter_rules WHERE enabled = TRUE ORDER BY id ASC');
+    const result = await filterComment(db, comment, {
+      bookId: book_id || 0,
+      locale,
+      rules: rows.map(formatRule)
+    });
+
+    res.json({
+      outcome: result.rejected.length > 0 ? 'rejected' : result.status,
+      comment: result.comment,
+      rejected: result.rejected,
+      masked: result.masked,
+      flagged: result.flagged
+    });
+  } catch (error) {
+    console.error('Error testing content filter:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  testComment
+};
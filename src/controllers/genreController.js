@@ -0,0 +1,185 @@
+const { getDB, withTransaction } = require('../config/database');
+const { slugify } = require('../utils/slug');
+const { invalidateNeighbours } = require('../services/relatedBooksService');
+const {
+  findGenreById,
+  isInSubtree,
+  findSlugConflicts,
+  replaceAliases,
+  fetchGenres,
+  mergeGenres
+} = require('../services/genreService');
+
+const genreSlug = (name) => slugify(name, 'genre');
+
+// Checks a requested parent; returns an error message or null
+const checkParent = async (db, genreId, parentId) => {
+  if (parentId === undefined || parentId === null) {
+    return null;
+  }
+  if (!(await findGenreById(db, parentId))) {
+    return 'Parent genre not found';
+  }
+  if (genreId && await isInSubtree(db, genreId, parentId)) {
+    return 'A genre cannot be moved under itself or one of its sub-genres';
+  }
+  return null;
+};
+
+const findGenreNode = async (db, genreId) => {
+  const { genres } = await fetchGenres(db);
+  return genres.find(genre => genre.id === genreId);
+};
+
+// Full taxonomy as a tree
+const getGenreTree = async (req, res) => {
+  try {
+    const db = getDB();
+    const { roots } = await fetchGenres(db);
+    res.json(roots);
+  } catch (error) {
+    console.error('Error fetching genre tree:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const createGenre = async (req, res) => {
+  try {
+    const name = req.body.name.trim();
+    const parentId = req.body.parent_id || null;
+    const aliases = (req.body.aliases || []).map(alias => alias.trim());
+
+    const db = getDB();
+
+    const conflicts = await findSlugConflicts(db, [genreSlug(name), ...aliases.map(genreSlug)]);
+    if (conflicts.length > 0) {
+      return res.status(400).json({ error: 'A genre or alias with this name already exists', conflicts });
+    }
+
+    const parentError = await checkParent(db, null, parentId);
+    if (parentError) {
+      return res.status(400).json({ error: parentError });
+    }
+
+    const genreId = await withTransaction(async (connection) => {
+      const [result] = await connection.execute(
+        'INSERT INTO genres (name, slug, parent_id, created_at, updated_at) VALUES (?, ?, ?, NOW(), NOW())',
+        [name, genreSlug(name), parentId]
+      );
+      await replaceAliases(connection, result.insertId, aliases);
+      return result.insertId;
+    });
+
+    res.status(201).json({
+      message: 'Genre created successfully',
+      genre: await findGenreNode(db, genreId)
+    });
+  } catch (error) {
+    console.error('Error creating genre:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'A genre or alias with this name already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Renames, re-parents or replaces the aliases of a genre
+const updateGenre = async (req, res) => {
+  try {
+    const genreId = parseInt(req.params.id);
+    const db = getDB();
+    const genre = await findGenreById(db, genreId);
+
+    if (!genre) {
+      return res.status(404).json({ error: 'Genre not found' });
+    }
+
+    const name = req.body.name !== undefined ? req.body.name.trim() : genre.name;
+    const parentId = req.body.parent_id !== undefined ? req.body.parent_id : genre.parent_id;
+    const aliases = req.body.aliases !== undefined ? req.body.aliases.map(alias => alias.trim()) : null;
+
+    const conflicts = await findSlugConflicts(db, [genreSlug(name), ...(aliases || []).map(genreSlug)], genreId);
+    if (conflicts.length > 0) {
+      return res.status(400).json({ error: 'A genre or alias with this name already exists', conflicts });
+    }
+
+    const parentError = await checkParent(db, genreId, parentId);
+    if (parentError) {
+      return res.status(400).json({ error: parentError });
+    }
+
+    await withTransaction(async (connection) => {
+      await connection.execute(
+        'UPDATE genres SET name = ?, slug = ?, parent_id = ?, updated_at = NOW() WHERE id = ?',
+        [name, genreSlug(name), parentId, genreId]
+      );
+      // Books carry the genre name for listings and search
+      if (name !== genre.name) {
+        await connection.execute('UPDATE books SET genre = ? WHERE genre_id = ?', [name, genreId]);
+      }
+      if (aliases) {
+        await replaceAliases(connection, genreId, aliases);
+      }
+    });
+
+    res.json({
+      message: 'Genre updated successfully',
+      genre: await findGenreNode(db, genreId)
+    });
+  } catch (error) {
+    console.error('Error updating genre:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'A genre or alias with this name already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Merges duplicate genres (given as sourceIds) into the genre in the URL
+const mergeGenresInto = async (req, res) => {
+  try {
+    const targetId = parseInt(req.params.id);
+    const sourceIds = [...new Set(req.body.sourceIds)];
+
+    if (sourceIds.includes(targetId)) {
+      return res.status(400).json({ error: 'A genre cannot be merged into itself' });
+    }
+
+    const db = getDB();
+    const target = await findGenreById(db, targetId);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Genre not found' });
+    }
+
+    const [sources] = await db.query('SELECT id FROM genres WHERE id IN (?)', [sourceIds]);
+    const missing = sourceIds.filter(id => !sources.some(source => source.id === id));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Source genre not found', missing });
+    }
+
+    const result = await withTransaction(connection => mergeGenres(connection, target, sourceIds));
+
+    // Moved books now share a genre with the target's books, which changes related-books lists
+    if (result.booksMoved > 0) {
+      const [books] = await db.execute('SELECT id FROM books WHERE genre_id = ?', [targetId]);
+      await invalidateNeighbours(db, books.map(book => book.id));
+    }
+
+    res.json({
+      message: `Merged ${result.merged.length} genre(s) into "${target.name}"`,
+      ...result,
+      genre: await findGenreNode(db, targetId)
+    });
+  } catch (error) {
+    console.error('Error merging genres:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getGenreTree,
+  createGenre,
+  updateGenre,
+  mergeGenresInto
+};
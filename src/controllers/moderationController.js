@@ -0,0 +1,138 @@
+const { getDB, withTransaction } = require('../config/database');
+const { invalidateNeighbours } = require('../services/relatedBooksService');
+const {
+  moderateReview: applyModeration,
+  fetchModerationQueue,
+  fetchPendingReviews,
+  fetchModerationLog
+} = require('../services/moderationService');
+
+// Body: { reason, details? }. One report per reader per review.
+const reportReview = async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    const { reason, details } = req.body;
+
+    const db = getDB();
+    const [reviews] = await db.execute("SELECT user_id FROM reviews WHERE id = ? AND status = 'published'", [reviewId]);
+
+    if (reviews.length === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (reviews[0].user_id === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot report your own review' });
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO review_reports (review_id, reporter_id, reason, details, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [reviewId, req.user.userId, reason, details || null]
+    );
+
+    res.status(201).json({
+      message: 'Review reported. A moderator will look at it.',
+      reportId: result.insertId
+    });
+  } catch (error) {
+    console.error('Error reporting review:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'You have already reported this review' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// ?queue=reported (default) lists reviews with open reports; ?queue=pending lists
+// reviews the content filter is holding back
+const getModerationQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const queue = req.query.queue || 'reported';
+
+    const db = getDB();
+    const fetchQueue = queue === 'pending' ? fetchPendingReviews : fetchModerationQueue;
+    const { items, total } = await fetchQueue(db, { limit, offset });
+
+    res.json({
+      queue: items,
+      type: queue,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Body: { action: hide | restore | remove | dismiss | approve, reason }
+const moderateReview = async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    const { action, reason } = req.body;
+
+    const db = getDB();
+    const result = await withTransaction(connection => applyModeration(connection, reviewId, req.user.userId, action, reason || null));
+
+    if (!result) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    // Hiding, restoring, approving or removing a review changes the book's co-review signal
+    if (action !== 'dismiss') {
+      await invalidateNeighbours(db, [result.bookId]);
+    }
+
+    const [log] = await fetchModerationLog(db, { logId: result.logId });
+
+    res.json({
+      message: `Review ${reviewId}: ${action} recorded`,
+      entry: log
+    });
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Audit trail of moderator actions, optionally for one review (?review_id=)
+const getModerationLog = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+
+    const db = getDB();
+    const entries = await fetchModerationLog(db, {
+      reviewId: req.query.review_id ? parseInt(req.query.review_id) : null,
+      limit,
+      offset
+    });
+
+    res.json({
+      entries,
+      pagination: { page, limit }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation log:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  reportReview,
+  getModerationQueue,
+  moderateReview,
+  getModerationLog
+};
@@ -0,0 +1,200 @@
+const { getDB, withTransaction } = require('../config/database');
+const { hasPermission } = require('../services/permissionService');
+const { createKeyset, buildCursorPage } = require('../services/paginationService');
+const {
+  MAX_COMMENT_DEPTH,
+  COMMENT_COLUMNS,
+  formatComment,
+  buildCommentThreads,
+  findComment,
+  tombstoneComments
+} = require('../services/reviewCommentService');
+
+// Threads oldest first, so a conversation reads top to bottom
+const THREAD_SORT_COLUMNS = [
+  { expr: 'c.created_at', key: 'created_at', order: 'ASC', type: 'date' },
+  { expr: 'c.id', key: 'id', order: 'ASC' }
+];
+
+// Top-level comments of a review, paginated, each with its full reply tree
+const getReviewComments = async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const keyset = createKeyset(THREAD_SORT_COLUMNS, req.query.cursor);
+    if (!keyset) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const db = getDB();
+    const [reviews] = await db.execute("SELECT id FROM reviews WHERE id = ? AND status = 'published'", [reviewId]);
+    if (reviews.length === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const baseQuery = `SELECT ${COMMENT_COLUMNS}
+       FROM review_comments c
+       LEFT JOIN users u ON c.user_id = u.id
+       WHERE c.review_id = ? AND c.parent_id IS NULL`;
+
+    let topLevel;
+    let cursorPage = null;
+    if (req.query.cursor === undefined) {
+      [topLevel] = await db.execute(
+        `${baseQuery} ORDER BY ${keyset.orderBy} LIMIT ? OFFSET ?`,
+        [reviewId, limit, offset]
+      );
+    } else {
+      const [rows] = await db.execute(
+        `${baseQuery}${keyset.condition ? ` AND ${keyset.condition.sql}` : ''} ORDER BY ${keyset.orderBy} LIMIT ?`,
+        [reviewId, ...(keyset.condition ? keyset.condition.params : []), limit + 1]
+      );
+      cursorPage = buildCursorPage(rows, limit, keyset);
+      topLevel = cursorPage.rows;
+    }
+
+    const comments = await buildCommentThreads(db, topLevel);
+
+    const [counts] = await db.execute(
+      `SELECT SUM(parent_id IS NULL) as threads, SUM(deleted_at IS NULL) as comments
+       FROM review_comments WHERE review_id = ?`,
+      [reviewId]
+    );
+    const total = parseInt(counts[0].threads) || 0;
+
+    res.json({
+      reviewId,
+      comment_count: parseInt(counts[0].comments) || 0,
+      maxDepth: MAX_COMMENT_DEPTH,
+      comments,
+      pagination: cursorPage
+        ? { ...cursorPage.pagination, total }
+        : {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+    });
+  } catch (error) {
+    console.error('Error fetching review comments:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Body: { body, parent_id? }. parent_id makes it a reply to another comment on the review.
+const createComment = async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    const { body, parent_id: parentId } = req.body;
+
+    const db = getDB();
+    const [reviews] = await db.execute("SELECT id FROM reviews WHERE id = ? AND status = 'published'", [reviewId]);
+    if (reviews.length === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    let depth = 1;
+    if (parentId) {
+      const parent = await findComment(db, parentId);
+      if (!parent || parent.review_id !== reviewId) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+      if (parent.deleted_at !== null) {
+        return res.status(400).json({ error: 'Cannot reply to a deleted comment' });
+      }
+      if (parent.depth >= MAX_COMMENT_DEPTH) {
+        return res.status(400).json({ error: `Replies can be nested at most ${MAX_COMMENT_DEPTH} levels deep` });
+      }
+      depth = parent.depth + 1;
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO review_comments (review_id, parent_id, user_id, depth, body, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+      [reviewId, parentId || null, req.user.userId, depth, body]
+    );
+
+    const comment = await findComment(db, result.insertId);
+
+    res.status(201).json({
+      message: 'Comment posted successfully',
+      comment: formatComment(comment)
+    });
+  } catch (error) {
+    console.error('Error creating review comment:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const updateComment = async (req, res) => {
+  try {
+    const commentId = parseInt(req.params.commentId);
+
+    const db = getDB();
+    const existing = await findComment(db, commentId);
+
+    if (!existing || existing.deleted_at !== null) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (existing.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    await db.execute(
+      'UPDATE review_comments SET body = ?, edited_at = NOW(), updated_at = NOW() WHERE id = ?',
+      [req.body.body, commentId]
+    );
+
+    const comment = await findComment(db, commentId);
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: formatComment(comment)
+    });
+  } catch (error) {
+    console.error('Error updating review comment:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Replies stay visible under a tombstone; a comment without replies is removed outright
+const deleteComment = async (req, res) => {
+  try {
+    const commentId = parseInt(req.params.commentId);
+
+    const db = getDB();
+    const existing = await findComment(db, commentId);
+
+    if (!existing || existing.deleted_at !== null) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const isOwner = existing.user_id === req.user.userId;
+    const canModerate = !isOwner && await hasPermission(req.user.role, 'reviews:moderate');
+
+    if (!isOwner && !canModerate) {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    await withTransaction(connection => tombstoneComments(connection, { commentIds: [commentId] }, req.user.userId));
+
+    res.json({
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting review comment:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getReviewComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
@@ -1,4 +1,80 @@
-const { getDB } = require('../config/database');
+const { getDB, withTransaction } = require('../config/database');
+const { hasPermission } = require('../services/permissionService');
+const { applyRatingChange, formatRatingDistribution } = require('../services/ratingService');
+const { invalidateNeighbours } = require('../services/relatedBooksService');
+const { createKeyset, buildCursorPage } = require('../services/paginationService');
+const { castVote, removeVote, findUserVotes, formatVotes } = require('../services/reviewVoteService');
+const { COMMENT_COUNT_COLUMN } = require('../services/reviewCommentService');
+const { formatModeration, flagReview, moderateReview } = require('../services/moderationService');
+const { filterComment } = require('../services/contentFilterService');
+const { REVISION_COLUMNS, formatEditInfo, recordRevision } = require('../services/reviewRevisionService');
+const { REVIEW_COLUMNS } = require('../services/reviewService');
+
+// Runs a submitted comment through the content filter, using the body's locale or the
+// request's Accept-Language to pick the word lists
+const runContentFilter = (db, req, bookId, reviewId = null) => filterComment(db, req.body.comment || null, {
+  bookId,
+  reviewId,
+  locale: req.body.locale || req.get('Accept-Language')
+});
+
+// What the author is told about the filter's outcome
+const formatFilterResult = (filtered) => ({
+  masked: filtered.masked.map(hit => hit.message),
+  flagged: filtered.flagged.map(hit => hit.message)
+});
+
+const flagReason = (filtered) => `Content filter: ${filtered.flagged.map(hit => hit.rule).join(', ')}`;
+
+// Review sort options as ORDER BY columns; the review id keeps reviews created in the
+// same second in a stable order
+const reviewSortColumns = (sort) => {
+  const newest = [
+    { expr: 'r.created_at', key: 'created_at', order: 'DESC', type: 'date' },
+    { expr: 'r.id', key: 'id', order: 'DESC' }
+  ];
+
+  switch (sort) {
+    case 'oldest':
+      return [{ expr: 'r.created_at', key: 'created_at', order: 'ASC', type: 'date' }, { expr: 'r.id', key: 'id', order: 'ASC' }];
+    case 'helpful':
+      // Confidence-adjusted share of helpful votes, then the larger number of helpful votes
+      return [
+        { expr: 'r.helpful_score', key: 'helpful_score', order: 'DESC' },
+        { expr: 'r.helpful_count', key: 'helpful_count', order: 'DESC' },
+        ...newest
+      ];
+    case 'rating_high':
+      return [{ expr: 'r.rating', key: 'rating', order: 'DESC' }, ...newest];
+    case 'rating_low':
+      return [{ expr: 'r.rating', key: 'rating', order: 'ASC' }, ...newest];
+    default: // newest
+      return newest;
+  }
+};
+
+// Runs a reviews query in offset or cursor mode; baseQuery has a WHERE clause and no ORDER BY
+const fetchReviewPage = async (db, req, baseQuery, params, limit, offset, sort = 'newest') => {
+  const keyset = createKeyset(reviewSortColumns(sort), req.query.cursor);
+  if (!keyset) {
+    return null;
+  }
+
+  if (req.query.cursor === undefined) {
+    const [reviews] = await db.execute(
+      `${baseQuery} ORDER BY ${keyset.orderBy} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { reviews, cursorPage: null };
+  }
+
+  const [rows] = await db.execute(
+    `${baseQuery}${keyset.condition ? ` AND ${keyset.condition.sql}` : ''} ORDER BY ${keyset.orderBy} LIMIT ?`,
+    [...params, ...(keyset.condition ? keyset.condition.params : []), limit + 1]
+  );
+  const cursorPage = buildCursorPage(rows, limit, keyset);
+  return { reviews: cursorPage.rows, cursorPage };
+};
 
 const getReviews = async (req, res) => {
   try {
@@ -6,6 +82,7 @@ const getReviews = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
+    const sort = req.query.sort || 'newest';
     
     if (!bookId) {
       return res.status(400).json({ error: 'Book ID is required' });
@@ -15,40 +92,62 @@ const getReviews = async (req, res) => {
       return res.status(400).json({ error: 'Invalid book ID' });
     }
 
+    // Hidden reviews are left out, except for their own author
+    const viewerId = req.user ? req.user.userId : null;
+
     const db = getDB();
-    const [reviews] = await db.execute(
-      `SELECT r.*, u.username, u.id as user_id
+    const result = await fetchReviewPage(
+      db,
+      req,
+      `SELECT ${REVIEW_COLUMNS}, u.username, ${COMMENT_COUNT_COLUMN}
        FROM reviews r
        JOIN users u ON r.user_id = u.id
-       WHERE r.book_id = ?
-       ORDER BY r.created_at DESC
-       LIMIT ? OFFSET ?`,
-      [bookId, limit, offset]
+       WHERE r.book_id = ? AND (r.status = 'published' OR r.user_id = ?)`,
+      [bookId, viewerId],
+      limit,
+      offset,
+      sort
     );
 
-    // Get total count for pagination
-    const [countResult] = await db.execute(
-      'SELECT COUNT(*) as total FROM reviews WHERE book_id = ?',
-      [bookId]
-    );
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
-    const total = countResult[0].total;
+    const { reviews, cursorPage } = result;
+    const userVotes = req.user ? await findUserVotes(db, req.user.userId, reviews.map(review => review.id)) : {};
+
+    let total;
+    if (!cursorPage || req.query.includeTotal !== 'false') {
+      const [countResult] = await db.execute(
+        "SELECT COUNT(*) as total FROM reviews WHERE book_id = ? AND (status = 'published' OR user_id = ?)",
+        [bookId, viewerId]
+      );
+      total = countResult[0].total;
+    }
 
     // Format reviews
     const formattedReviews = reviews.map(review => ({
       ...review,
+      ...formatVotes(review),
+      ...formatModeration(review),
+      ...formatEditInfo(review),
+      comment_count: parseInt(review.comment_count) || 0,
+      ...(req.user && { user_vote: userVotes[review.id] === undefined ? null : userVotes[review.id] }),
       created_at: review.created_at.toISOString(),
       updated_at: review.updated_at ? review.updated_at.toISOString() : review.created_at.toISOString()
     }));
 
     res.json({
       reviews: formattedReviews,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
+      sort,
+      pagination: cursorPage
+        ? { ...cursorPage.pagination, ...(total !== undefined && { total }) }
+        : {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
     });
   } catch (error) {
     console.error('Error fetching reviews:', error);
@@ -62,10 +161,11 @@ const getRecentReviews = async (req, res) => {
 
     const db = getDB();
     const [reviews] = await db.execute(
-      `SELECT r.*, u.username, b.title as book_title, b.id as book_id
+      `SELECT ${REVIEW_COLUMNS}, u.username, b.title as book_title, ${COMMENT_COUNT_COLUMN}
        FROM reviews r
        JOIN users u ON r.user_id = u.id
        JOIN books b ON r.book_id = b.id
+       WHERE r.status = 'published'
        ORDER BY r.created_at DESC
        LIMIT ?`,
       [limit]
@@ -73,6 +173,10 @@ const getRecentReviews = async (req, res) => {
 
     const formattedReviews = reviews.map(review => ({
       ...review,
+      ...formatVotes(review),
+      ...formatModeration(review),
+      ...formatEditInfo(review),
+      comment_count: parseInt(review.comment_count) || 0,
       created_at: review.created_at.toISOString(),
       updated_at: review.updated_at ? review.updated_at.toISOString() : review.created_at.toISOString()
     }));
@@ -95,39 +199,57 @@ const getUserReviews = async (req, res) => {
       return res.status(400).json({ error: 'Invalid user ID' });
     }
 
+    // Authors and moderators also see hidden reviews and ones awaiting moderation
+    const includeHidden = parseInt(userId) === req.user.userId || await hasPermission(req.user.role, 'reviews:moderate');
+    const visibility = includeHidden ? '' : " AND r.status = 'published'";
+
     const db = getDB();
-    const [reviews] = await db.execute(
-      `SELECT r.*, b.title as book_title, b.id as book_id
+    const result = await fetchReviewPage(
+      db,
+      req,
+      `SELECT ${REVIEW_COLUMNS}, b.title as book_title
        FROM reviews r
        JOIN books b ON r.book_id = b.id
-       WHERE r.user_id = ?
-       ORDER BY r.created_at DESC
-       LIMIT ? OFFSET ?`,
-      [userId, limit, offset]
+       WHERE r.user_id = ?${visibility}`,
+      [userId],
+      limit,
+      offset
     );
 
-    // Get total count
-    const [countResult] = await db.execute(
-      'SELECT COUNT(*) as total FROM reviews WHERE user_id = ?',
-      [userId]
-    );
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
-    const total = countResult[0].total;
+    const { reviews, cursorPage } = result;
+
+    let total;
+    if (!cursorPage || req.query.includeTotal !== 'false') {
+      const [countResult] = await db.execute(
+        `SELECT COUNT(*) as total FROM reviews r WHERE r.user_id = ?${visibility}`,
+        [userId]
+      );
+      total = countResult[0].total;
+    }
 
     const formattedReviews = reviews.map(review => ({
       ...review,
+      ...formatVotes(review),
+      ...formatModeration(review),
+      ...formatEditInfo(review),
       created_at: review.created_at.toISOString(),
       updated_at: review.updated_at ? review.updated_at.toISOString() : review.created_at.toISOString()
     }));
 
     res.json({
       reviews: formattedReviews,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
+      pagination: cursorPage
+        ? { ...cursorPage.pagination, ...(total !== undefined && { total }) }
+        : {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
     });
   } catch (error) {
     console.error('Error fetching user reviews:', error);
@@ -137,7 +259,7 @@ const getUserReviews = async (req, res) => {
 
 const createReview = async (req, res) => {
   try {
-    const { book_id, rating, comment } = req.body;
+    const { book_id, rating } = req.body;
     
     if (!book_id || !rating) {
       return res.status(400).json({ error: 'Book ID and rating are required' });
@@ -149,6 +271,18 @@ const createReview = async (req, res) => {
 
     const db = getDB();
 
+    // Optionally require a verified email before posting reviews
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true') {
+      const [users] = await db.execute(
+        'SELECT email_verified_at FROM users WHERE id = ?',
+        [req.user.userId]
+      );
+
+      if (users.length === 0 || !users[0].email_verified_at) {
+        return res.status(403).json({ error: 'Please verify your email address before posting reviews' });
+      }
+    }
+
     // Check if book exists
     const [books] = await db.execute(
       'SELECT id FROM books WHERE id = ?',
@@ -169,14 +303,43 @@ const createReview = async (req, res) => {
       return res.status(400).json({ error: 'You have already reviewed this book' });
     }
 
-    const [result] = await db.execute(
-      'INSERT INTO reviews (user_id, book_id, rating, comment, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())',
-      [req.user.userId, book_id, rating, comment || null]
-    );
+    const filtered = await runContentFilter(db, req, book_id);
+    if (filtered.rejected.length > 0) {
+      return res.status(400).json({
+        error: 'Review rejected by content filter',
+        details: filtered.rejected.map(hit => hit.message)
+      });
+    }
+
+    // The review and the book's rating aggregates change together; a flagged review waits
+    // for a moderator and isn't counted until approved
+    const result = await withTransaction(async (connection) => {
+      const [inserted] = await connection.execute(
+        'INSERT INTO reviews (user_id, book_id, rating, comment, comment_fingerprint, created_at, updated_at) VALUES (?, ?, ?, ?, ?, NOW(), NOW())',
+        [req.user.userId, book_id, rating, filtered.comment, filtered.fingerprint]
+      );
+      if (filtered.status === 'pending') {
+        await flagReview(connection, {
+          id: inserted.insertId,
+          book_id,
+          user_id: req.user.userId,
+          rating,
+          comment: filtered.comment
+        }, flagReason(filtered));
+      } else {
+        await applyRatingChange(connection, book_id, { added: rating });
+      }
+      return inserted;
+    });
+
+    // A new reviewer changes the book's co-review signal
+    if (filtered.status === 'published') {
+      await invalidateNeighbours(db, [parseInt(book_id)]);
+    }
 
     // Get the created review with user info
     const [newReview] = await db.execute(
-      `SELECT r.*, u.username
+      `SELECT ${REVIEW_COLUMNS}, u.username
        FROM reviews r
        JOIN users u ON r.user_id = u.id
        WHERE r.id = ?`,
@@ -185,17 +348,25 @@ const createReview = async (req, res) => {
 
     const formattedReview = {
       ...newReview[0],
+      ...formatModeration(newReview[0]),
+      ...formatEditInfo(newReview[0]),
       created_at: newReview[0].created_at.toISOString(),
       updated_at: newReview[0].updated_at.toISOString()
     };
 
     res.status(201).json({
-      message: 'Review submitted successfully',
+      message: filtered.status === 'pending'
+        ? 'Review submitted and awaiting moderation'
+        : 'Review submitted successfully',
       reviewId: result.insertId,
-      review: formattedReview
+      review: formattedReview,
+      contentFilter: formatFilterResult(filtered)
     });
   } catch (error) {
     console.error('Error creating review:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'You have already reviewed this book' });
+    }
     res.status(500).json({ error: 'Server error' });
   }
 };
@@ -203,7 +374,7 @@ const createReview = async (req, res) => {
 const updateReview = async (req, res) => {
   try {
     const reviewId = req.params.id;
-    const { rating, comment } = req.body;
+    const { rating } = req.body;
 
     if (!rating) {
       return res.status(400).json({ error: 'Rating is required' });
@@ -217,7 +388,7 @@ const updateReview = async (req, res) => {
 
     // Check if review exists and belongs to user
     const [existingReview] = await db.execute(
-      'SELECT user_id FROM reviews WHERE id = ?',
+      'SELECT user_id, book_id FROM reviews WHERE id = ?',
       [reviewId]
     );
 
@@ -231,14 +402,59 @@ const updateReview = async (req, res) => {
       });
     }
 
-    await db.execute(
-      'UPDATE reviews SET rating = ?, comment = ?, updated_at = NOW() WHERE id = ?',
-      [rating, comment || null, reviewId]
-    );
+    const filtered = await runContentFilter(db, req, existingReview[0].book_id, reviewId);
+    if (filtered.rejected.length > 0) {
+      return res.status(400).json({
+        error: 'Review rejected by content filter',
+        details: filtered.rejected.map(hit => hit.message)
+      });
+    }
+
+    const updated = await withTransaction(async (connection) => {
+      // Lock the row so a concurrent edit can't apply the same old rating twice
+      const [current] = await connection.execute(
+        `SELECT ${REVISION_COLUMNS} FROM reviews WHERE id = ? FOR UPDATE`,
+        [reviewId]
+      );
+      if (current.length === 0) {
+        return false;
+      }
+      // Keep the version being replaced, unless nothing actually changed
+      if (parseInt(rating) !== current[0].rating || filtered.comment !== current[0].comment) {
+        await recordRevision(connection, current[0], req.user.userId);
+      }
+      await connection.execute(
+        'UPDATE reviews SET rating = ?, comment = ?, comment_fingerprint = ?, updated_at = NOW() WHERE id = ?',
+        [rating, filtered.comment, filtered.fingerprint, reviewId]
+      );
+
+      // A published review the filter now flags goes back to the pending queue; hidden and
+      // pending reviews keep their status. Only published reviews are in the aggregates.
+      const wasPublished = current[0].status === 'published';
+      const flagged = wasPublished && filtered.status === 'pending';
+      if (flagged) {
+        await flagReview(connection, { ...current[0], rating, comment: filtered.comment }, flagReason(filtered));
+      }
+      if (wasPublished) {
+        await applyRatingChange(connection, current[0].book_id, {
+          added: flagged ? null : rating,
+          removed: current[0].rating
+        });
+      }
+      return { bookId: current[0].book_id, flagged };
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (updated.flagged) {
+      await invalidateNeighbours(db, [updated.bookId]);
+    }
 
     // Get updated review
     const [updatedReview] = await db.execute(
-      `SELECT r.*, u.username
+      `SELECT ${REVIEW_COLUMNS}, u.username
        FROM reviews r
        JOIN users u ON r.user_id = u.id
        WHERE r.id = ?`,
@@ -247,13 +463,18 @@ const updateReview = async (req, res) => {
 
     const formattedReview = {
       ...updatedReview[0],
+      ...formatModeration(updatedReview[0]),
+      ...formatEditInfo(updatedReview[0]),
       created_at: updatedReview[0].created_at.toISOString(),
       updated_at: updatedReview[0].updated_at.toISOString()
     };
 
     res.json({
-      message: 'Review updated successfully',
-      review: formattedReview
+      message: updated.flagged
+        ? 'Review updated and awaiting moderation'
+        : 'Review updated successfully',
+      review: formattedReview,
+      contentFilter: formatFilterResult(filtered)
     });
   } catch (error) {
     console.error('Error updating review:', error);
@@ -267,7 +488,7 @@ const deleteReview = async (req, res) => {
 
     const db = getDB();
 
-    // Check if review exists and belongs to user or user is admin
+    // Check if review exists
     const [existingReview] = await db.execute(
       'SELECT user_id FROM reviews WHERE id = ?',
       [reviewId]
@@ -277,23 +498,38 @@ const deleteReview = async (req, res) => {
       return res.status(404).json({ error: 'Review not found' });
     }
 
-    // Check if user owns the review or is admin
-    const [user] = await db.execute(
-      'SELECT role FROM users WHERE id = ?',
-      [req.user.userId]
-    );
-
-    const isAdmin = user[0]?.role === 'admin';
+    // Check if user owns the review or can moderate reviews
     const isOwner = existingReview[0].user_id === req.user.userId;
+    const canModerate = !isOwner && await hasPermission(req.user.role, 'reviews:moderate');
 
-    if (!isOwner && !isAdmin) {
+    if (!isOwner && !canModerate) {
       return res.status(403).json({ error: 'You can only delete your own reviews' });
     }
 
-    await db.execute(
-      'DELETE FROM reviews WHERE id = ?',
-      [reviewId]
-    );
+    const deletedBookId = await withTransaction(async (connection) => {
+      // A moderator removing someone else's review goes through the audit log
+      if (canModerate) {
+        const removed = await moderateReview(connection, reviewId, req.user.userId, 'remove', req.body?.reason || null);
+        return removed ? removed.bookId : null;
+      }
+
+      const [current] = await connection.execute(
+        'SELECT book_id, rating, status FROM reviews WHERE id = ? FOR UPDATE',
+        [reviewId]
+      );
+      if (current.length === 0) {
+        return null;
+      }
+      await connection.execute('DELETE FROM reviews WHERE id = ?', [reviewId]);
+      if (current[0].status === 'published') {
+        await applyRatingChange(connection, current[0].book_id, { removed: current[0].rating });
+      }
+      return current[0].book_id;
+    });
+
+    if (deletedBookId) {
+      await invalidateNeighbours(db, [deletedBookId]);
+    }
 
     res.json({
       message: 'Review deleted successfully'
@@ -308,20 +544,21 @@ const getReviewStats = async (req, res) => {
   try {
     const db = getDB();
 
-    // Get total reviews count
+    // Get total reviews count; like the book rating aggregates, only published reviews count
     const [totalReviews] = await db.execute(
-      'SELECT COUNT(*) as total FROM reviews'
+      "SELECT COUNT(*) as total FROM reviews WHERE status = 'published'"
     );
 
     // Get average rating across all books
     const [avgRating] = await db.execute(
-      'SELECT AVG(rating) as average FROM reviews'
+      "SELECT AVG(rating) as average FROM reviews WHERE status = 'published'"
     );
 
     // Get reviews by rating distribution
     const [ratingDistribution] = await db.execute(
       `SELECT rating, COUNT(*) as count
        FROM reviews
+       WHERE status = 'published'
        GROUP BY rating
        ORDER BY rating DESC`
     );
@@ -330,7 +567,7 @@ const getReviewStats = async (req, res) => {
     const [topReviewers] = await db.execute(
       `SELECT u.username, u.id, COUNT(r.id) as review_count
        FROM users u
-       JOIN reviews r ON u.id = r.user_id
+       JOIN reviews r ON u.id = r.user_id AND r.status = 'published'
        GROUP BY u.id, u.username
        ORDER BY review_count DESC
        LIMIT 10`
@@ -340,7 +577,7 @@ const getReviewStats = async (req, res) => {
     const [recentActivity] = await db.execute(
       `SELECT COUNT(*) as count
        FROM reviews
-       WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)`
+       WHERE status = 'published' AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)`
     );
 
     res.json({
@@ -373,9 +610,10 @@ const getBookReviewSummary = async (req, res) => {
 
     const db = getDB();
 
-    // Check if book exists
+    // Review statistics come from the book's stored rating aggregates
     const [book] = await db.execute(
-      'SELECT id, title FROM books WHERE id = ?',
+      `SELECT id, title, average_rating, rating_count, rating_1, rating_2, rating_3, rating_4, rating_5
+       FROM books WHERE id = ?`,
       [bookId]
     );
 
@@ -383,57 +621,56 @@ const getBookReviewSummary = async (req, res) => {
       return res.status(404).json({ error: 'Book not found' });
     }
 
-    // Get review statistics for this book
-    const [stats] = await db.execute(
-      `SELECT 
-         COUNT(*) as total_reviews,
-         AVG(rating) as average_rating,
-         MIN(rating) as min_rating,
-         MAX(rating) as max_rating
-       FROM reviews 
-       WHERE book_id = ?`,
-      [bookId]
-    );
-
-    // Get rating distribution for this book
-    const [ratingDistribution] = await db.execute(
-      `SELECT rating, COUNT(*) as count
-       FROM reviews
-       WHERE book_id = ?
-       GROUP BY rating
-       ORDER BY rating DESC`,
-      [bookId]
-    );
+    const distribution = formatRatingDistribution(book[0]);
+    const ratingDistribution = [5, 4, 3, 2, 1]
+      .filter(rating => distribution[rating] > 0)
+      .map(rating => ({ rating, count: distribution[rating] }));
 
     // Get recent reviews for this book
     const [recentReviews] = await db.execute(
-      `SELECT r.rating, r.comment, r.created_at, u.username
+      `SELECT r.id, r.rating, r.comment, r.created_at, r.edited_at, r.revision_count, r.helpful_count, r.not_helpful_count, r.helpful_score, u.username
        FROM reviews r
        JOIN users u ON r.user_id = u.id
-       WHERE r.book_id = ?
+       WHERE r.book_id = ? AND r.status = 'published'
        ORDER BY r.created_at DESC
        LIMIT 5`,
       [bookId]
     );
 
-    const totalReviews = stats[0].total_reviews;
+    // The review readers found most useful, once at least one has been voted helpful
+    const [mostHelpful] = await db.execute(
+      `SELECT r.id, r.rating, r.comment, r.created_at, r.edited_at, r.revision_count, r.helpful_count, r.not_helpful_count, r.helpful_score, u.username
+       FROM reviews r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.book_id = ? AND r.status = 'published' AND r.helpful_count > 0
+       ORDER BY r.helpful_score DESC, r.helpful_count DESC, r.created_at DESC
+       LIMIT 1`,
+      [bookId]
+    );
+
+    const formatSummaryReview = (review) => ({
+      ...review,
+      ...formatVotes(review),
+      ...formatEditInfo(review),
+      created_at: review.created_at.toISOString()
+    });
+
+    const totalReviews = book[0].rating_count;
 
     res.json({
       bookId: parseInt(bookId),
       bookTitle: book[0].title,
       totalReviews: totalReviews,
-      averageRating: parseFloat(stats[0].average_rating || 0).toFixed(2),
-      minRating: stats[0].min_rating || 0,
-      maxRating: stats[0].max_rating || 0,
+      averageRating: parseFloat(book[0].average_rating || 0).toFixed(2),
+      minRating: ratingDistribution.length > 0 ? ratingDistribution[ratingDistribution.length - 1].rating : 0,
+      maxRating: ratingDistribution.length > 0 ? ratingDistribution[0].rating : 0,
       ratingDistribution: ratingDistribution.map(item => ({
         rating: item.rating,
         count: item.count,
         percentage: totalReviews > 0 ? ((item.count / totalReviews) * 100).toFixed(1) : '0'
       })),
-      recentReviews: recentReviews.map(review => ({
-        ...review,
-        created_at: review.created_at.toISOString()
-      }))
+      recentReviews: recentReviews.map(formatSummaryReview),
+      mostHelpfulReview: mostHelpful.length > 0 ? formatSummaryReview(mostHelpful[0]) : null
     });
   } catch (error) {
     console.error('Error fetching book review summary:', error);
@@ -441,6 +678,70 @@ const getBookReviewSummary = async (req, res) => {
   }
 };
 
+// Body: { helpful: true | false }. Voting again replaces the reader's earlier vote.
+const voteOnReview = async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    const helpful = req.body.helpful;
+
+    const db = getDB();
+    const [reviews] = await db.execute('SELECT user_id, status FROM reviews WHERE id = ?', [reviewId]);
+
+    if (reviews.length === 0 || reviews[0].status !== 'published') {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (reviews[0].user_id === req.user.userId) {
+      return res.status(403).json({ error: 'You cannot vote on your own review' });
+    }
+
+    const previous = await withTransaction(connection => castVote(connection, reviewId, req.user.userId, helpful));
+
+    const [updated] = await db.execute(
+      'SELECT helpful_count, not_helpful_count, helpful_score FROM reviews WHERE id = ?',
+      [reviewId]
+    );
+
+    res.status(previous === null ? 201 : 200).json({
+      message: previous === null ? 'Vote recorded' : 'Vote updated',
+      reviewId,
+      user_vote: helpful,
+      ...formatVotes(updated[0])
+    });
+  } catch (error) {
+    console.error('Error voting on review:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const removeReviewVote = async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+
+    const db = getDB();
+    const previous = await withTransaction(connection => removeVote(connection, reviewId, req.user.userId));
+
+    if (previous === null) {
+      return res.status(404).json({ error: 'Vote not found' });
+    }
+
+    const [updated] = await db.execute(
+      'SELECT helpful_count, not_helpful_count, helpful_score FROM reviews WHERE id = ?',
+      [reviewId]
+    );
+
+    res.json({
+      message: 'Vote removed',
+      reviewId,
+      user_vote: null,
+      ...formatVotes(updated[0])
+    });
+  } catch (error) {
+    console.error('Error removing review vote:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 module.exports = {
   getReviews,
   getRecentReviews,
@@ -449,5 +750,7 @@ module.exports = {
   updateReview,
   deleteReview,
   getReviewStats,
-  getBookReviewSummary
+  getBookReviewSummary,
+  voteOnReview,
+  removeReviewVote
 };
@@ -0,0 +1,70 @@
+const { getDB, withTransaction } = require('../config/database');
+const { hasPermission } = require('../services/permissionService');
+const { fetchModerationLog } = require('../services/moderationService');
+const {
+  REVISION_COLUMNS,
+  formatEditInfo,
+  fetchRevisionHistory,
+  revertReview: applyRevert
+} = require('../services/reviewRevisionService');
+
+// Every version of a review, for its author and moderators
+const getReviewHistory = async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+
+    const db = getDB();
+    const [reviews] = await db.execute(`SELECT ${REVISION_COLUMNS} FROM reviews WHERE id = ?`, [reviewId]);
+    if (reviews.length === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const isOwner = reviews[0].user_id === req.user.userId;
+    if (!isOwner && !await hasPermission(req.user.role, 'reviews:moderate')) {
+      return res.status(403).json({ error: 'Only the author or a moderator can see a review\'s history' });
+    }
+
+    res.json({
+      reviewId,
+      ...formatEditInfo(reviews[0]),
+      revisions: await fetchRevisionHistory(db, reviews[0])
+    });
+  } catch (error) {
+    console.error('Error fetching review history:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Body: { revision, reason }. The version being replaced is kept in the history too.
+const revertReview = async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    const { revision, reason } = req.body;
+
+    const db = getDB();
+    const result = await withTransaction(connection => applyRevert(connection, reviewId, revision, req.user.userId, reason));
+
+    if (!result) {
+      return res.status(404).json({ error: 'Review or revision not found' });
+    }
+
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    const [log] = await fetchModerationLog(db, { logId: result.logId });
+
+    res.json({
+      message: `Review ${reviewId} reverted to revision ${revision}`,
+      entry: log
+    });
+  } catch (error) {
+    console.error('Error reverting review:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getReviewHistory,
+  revertReview
+};
@@ -0,0 +1,193 @@
+const { getDB, withTransaction } = require('../config/database');
+const { invalidatePermissionCache } = require('../services/permissionService');
+
+const fetchRoles = async (db) => {
+  const [rows] = await db.execute(
+    `SELECT r.id, r.name, r.description, r.is_system, r.created_at,
+            GROUP_CONCAT(p.name ORDER BY p.name SEPARATOR ',') as permissions,
+            (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count
+     FROM roles r
+     LEFT JOIN role_permissions rp ON r.id = rp.role_id
+     LEFT JOIN permissions p ON rp.permission_id = p.id
+     GROUP BY r.id
+     ORDER BY r.id ASC`
+  );
+
+  return rows.map(role => ({
+    ...role,
+    is_system: Boolean(role.is_system),
+    permissions: role.permissions ? role.permissions.split(',') : [],
+    user_count: parseInt(role.user_count) || 0,
+    created_at: role.created_at.toISOString()
+  }));
+};
+
+// Splits requested permission names into known permission rows and unknown names
+const resolvePermissions = async (db, permissionNames) => {
+  if (permissionNames.length === 0) {
+    return { known: [], unknown: [] };
+  }
+
+  const [known] = await db.query(
+    'SELECT id, name FROM permissions WHERE name IN (?)',
+    [permissionNames]
+  );
+  const unknown = permissionNames.filter(name => !known.some(p => p.name === name));
+  return { known, unknown };
+};
+
+const replaceRolePermissions = async (connection, roleId, permissions) => {
+  await connection.execute('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+  for (const permission of permissions) {
+    await connection.execute(
+      'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+      [roleId, permission.id]
+    );
+  }
+};
+
+const getRoles = async (req, res) => {
+  try {
+    const db = getDB();
+    const roles = await fetchRoles(db);
+    res.json(roles);
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const getPermissions = async (req, res) => {
+  try {
+    const db = getDB();
+    const [permissions] = await db.execute(
+      'SELECT id, name, description FROM permissions ORDER BY name ASC'
+    );
+    res.json(permissions);
+  } catch (error) {
+    console.error('Error fetching permissions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    const db = getDB();
+    const [existing] = await db.execute('SELECT id FROM roles WHERE name = ?', [name]);
+    if (existing.length > 0) {
+      return res.status(400).json({ error: 'A role with this name already exists' });
+    }
+
+    const { known, unknown } = await resolvePermissions(db, permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown permissions', permissions: unknown });
+    }
+
+    await withTransaction(async (connection) => {
+      const [result] = await connection.execute(
+        'INSERT INTO roles (name, description) VALUES (?, ?)',
+        [name, description || null]
+      );
+      await replaceRolePermissions(connection, result.insertId, known);
+    });
+
+    invalidatePermissionCache();
+
+    const roles = await fetchRoles(db);
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: roles.find(role => role.name === name)
+    });
+  } catch (error) {
+    console.error('Error creating role:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'A role with this name already exists' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const updateRolePermissions = async (req, res) => {
+  try {
+    const roleName = req.params.name;
+    const { permissions } = req.body;
+
+    const db = getDB();
+    const [roles] = await db.execute('SELECT id, name FROM roles WHERE name = ?', [roleName]);
+    if (roles.length === 0) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    // Stripping admin of role management would lock everyone out of this endpoint
+    if (roleName === 'admin' && !permissions.includes('roles:manage')) {
+      return res.status(400).json({ error: 'The admin role must keep the roles:manage permission' });
+    }
+
+    const { known, unknown } = await resolvePermissions(db, permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown permissions', permissions: unknown });
+    }
+
+    await withTransaction(async (connection) => {
+      await replaceRolePermissions(connection, roles[0].id, known);
+    });
+
+    invalidatePermissionCache();
+
+    const updatedRoles = await fetchRoles(db);
+    res.json({
+      message: 'Role permissions updated successfully',
+      role: updatedRoles.find(role => role.name === roleName)
+    });
+  } catch (error) {
+    console.error('Error updating role permissions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const deleteRole = async (req, res) => {
+  try {
+    const roleName = req.params.name;
+
+    const db = getDB();
+    const [roles] = await db.execute(
+      'SELECT id, is_system FROM roles WHERE name = ?',
+      [roleName]
+    );
+
+    if (roles.length === 0) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (roles[0].is_system) {
+      return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    const [members] = await db.execute(
+      'SELECT COUNT(*) as count FROM users WHERE role = ?',
+      [roleName]
+    );
+
+    if (members[0].count > 0) {
+      return res.status(400).json({ error: 'Reassign users with this role before deleting it' });
+    }
+
+    await db.execute('DELETE FROM roles WHERE id = ?', [roles[0].id]);
+    invalidatePermissionCache();
+
+    res.json({ message: `Role "${roleName}" deleted successfully` });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRolePermissions,
+  deleteRole
+};
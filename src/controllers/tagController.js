@@ -0,0 +1,106 @@
+const { getDB, withTransaction } = require('../config/database');
+const { hasPermission } = require('../services/permissionService');
+const { escapeLike } = require('../services/searchService');
+const { addBookTags, findTagsForBooks } = require('../services/tagService');
+const { invalidateNeighbours, invalidateSimilarBooks } = require('../services/relatedBooksService');
+
+// Most used tags first
+const getTags = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const search = req.query.search || '';
+
+    const db = getDB();
+    const [tags] = await db.execute(
+      `SELECT t.id, t.name, t.slug, COUNT(bt.book_id) as book_count
+       FROM tags t
+       JOIN book_tags bt ON bt.tag_id = t.id
+       ${search ? 'WHERE t.name LIKE ?' : ''}
+       GROUP BY t.id
+       ORDER BY book_count DESC, t.name ASC
+       LIMIT ?`,
+      [...(search ? [`%${escapeLike(search)}%`] : []), limit]
+    );
+
+    res.json(tags.map(tag => ({ ...tag, book_count: parseInt(tag.book_count) || 0 })));
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const addTagsToBook = async (req, res) => {
+  try {
+    const bookId = parseInt(req.params.id);
+    const db = getDB();
+
+    const [books] = await db.execute('SELECT id FROM books WHERE id = ?', [bookId]);
+    if (books.length === 0) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    await withTransaction(connection => addBookTags(connection, bookId, req.body.tags, req.user.userId));
+
+    // Shared tags feed the related-books genre signal
+    await invalidateNeighbours(db, [bookId]);
+    await invalidateSimilarBooks(db, bookId);
+
+    const tags = await findTagsForBooks(db, [bookId]);
+
+    res.status(201).json({
+      message: 'Tags added successfully',
+      tags: tags[bookId] || []
+    });
+  } catch (error) {
+    console.error('Error adding tags:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Whoever applied a tag can remove it; curators can remove any tag
+const removeTagFromBook = async (req, res) => {
+  try {
+    const bookId = parseInt(req.params.id);
+    const db = getDB();
+
+    const [links] = await db.execute(
+      `SELECT bt.tag_id, bt.applied_by
+       FROM book_tags bt
+       JOIN tags t ON t.id = bt.tag_id
+       WHERE bt.book_id = ? AND t.slug = ?`,
+      [bookId, req.params.tag]
+    );
+
+    if (links.length === 0) {
+      return res.status(404).json({ error: 'Tag not found on this book' });
+    }
+
+    const isApplier = links[0].applied_by === req.user.userId;
+    const canCurate = !isApplier && await hasPermission(req.user.role, 'books:write');
+
+    if (!isApplier && !canCurate) {
+      return res.status(403).json({ error: 'You can only remove tags you added' });
+    }
+
+    // Books that shared the tag lose it as a related-books signal
+    await invalidateSimilarBooks(db, bookId);
+    await db.execute('DELETE FROM book_tags WHERE book_id = ? AND tag_id = ?', [bookId, links[0].tag_id]);
+    await invalidateNeighbours(db, [bookId]);
+
+    const tags = await findTagsForBooks(db, [bookId]);
+
+    res.json({
+      message: 'Tag removed successfully',
+      tags: tags[bookId] || []
+    });
+  } catch (error) {
+    console.error('Error removing tag:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getTags,
+  addTagsToBook,
+  removeTagFromBook
+};
@@ -1,5 +1,20 @@
-const { getDB } = require('../config/database');
+const { getDB, withTransaction } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const { hasPermission, roleExists } = require('../services/permissionService');
+const { createKeyset, buildCursorPage } = require('../services/paginationService');
+const { recomputeRatingAggregates } = require('../services/ratingService');
+const { invalidateNeighbours } = require('../services/relatedBooksService');
+const { recomputeVoteCounts, formatVotes } = require('../services/reviewVoteService');
+const { tombstoneComments } = require('../services/reviewCommentService');
+const { formatModeration } = require('../services/moderationService');
+const { formatEditInfo } = require('../services/reviewRevisionService');
+const { REVIEW_COLUMNS } = require('../services/reviewService');
+
+// Newest accounts first, with the user id as tie-breaker
+const USER_SORT_COLUMNS = [
+  { expr: 'u.created_at', key: 'created_at', order: 'DESC', type: 'date' },
+  { expr: 'u.id', key: 'id', order: 'DESC' }
+];
 
 const getUsers = async (req, res) => {
   try {
@@ -7,6 +22,12 @@ const getUsers = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const search = req.query.search || '';
     const offset = (page - 1) * limit;
+    const cursorMode = req.query.cursor !== undefined;
+
+    const keyset = createKeyset(USER_SORT_COLUMNS, req.query.cursor);
+    if (!keyset) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
     let query = `
       SELECT u.id, u.username, u.email, u.role, u.created_at,
@@ -15,29 +36,50 @@ const getUsers = async (req, res) => {
       LEFT JOIN reviews r ON u.id = r.user_id
     `;
     let params = [];
+    let whereConditions = [];
 
     if (search) {
-      query += ' WHERE u.username LIKE ? OR u.email LIKE ?';
+      whereConditions.push('(u.username LIKE ? OR u.email LIKE ?)');
       params.push(`%${search}%`, `%${search}%`);
     }
 
-    query += ' GROUP BY u.id ORDER BY u.created_at DESC LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+    if (keyset.condition) {
+      whereConditions.push(keyset.condition.sql);
+      params.push(...keyset.condition.params);
+    }
+
+    if (whereConditions.length > 0) {
+      query += ' WHERE ' + whereConditions.join(' AND ');
+    }
+
+    query += ` GROUP BY u.id ORDER BY ${keyset.orderBy}`;
+    if (cursorMode) {
+      query += ' LIMIT ?';
+      params.push(limit + 1);
+    } else {
+      query += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+    }
 
     const db = getDB();
-    const [users] = await db.execute(query, params);
-    
-    // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) as total FROM users';
-    let countParams = [];
-    
-    if (search) {
-      countQuery += ' WHERE username LIKE ? OR email LIKE ?';
-      countParams.push(`%${search}%`, `%${search}%`);
+    const [rows] = await db.execute(query, params);
+    const cursorPage = cursorMode ? buildCursorPage(rows, limit, keyset) : null;
+    const users = cursorPage ? cursorPage.rows : rows;
+
+    let total;
+    if (!cursorMode || req.query.includeTotal !== 'false') {
+      // Get total count for pagination
+      let countQuery = 'SELECT COUNT(*) as total FROM users';
+      let countParams = [];
+
+      if (search) {
+        countQuery += ' WHERE username LIKE ? OR email LIKE ?';
+        countParams.push(`%${search}%`, `%${search}%`);
+      }
+
+      const [countResult] = await db.execute(countQuery, countParams);
+      total = countResult[0].total;
     }
-    
-    const [countResult] = await db.execute(countQuery, countParams);
-    const total = countResult[0].total;
 
     const formattedUsers = users.map(user => ({
       ...user,
@@ -47,12 +89,14 @@ const getUsers = async (req, res) => {
 
     res.json({
       users: formattedUsers,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
+      pagination: cursorPage
+        ? { ...cursorPage.pagination, ...(total !== undefined && { total }) }
+        : {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
     });
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -78,22 +122,23 @@ const getUserById = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Get user's review statistics
+    // Get user's review statistics; like the book aggregates, only published reviews count
     const [reviewStats] = await db.execute(
       `SELECT 
          COUNT(*) as total_reviews,
          AVG(rating) as average_rating
        FROM reviews 
-       WHERE user_id = ?`,
+       WHERE user_id = ? AND status = 'published'`,
       [userId]
     );
 
-    // Get user's recent reviews
+    // Get user's recent reviews; hidden and pending ones only for the author and moderators
+    const includeHidden = parseInt(userId) === req.user.userId || await hasPermission(req.user.role, 'reviews:moderate');
     const [recentReviews] = await db.execute(
-      `SELECT r.*, b.title as book_title, b.id as book_id
+      `SELECT ${REVIEW_COLUMNS}, b.title as book_title
        FROM reviews r
        JOIN books b ON r.book_id = b.id
-       WHERE r.user_id = ?
+       WHERE r.user_id = ?${includeHidden ? '' : " AND r.status = 'published'"}
        ORDER BY r.created_at DESC
        LIMIT 5`,
       [userId]
@@ -108,6 +153,9 @@ const getUserById = async (req, res) => {
       },
       recentReviews: recentReviews.map(review => ({
         ...review,
+        ...formatVotes(review),
+        ...formatModeration(review),
+        ...formatEditInfo(review),
         created_at: review.created_at.toISOString(),
         updated_at: review.updated_at ? review.updated_at.toISOString() : review.created_at.toISOString()
       }))
@@ -133,20 +181,16 @@ const updateUser = async (req, res) => {
       return res.status(400).json({ error: 'Username and email are required' });
     }
 
-    // Check if user is updating their own profile or is admin
-    const db = getDB();
-    const [currentUser] = await db.execute(
-      'SELECT role FROM users WHERE id = ?',
-      [req.user.userId]
-    );
-
-    const isAdmin = currentUser[0]?.role === 'admin';
+    // Check if user is updating their own profile or can manage users
+    const canManageUsers = await hasPermission(req.user.role, 'users:manage');
     const isOwner = parseInt(userId) === req.user.userId;
 
-    if (!isAdmin && !isOwner) {
+    if (!canManageUsers && !isOwner) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
+    const db = getDB();
+
     // Check if user exists
     const [existingUser] = await db.execute(
       'SELECT id FROM users WHERE id = ?',
@@ -209,7 +253,7 @@ const updateUserRole = async (req, res) => {
     const { role } = req.body;
     const userId = req.params.id;
     
-    if (!['user', 'admin'].includes(role)) {
+    if (!(await roleExists(role))) {
       return res.status(400).json({ error: 'Invalid role' });
     }
 
@@ -222,10 +266,11 @@ const updateUserRole = async (req, res) => {
       return res.status(400).json({ error: 'Cannot change your own role' });
     }
 
+    // Bumping token_version invalidates access tokens that still carry the old role
     const db = getDB();
     const [result] = await db.execute(
-      'UPDATE users SET role = ?, updated_at = NOW() WHERE id = ?',
-            [role, userId]
+      'UPDATE users SET role = ?, token_version = token_version + 1, updated_at = NOW() WHERE id = ?',
+      [role, userId]
     );
 
     if (result.affectedRows === 0) {
@@ -266,28 +311,44 @@ const deleteUser = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Start transaction for data integrity
-    await db.execute('START TRANSACTION');
+    const reviewedBookIds = await withTransaction(async (connection) => {
+      // Their reviews leave the rating aggregates of the books they reviewed
+      const [reviewedBooks] = await connection.execute(
+        'SELECT DISTINCT book_id FROM reviews WHERE user_id = ?',
+        [userId]
+      );
+
+      // Their votes on other readers' reviews come off those reviews' counts
+      const [votedReviews] = await connection.execute(
+        'SELECT review_id FROM review_votes WHERE user_id = ?',
+        [userId]
+      );
+
+      // Their comments on other reviews become tombstones so reply threads survive
+      await tombstoneComments(connection, { userId }, req.user.userId);
 
-    try {
       // Delete user's reviews first (due to foreign key constraints)
-      await db.execute('DELETE FROM reviews WHERE user_id = ?', [userId]);
-      
+      await connection.execute('DELETE FROM reviews WHERE user_id = ?', [userId]);
+      await connection.execute('DELETE FROM review_votes WHERE user_id = ?', [userId]);
+      await recomputeVoteCounts(connection, votedReviews.map(row => row.review_id));
+
       // Delete user's wishlist items
-      await db.execute('DELETE FROM wishlist WHERE user_id = ?', [userId]);
-      
+      await connection.execute('DELETE FROM wishlist WHERE user_id = ?', [userId]);
+
       // Delete the user
-      await db.execute('DELETE FROM users WHERE id = ?', [userId]);
-      
-      await db.execute('COMMIT');
+      await connection.execute('DELETE FROM users WHERE id = ?', [userId]);
 
-      res.json({
-        message: `User "${existingUser[0].username}" and all associated data deleted successfully`
-      });
-    } catch (error) {
-      await db.execute('ROLLBACK');
-      throw error;
-    }
+      const bookIds = reviewedBooks.map(row => row.book_id);
+      await recomputeRatingAggregates(connection, bookIds);
+      return bookIds;
+    });
+
+    // Their reviews also fed the co-review signal of those books
+    await invalidateNeighbours(db, reviewedBookIds);
+
+    res.json({
+      message: `User "${existingUser[0].username}" and all associated data deleted successfully`
+    });
   } catch (error) {
     console.error('Error deleting user:', error);
     res.status(500).json({ error: 'Server error' });
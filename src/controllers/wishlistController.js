@@ -0,0 +1,272 @@
+const { getDB, withTransaction } = require('../config/database');
+const { SHELVES } = require('../services/wishlistService');
+
+const formatWishlistItem = (item) => ({
+  ...item,
+  average_rating: parseFloat(item.average_rating) || 0,
+  weighted_rating: parseFloat(item.weighted_rating) || 0,
+  review_count: parseInt(item.review_count) || 0,
+  published_date: item.published_date ? item.published_date.toISOString().split('T')[0] : null,
+  created_at: item.created_at.toISOString(),
+  updated_at: item.updated_at ? item.updated_at.toISOString() : item.created_at.toISOString()
+});
+
+const fetchWishlistItem = async (db, userId, bookId) => {
+  const [items] = await db.execute(
+    `SELECT w.id, w.book_id, w.shelf, w.position, w.created_at, w.updated_at,
+            b.title, b.author, b.genre, b.cover_image, b.published_date,
+            b.average_rating, b.weighted_rating, b.rating_count as review_count
+     FROM wishlist w
+     JOIN books b ON w.book_id = b.id
+     WHERE w.user_id = ? AND w.book_id = ?`,
+    [userId, bookId]
+  );
+  return items.length > 0 ? formatWishlistItem(items[0]) : null;
+};
+
+// Next free position at the end of a shelf
+const nextPosition = async (db, userId, shelf) => {
+  const [rows] = await db.execute(
+    'SELECT COALESCE(MAX(position), 0) + 1 as next_position FROM wishlist WHERE user_id = ? AND shelf = ?',
+    [userId, shelf]
+  );
+  return parseInt(rows[0].next_position) || 1;
+};
+
+const getWishlist = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const shelf = req.query.shelf || '';
+
+    if (shelf && !SHELVES.includes(shelf)) {
+      return res.status(400).json({ error: `Shelf must be one of: ${SHELVES.join(', ')}` });
+    }
+
+    let query = `
+      SELECT w.id, w.book_id, w.shelf, w.position, w.created_at, w.updated_at,
+             b.title, b.author, b.genre, b.cover_image, b.published_date,
+             b.average_rating, b.weighted_rating, b.rating_count as review_count
+      FROM wishlist w
+      JOIN books b ON w.book_id = b.id
+      WHERE w.user_id = ?
+    `;
+    const params = [userId];
+
+    if (shelf) {
+      query += ' AND w.shelf = ?';
+      params.push(shelf);
+    }
+
+    query += ` ORDER BY FIELD(w.shelf, 'want_to_read', 'reading', 'finished'), w.position ASC, w.created_at ASC`;
+
+    const db = getDB();
+    const [items] = await db.execute(query, params);
+
+    const formattedItems = items.map(formatWishlistItem);
+
+    const counts = SHELVES.reduce((acc, name) => ({ ...acc, [name]: 0 }), {});
+    formattedItems.forEach(item => {
+      counts[item.shelf] += 1;
+    });
+
+    res.json({
+      items: formattedItems,
+      counts: shelf ? { [shelf]: formattedItems.length } : counts,
+      total: formattedItems.length
+    });
+  } catch (error) {
+    console.error('Error fetching wishlist:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const addToWishlist = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { book_id, shelf = 'want_to_read' } = req.body;
+
+    if (!book_id || isNaN(book_id)) {
+      return res.status(400).json({ error: 'Valid book ID is required' });
+    }
+
+    if (!SHELVES.includes(shelf)) {
+      return res.status(400).json({ error: `Shelf must be one of: ${SHELVES.join(', ')}` });
+    }
+
+    const db = getDB();
+
+    const [books] = await db.execute('SELECT id FROM books WHERE id = ?', [book_id]);
+    if (books.length === 0) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    const [existing] = await db.execute(
+      'SELECT id FROM wishlist WHERE user_id = ? AND book_id = ?',
+      [userId, book_id]
+    );
+
+    if (existing.length > 0) {
+      return res.status(400).json({ error: 'Book is already on your reading list' });
+    }
+
+    const position = await nextPosition(db, userId, shelf);
+    await db.execute(
+      'INSERT INTO wishlist (user_id, book_id, shelf, position, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())',
+      [userId, book_id, shelf, position]
+    );
+
+    const item = await fetchWishlistItem(db, userId, book_id);
+
+    res.status(201).json({
+      message: 'Book added to reading list',
+      item
+    });
+  } catch (error) {
+    console.error('Error adding to wishlist:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'Book is already on your reading list' });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const updateWishlistItem = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const bookId = req.params.bookId;
+    const { shelf } = req.body;
+
+    if (!bookId || isNaN(bookId)) {
+      return res.status(400).json({ error: 'Invalid book ID' });
+    }
+
+    if (!SHELVES.includes(shelf)) {
+      return res.status(400).json({ error: `Shelf must be one of: ${SHELVES.join(', ')}` });
+    }
+
+    const db = getDB();
+    const [existing] = await db.execute(
+      'SELECT id, shelf FROM wishlist WHERE user_id = ? AND book_id = ?',
+      [userId, bookId]
+    );
+
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Book is not on your reading list' });
+    }
+
+    // Moving to another shelf puts the book at the end of that shelf
+    if (existing[0].shelf !== shelf) {
+      const position = await nextPosition(db, userId, shelf);
+      await db.execute(
+        'UPDATE wishlist SET shelf = ?, position = ?, updated_at = NOW() WHERE id = ?',
+        [shelf, position, existing[0].id]
+      );
+    }
+
+    const item = await fetchWishlistItem(db, userId, bookId);
+
+    res.json({
+      message: 'Reading list updated successfully',
+      item
+    });
+  } catch (error) {
+    console.error('Error updating wishlist item:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const removeFromWishlist = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const bookId = req.params.bookId;
+
+    if (!bookId || isNaN(bookId)) {
+      return res.status(400).json({ error: 'Invalid book ID' });
+    }
+
+    const db = getDB();
+    const [result] = await db.execute(
+      'DELETE FROM wishlist WHERE user_id = ? AND book_id = ?',
+      [userId, bookId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Book is not on your reading list' });
+    }
+
+    res.json({
+      message: 'Book removed from reading list',
+      bookId: parseInt(bookId)
+    });
+  } catch (error) {
+    console.error('Error removing from wishlist:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+const reorderWishlist = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { shelf, bookIds } = req.body;
+
+    if (!SHELVES.includes(shelf)) {
+      return res.status(400).json({ error: `Shelf must be one of: ${SHELVES.join(', ')}` });
+    }
+
+    if (!Array.isArray(bookIds) || bookIds.length === 0 || bookIds.some(id => isNaN(id))) {
+      return res.status(400).json({ error: 'bookIds must be a non-empty array of book IDs' });
+    }
+
+    const orderedIds = bookIds.map(id => parseInt(id));
+    if (new Set(orderedIds).size !== orderedIds.length) {
+      return res.status(400).json({ error: 'bookIds must not contain duplicates' });
+    }
+
+    const db = getDB();
+    const [shelfItems] = await db.execute(
+      'SELECT id, book_id FROM wishlist WHERE user_id = ? AND shelf = ? ORDER BY position ASC, created_at ASC',
+      [userId, shelf]
+    );
+
+    const shelfBookIds = shelfItems.map(item => item.book_id);
+    const unknownIds = orderedIds.filter(id => !shelfBookIds.includes(id));
+    if (unknownIds.length > 0) {
+      return res.status(400).json({
+        error: 'Some books are not on this shelf',
+        bookIds: unknownIds
+      });
+    }
+
+    // Books left out of the request keep their relative order after the given ones
+    const finalOrder = [
+      ...orderedIds,
+      ...shelfBookIds.filter(id => !orderedIds.includes(id))
+    ];
+
+    await withTransaction(async (connection) => {
+      for (const [index, bookId] of finalOrder.entries()) {
+        await connection.execute(
+          'UPDATE wishlist SET position = ? WHERE user_id = ? AND book_id = ?',
+          [index + 1, userId, bookId]
+        );
+      }
+    });
+
+    res.json({
+      message: 'Reading list reordered successfully',
+      shelf,
+      bookIds: finalOrder
+    });
+  } catch (error) {
+    console.error('Error reordering wishlist:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  updateWishlistItem,
+  removeFromWishlist,
+  reorderWishlist
+};
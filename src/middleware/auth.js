@@ -1,7 +1,39 @@
 const jwt = require('jsonwebtoken');
 const { getDB } = require('../config/database');
+const { getJwtSecret } = require('../services/tokenService');
+const { getPermissionsForRole } = require('../services/permissionService');
 
-const authenticateToken = (req, res, next) => {
+// A token is stale once its session is revoked, the user's token version moves on
+// (logout-all, role change) or the user no longer exists
+const isSessionActive = async (payload) => {
+  if (!payload.sid) {
+    return false;
+  }
+
+  const db = getDB();
+  const [rows] = await db.execute(
+    `SELECT u.role, u.token_version,
+            EXISTS(
+              SELECT 1 FROM refresh_tokens rt
+              WHERE rt.session_id = ? AND rt.user_id = u.id
+                AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+            ) as session_active
+     FROM users u
+     WHERE u.id = ?`,
+    [payload.sid, payload.userId]
+  );
+
+  if (rows.length === 0) {
+    return false;
+  }
+
+  const current = rows[0];
+  return Boolean(current.session_active) &&
+    current.token_version === payload.tv &&
+    current.role === payload.role;
+};
+
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -9,59 +41,71 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  let user;
+  try {
+    user = jwt.verify(token, getJwtSecret());
+  } catch (err) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    if (!(await isSessionActive(user))) {
+      return res.status(401).json({ error: 'Session has been revoked, please sign in again' });
     }
-    req.user = user;
-    next();
-  });
+  } catch (error) {
+    console.error('Error in authenticateToken middleware:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  req.user = user;
+  next();
 };
 
-const requireAdmin = async (req, res, next) => {
+// Requires the authenticated user's role to grant every listed permission.
+// req.user.role is current here: authenticateToken rejects tokens whose role is stale.
+const requirePermission = (...permissions) => async (req, res, next) => {
   try {
-    const db = getDB();
-    const [users] = await db.execute(
-      'SELECT role FROM users WHERE id = ?',
-      [req.user.userId]
-    );
-
-    if (users.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    const granted = await getPermissionsForRole(req.user.role);
+    const missing = permissions.filter(permission => !granted.includes(permission));
 
-    if (users[0].role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        required: missing
+      });
     }
 
+    req.permissions = granted;
     next();
   } catch (error) {
-    console.error('Error in requireAdmin middleware:', error);
+    console.error('Error in requirePermission middleware:', error);
     res.status(500).json({ error: 'Server error' });
   }
 };
 
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
+  req.user = null;
+
   if (!token) {
-    req.user = null;
     return next();
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret', (err, user) => {
-    if (err) {
-      req.user = null;
-    } else {
+  try {
+    const user = jwt.verify(token, getJwtSecret());
+    if (await isSessionActive(user)) {
       req.user = user;
     }
-    next();
-  });
+  } catch (err) {
+    req.user = null;
+  }
+  next();
 };
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   optionalAuth
 };
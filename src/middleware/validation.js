@@ -1,141 +1,1192 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { SHELVES } = require('../services/wishlistService');
+const { REVIEW_SORTS } = require('../services/reviewService');
+const { FORMATS: BOOK_TRANSFER_FORMATS } = require('../services/bookImportService');
+const { FACET_NAMES, MAX_LIST_VALUES, toList } = require('../services/facetService');
+const { MAX_TAGS_PER_REQUEST } = require('../services/tagService');
+const { ENRICHABLE_FIELDS, MAX_BULK_ENRICH } = require('../services/metadataService');
+const { MAX_COMMENT_LENGTH } = require('../services/reviewCommentService');
+const { REPORT_REASONS, MODERATION_ACTIONS, MODERATION_QUEUES } = require('../services/moderationService');
+const { RULE_ACTIONS, RULE_TYPES } = require('../services/contentFilterService');
+const { parseIsbn } = require('../utils/isbn');
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+// Language tag such as en or en-GB; only the language part is used
+const LOCALE_PATTERN = /^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})*$/;
+
+// Keep addresses as typed apart from case, so existing accounts still match on login
+const emailNormalizeOptions = {
+  gmail_remove_dots: false,
+  gmail_remove_subaddress: false,
+  outlookdotcom_remove_subaddress: false,
+  yahoo_remove_subaddress: false,
+  icloud_remove_subaddress: false
+};
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
       error: 'Validation failed',
-      details: errors.array()
+      details: errors.array({ onlyFirstError: true }).map(err => ({
+        field: err.path,
+        location: err.location,
+        message: err.msg
+      }))
     });
   }
   next();
 };
 
-const validateRegister = [
-  body('username')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Username must be between 2 and 50 characters')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
-  
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email'),
-  
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
-  
-  handleValidationErrors
+// Reusable rules
+
+const emailRule = (field = 'email') => body(field)
+  .isEmail()
+  .withMessage('Please provide a valid email')
+  .normalizeEmail(emailNormalizeOptions);
+
+const usernameRule = body('username')
+  .trim()
+  .isLength({ min: 2, max: 50 })
+  .withMessage('Username must be between 2 and 50 characters')
+  .matches(/^[a-zA-Z0-9_]+$/)
+  .withMessage('Username can only contain letters, numbers, and underscores');
+
+const strongPasswordRule = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+
+const idParamRule = (name, label) => param(name)
+  .isInt({ min: 1 })
+  .withMessage(`Valid ${label} ID is required`);
+
+const paginationRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
 ];
 
-const validateLogin = [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email'),
-  
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required'),
-  
-  handleValidationErrors
+// Multi-select query param: a single value, repeated params, or (with a separator) a comma list
+const listQueryRule = (field, { separator = null, maxLength, label }) => query(field)
+  .optional()
+  .custom(value => {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length > MAX_LIST_VALUES || values.some(item => typeof item !== 'string')) {
+      throw new Error(`At most ${MAX_LIST_VALUES} ${label} values are allowed`);
+    }
+    if (toList(value, separator).some(item => item.length > maxLength)) {
+      throw new Error(`Each ${label} must be less than ${maxLength} characters`);
+    }
+    return true;
+  });
+
+// Keyset pagination: ?cursor= (empty for the first page) replaces ?page=
+const cursorRules = [
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Invalid cursor')
+    .custom((value, { req }) => {
+      if (req.query.page !== undefined) {
+        throw new Error('Use either cursor or page, not both');
+      }
+      return true;
+    }),
+
+  query('includeTotal')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeTotal must be true or false')
 ];
 
-const validateBook = [
+// ISBN-10 or ISBN-13 with a valid check digit; hyphens and spaces are allowed
+const isbnRule = (value) => {
+  const parsed = typeof value === 'string' && value.length <= 20 ? parseIsbn(value) : { error: 'Invalid ISBN format' };
+  if (parsed.error) {
+    throw new Error(parsed.error);
+  }
+  return true;
+};
+
+const bookRules = [
   body('title')
     .trim()
     .isLength({ min: 1, max: 255 })
     .withMessage('Title is required and must be less than 255 characters'),
-  
+
   body('author')
     .trim()
     .isLength({ min: 1, max: 255 })
     .withMessage('Author is required and must be less than 255 characters'),
-  
+
   body('isbn')
-    .optional()
-    .matches(/^(?:\d{10}|\d{13}|[\d-]{10,17})$/)
-    .withMessage('Invalid ISBN format'),
-  
+    .optional({ values: 'falsy' })
+    .custom(isbnRule),
+
   body('published_date')
-    .optional()
+    .optional({ values: 'falsy' })
     .isISO8601()
     .withMessage('Invalid date format'),
-  
+
   body('genre')
-    .optional()
+    .optional({ values: 'falsy' })
     .trim()
     .isLength({ max: 100 })
     .withMessage('Genre must be less than 100 characters'),
-  
+
   body('cover_image')
-    .optional()
+    .optional({ values: 'falsy' })
     .isURL()
-    .withMessage('Cover image must be a valid URL'),
-  
-  handleValidationErrors
+    .withMessage('Cover image must be a valid URL')
 ];
 
-const validateReview = [
+const reviewContentRules = [
   body('rating')
     .isInt({ min: 1, max: 5 })
     .withMessage('Rating must be between 1 and 5'),
-  
+
   body('comment')
-    .optional()
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Comment must be text')
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Comment must be less than 1000 characters'),
-  
-  body('book_id')
-    .isInt({ min: 1 })
-    .withMessage('Valid book ID is required'),
-  
+
+  // Picks the content filter's word lists; Accept-Language is used when absent
+  body('locale')
+    .optional({ values: 'null' })
+    .matches(LOCALE_PATTERN)
+    .withMessage('Locale must be a language tag such as en or en-GB')
+];
+
+// Auth
+
+const validateRegister = [
+  usernameRule,
+  emailRule(),
+  strongPasswordRule('password'),
+
+  body('role')
+    .not()
+    .exists()
+    .withMessage('Role cannot be chosen at signup'),
+
   handleValidationErrors
 ];
 
-const validateUserId = [
-  param('id')
-    .isInt({ min: 1 })
-    .withMessage('Valid user ID is required'),
-  
+const validateLogin = [
+  emailRule(),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  handleValidationErrors
+];
+
+const validateDemoLogin = [
+  body('userType')
+    .isIn(['admin', 'user'])
+    .withMessage('userType must be either admin or user'),
+
+  handleValidationErrors
+];
+
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+
+  handleValidationErrors
+];
+
+const validateLogout = [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token must be a non-empty string'),
+
+  handleValidationErrors
+];
+
+const validateForgotPassword = [
+  emailRule(),
+  handleValidationErrors
+];
+
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  strongPasswordRule('password'),
+  handleValidationErrors
+];
+
+const validateVerifyEmail = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+
+  handleValidationErrors
+];
+
+// Books
+
+const validateBook = [
+  ...bookRules,
+  handleValidationErrors
+];
+
+const validateBookUpdate = [
+  idParamRule('id', 'book'),
+  ...bookRules,
   handleValidationErrors
 ];
 
 const validateBookId = [
-  param('id')
+  idParamRule('id', 'book'),
+  handleValidationErrors
+];
+
+const validateBookList = [
+  ...paginationRules,
+  ...cursorRules,
+
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search must be less than 200 characters'),
+
+  query('genre')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Genre must be less than 100 characters'),
+
+  listQueryRule('tag', { separator: ',', maxLength: 50, label: 'tag' }),
+
+  query('sortBy')
+    .optional()
+    .isIn(['created_at', 'title', 'author', 'published_date', 'average_rating', 'weighted_rating', 'review_count', 'relevance'])
+    .withMessage('Invalid sort field'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc', 'ASC', 'DESC'])
+    .withMessage('Sort order must be ASC or DESC'),
+
+  handleValidationErrors
+];
+
+const validateSearchBooks = [
+  ...paginationRules,
+  ...cursorRules,
+
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search query must be less than 200 characters'),
+
+  listQueryRule('genre', { separator: ',', maxLength: 100, label: 'genre' }),
+
+  listQueryRule('tag', { separator: ',', maxLength: 50, label: 'tag' }),
+
+  listQueryRule('author', { maxLength: 255, label: 'author' }),
+
+  listQueryRule('decade', { separator: ',', maxLength: 4, label: 'decade' })
+    .custom(value => {
+      if (toList(value, ',').some(decade => !/^\d{4}$/.test(decade) || parseInt(decade) % 10 !== 0)) {
+        throw new Error('Decades must be years ending in 0, e.g. 1990');
+      }
+      return true;
+    }),
+
+  query(['publishedFrom', 'publishedTo'])
+    .optional()
+    .matches(/^\d{4}(?:-\d{2}-\d{2})?$/)
+    .withMessage('Published dates must be YYYY or YYYY-MM-DD'),
+
+  query('publishedTo')
+    .optional()
+    .custom((value, { req }) => {
+      const from = req.query.publishedFrom;
+      if (typeof from === 'string' && typeof value === 'string' && value.padEnd(10, '-12-31') < from) {
+        throw new Error('publishedTo must not be before publishedFrom');
+      }
+      return true;
+    }),
+
+  query('facets')
+    .optional()
+    .isString()
+    .custom(value => {
+      const unknown = toList(value, ',').filter(name => !FACET_NAMES.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Facets must be any of: ${FACET_NAMES.join(', ')}`);
+      }
+      return true;
+    }),
+
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('minRating must be between 0 and 5'),
+
+  query('maxRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('maxRating must be between 0 and 5')
+    .custom((value, { req }) => {
+      if (req.query.minRating !== undefined && parseFloat(value) < parseFloat(req.query.minRating)) {
+        throw new Error('maxRating must be greater than or equal to minRating');
+      }
+      return true;
+    }),
+
+  query('sortBy')
+    .optional()
+    .isIn(['relevance', 'title', 'author', 'rating', 'weighted_rating', 'newest', 'oldest'])
+    .withMessage('Invalid sort option'),
+
+  handleValidationErrors
+];
+
+const validateBookImport = [
+  query('format')
+    .optional()
+    .isIn(BOOK_TRANSFER_FORMATS)
+    .withMessage(`Format must be one of: ${BOOK_TRANSFER_FORMATS.join(', ')}`),
+
+  query('dryRun')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dryRun must be true or false'),
+
+  handleValidationErrors
+];
+
+const validateBookExport = [
+  query('format')
+    .optional()
+    .isIn(BOOK_TRANSFER_FORMATS)
+    .withMessage(`Format must be one of: ${BOOK_TRANSFER_FORMATS.join(', ')}`),
+
+  handleValidationErrors
+];
+
+const validateRecommendations = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  handleValidationErrors
+];
+
+const validateDuplicateQuery = [
+  query('threshold')
+    .optional()
+    .isFloat({ min: 0.5, max: 1 })
+    .withMessage('Threshold must be between 0.5 and 1'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+
+  handleValidationErrors
+];
+
+const validateBookMerge = [
+  idParamRule('id', 'book'),
+
+  body('sourceIds')
+    .isArray({ min: 1, max: MAX_LIST_VALUES })
+    .withMessage(`sourceIds must be an array of 1 to ${MAX_LIST_VALUES} book IDs`),
+
+  body('sourceIds.*')
     .isInt({ min: 1 })
-    .withMessage('Valid book ID is required'),
-  
+    .withMessage('Each source ID must be a valid book ID')
+    .toInt(),
+
   handleValidationErrors
 ];
 
-const validatePagination = [
-  query('page')
+// Shared by single and bulk enrichment
+const enrichOptionRules = [
+  query('dryRun')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dryRun must be true or false'),
+
+  body('overwrite')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('overwrite must be true or false')
+    .toBoolean(true),
+
+  body('fields')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('fields must be a non-empty array'),
+
+  body('fields.*')
+    .isIn(ENRICHABLE_FIELDS)
+    .withMessage(`Each field must be one of: ${ENRICHABLE_FIELDS.join(', ')}`)
+];
+
+const validateEnrichBook = [
+  idParamRule('id', 'book'),
+  ...enrichOptionRules,
+  handleValidationErrors
+];
+
+const validateBulkEnrich = [
+  ...enrichOptionRules,
+
+  body('bookIds')
     .optional()
+    .isArray({ min: 1, max: MAX_BULK_ENRICH })
+    .withMessage(`bookIds must be an array of 1 to ${MAX_BULK_ENRICH} book IDs`),
+
+  body('bookIds.*')
     .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer'),
-  
+    .withMessage('Each book ID must be a valid book ID')
+    .toInt(),
+
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_BULK_ENRICH })
+    .withMessage(`Limit must be between 1 and ${MAX_BULK_ENRICH}`)
+    .toInt(),
+
+  handleValidationErrors
+];
+
+const validateRecomputeRatings = [
+  query('dryRun')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dryRun must be true or false'),
+
+  handleValidationErrors
+];
+
+const validateSuggest = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Query is required and must be less than 100 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+
+  handleValidationErrors
+];
+
+const validateAuthorParam = [
+  param('author')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Author name is required and must be less than 255 characters'),
+
+  ...paginationRules,
+  handleValidationErrors
+];
+
+const validateIsbnParam = [
+  param('isbn')
+    .custom(isbnRule),
+
+  handleValidationErrors
+];
+
+const validateRelatedBooks = [
+  idParamRule('id', 'book'),
+  ...paginationRules,
+  handleValidationErrors
+];
+
+// Authors
+
+const authorLookupRule = param('id')
+  .isLength({ max: 200 })
+  .withMessage('Valid author ID or slug is required')
+  .matches(/^(?:\d+|[a-z0-9]+(?:-[a-z0-9]+)*)$/)
+  .withMessage('Valid author ID or slug is required');
+
+const validateAuthorList = [
+  ...paginationRules,
+
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Search must be less than 255 characters'),
+
+  handleValidationErrors
+];
+
+const validateAuthorLookup = [
+  authorLookupRule,
+  ...paginationRules,
+  handleValidationErrors
+];
+
+const validateAuthorUpdate = [
+  authorLookupRule,
+
+  body('bio')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Bio must be text')
+    .isLength({ max: 5000 })
+    .withMessage('Bio must be less than 5000 characters'),
+
+  handleValidationErrors
+];
+
+// Genres and tags
+
+const genreNameRule = (field) => body(field)
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Genre name is required and must be less than 100 characters');
+
+const genreFieldRules = [
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('parent_id must be a genre ID or null'),
+
+  body('aliases')
+    .optional()
+    .isArray({ max: MAX_LIST_VALUES })
+    .withMessage(`aliases must be an array of at most ${MAX_LIST_VALUES} names`),
+
+  genreNameRule('aliases.*')
+];
+
+const validateGenreCreate = [
+  genreNameRule('name'),
+  ...genreFieldRules,
+  handleValidationErrors
+];
+
+const validateGenreUpdate = [
+  idParamRule('id', 'genre'),
+  genreNameRule('name').optional(),
+  ...genreFieldRules,
+  handleValidationErrors
+];
+
+const validateGenreMerge = [
+  idParamRule('id', 'genre'),
+
+  body('sourceIds')
+    .isArray({ min: 1, max: MAX_LIST_VALUES })
+    .withMessage(`sourceIds must be an array of 1 to ${MAX_LIST_VALUES} genre IDs`),
+
+  body('sourceIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each source ID must be a valid genre ID')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+const tagNameRule = (field) => body(field)
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Each tag must be 1 to 50 characters')
+  .matches(/[\p{L}\p{N}]/u)
+  .withMessage('Each tag must contain a letter or number');
+
+const validateBookTags = [
+  idParamRule('id', 'book'),
+
+  body('tags')
+    .isArray({ min: 1, max: MAX_TAGS_PER_REQUEST })
+    .withMessage(`tags must be an array of 1 to ${MAX_TAGS_PER_REQUEST} tag names`),
+
+  tagNameRule('tags.*'),
+  handleValidationErrors
+];
+
+const validateBookTagRemove = [
+  idParamRule('id', 'book'),
+
+  param('tag')
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Valid tag slug is required'),
+
+  handleValidationErrors
+];
+
+const validateTagList = [
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Search must be less than 50 characters'),
+
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
-  
+
+  handleValidationErrors
+];
+
+// Reviews
+
+const validateReview = [
+  ...reviewContentRules,
+
+  body('book_id')
+    .isInt({ min: 1 })
+    .withMessage('Valid book ID is required'),
+
+  handleValidationErrors
+];
+
+const validateReviewUpdate = [
+  idParamRule('id', 'review'),
+  ...reviewContentRules,
+  handleValidationErrors
+];
+
+const validateReviewId = [
+  idParamRule('id', 'review'),
+  handleValidationErrors
+];
+
+const validateReviewList = [
+  query('book_id')
+    .isInt({ min: 1 })
+    .withMessage('Valid book ID is required'),
+
+  query('sort')
+    .optional()
+    .isIn(REVIEW_SORTS)
+    .withMessage(`Sort must be one of: ${REVIEW_SORTS.join(', ')}`),
+
+  ...paginationRules,
+  ...cursorRules,
+  handleValidationErrors
+];
+
+const validateReviewVote = [
+  idParamRule('id', 'review'),
+
+  body('helpful')
+    .isBoolean({ strict: true })
+    .withMessage('helpful must be true or false')
+    .toBoolean(true),
+
+  handleValidationErrors
+];
+
+const commentBodyRule = body('body')
+  .isString()
+  .withMessage('Comment must be text')
+  .trim()
+  .isLength({ min: 1, max: MAX_COMMENT_LENGTH })
+  .withMessage(`Comment must be between 1 and ${MAX_COMMENT_LENGTH} characters`);
+
+const validateCommentList = [
+  idParamRule('id', 'review'),
+  ...paginationRules,
+  ...cursorRules,
+  handleValidationErrors
+];
+
+const validateCommentCreate = [
+  idParamRule('id', 'review'),
+  commentBodyRule,
+
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Valid parent comment ID is required')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+const validateCommentUpdate = [
+  idParamRule('commentId', 'comment'),
+  commentBodyRule,
+  handleValidationErrors
+];
+
+const validateCommentId = [
+  idParamRule('commentId', 'comment'),
+  handleValidationErrors
+];
+
+const validateReviewReport = [
+  idParamRule('id', 'review'),
+
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+
+  body('details')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Details must be text')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details must be less than 500 characters'),
+
+  handleValidationErrors
+];
+
+const validateModerationAction = [
+  idParamRule('id', 'review'),
+
+  body('action')
+    .isIn(MODERATION_ACTIONS)
+    .withMessage(`Action must be one of: ${MODERATION_ACTIONS.join(', ')}`),
+
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Reason must be text')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+
+  // Every action except dismissing reports or approving a pending review needs a reason
+  // for the audit log
+  body('reason')
+    .custom((value, { req }) => {
+      if (!['dismiss', 'approve'].includes(req.body.action) && !value) {
+        throw new Error('A reason is required to hide, restore or remove a review');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+const validateModerationQueue = [
+  query('queue')
+    .optional()
+    .isIn(MODERATION_QUEUES)
+    .withMessage(`Queue must be one of: ${MODERATION_QUEUES.join(', ')}`),
+
+  ...paginationRules,
+  handleValidationErrors
+];
+
+const validateModerationLog = [
+  query('review_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid review ID is required'),
+
+  ...paginationRules,
+  handleValidationErrors
+];
+
+const validateReviewDelete = [
+  idParamRule('id', 'review'),
+
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Reason must be text')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+
+  handleValidationErrors
+];
+
+const validateReviewRevert = [
+  idParamRule('id', 'review'),
+
+  body('revision')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a positive integer')
+    .toInt(),
+
+  body('reason')
+    .isString()
+    .withMessage('A reason is required to revert a review')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason must be 1-500 characters'),
+
+  handleValidationErrors
+];
+
+const validateBookReviewSummary = [
+  idParamRule('bookId', 'book'),
+  handleValidationErrors
+];
+
+const validateUserReviews = [
+  idParamRule('userId', 'user'),
+  ...paginationRules,
+  ...cursorRules,
+  handleValidationErrors
+];
+
+// Content filter
+
+const filterRuleFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+
+    field('action')
+      .isIn(RULE_ACTIONS)
+      .withMessage(`Action must be one of: ${RULE_ACTIONS.join(', ')}`),
+
+    body('locale')
+      .optional({ values: 'null' })
+      .matches(LOCALE_PATTERN)
+      .withMessage('Locale must be a language tag such as en or en-GB'),
+
+    body('config')
+      .optional()
+      .isObject()
+      .withMessage('Config must be an object'),
+
+    body('enabled')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Enabled must be true or false')
+      .toBoolean(true)
+  ];
+};
+
+const validateFilterRuleCreate = [
+  body('type')
+    .isIn(Object.keys(RULE_TYPES))
+    .withMessage(`Type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`),
+
+  ...filterRuleFields(false),
+  handleValidationErrors
+];
+
+const validateFilterRuleUpdate = [
+  idParamRule('id', 'rule'),
+
+  body('type')
+    .not()
+    .exists()
+    .withMessage('The type of a rule cannot be changed'),
+
+  ...filterRuleFields(true),
+  handleValidationErrors
+];
+
+const validateFilterRuleId = [
+  idParamRule('id', 'rule'),
+  handleValidationErrors
+];
+
+const validateFilterTest = [
+  body('comment')
+    .isString()
+    .withMessage('Comment must be text')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be 1-1000 characters'),
+
+  body('locale')
+    .optional({ values: 'null' })
+    .matches(LOCALE_PATTERN)
+    .withMessage('Locale must be a language tag such as en or en-GB'),
+
+  body('book_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid book ID is required')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+// Users
+
+const validateUserId = [
+  idParamRule('id', 'user'),
+  handleValidationErrors
+];
+
+const validateUserList = [
+  ...paginationRules,
+  ...cursorRules,
+
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Search must be less than 255 characters'),
+
+  handleValidationErrors
+];
+
+const validateProfileUpdate = [
+  usernameRule,
+  emailRule(),
+  handleValidationErrors
+];
+
+const validateUserUpdate = [
+  idParamRule('id', 'user'),
+  usernameRule,
+  emailRule(),
+  handleValidationErrors
+];
+
+const validateUserRole = [
+  idParamRule('id', 'user'),
+
+  body('role')
+    .isString()
+    .trim()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Role must be a valid role name'),
+
+  handleValidationErrors
+];
+
+const validateChangePassword = [
+  idParamRule('id', 'user'),
+
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  strongPasswordRule('newPassword')
+    .custom((value, { req }) => {
+      if (value === req.body.currentPassword) {
+        throw new Error('New password must be different from the current password');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+// Roles
+
+const permissionListRule = () => body('permissions')
+  .isArray()
+  .withMessage('permissions must be an array of permission names')
+  .custom(permissions => permissions.every(permission => typeof permission === 'string'))
+  .withMessage('Each permission must be a string');
+
+const validateRoleCreate = [
+  body('name')
+    .isString()
+    .trim()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Role name must be 2-50 lowercase letters, numbers, dashes or underscores'),
+
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be less than 255 characters'),
+
+  permissionListRule().optional(),
+  handleValidationErrors
+];
+
+const validateRolePermissions = [
+  param('name')
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Valid role name is required'),
+
+  permissionListRule(),
+  handleValidationErrors
+];
+
+const validateRoleName = [
+  param('name')
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('Valid role name is required'),
+
+  handleValidationErrors
+];
+
+// Reading list
+
+const shelfRule = (location) => location('shelf')
+  .isIn(SHELVES)
+  .withMessage(`Shelf must be one of: ${SHELVES.join(', ')}`);
+
+const validateWishlistQuery = [
+  shelfRule(query).optional(),
+  handleValidationErrors
+];
+
+const validateWishlistAdd = [
+  body('book_id')
+    .isInt({ min: 1 })
+    .withMessage('Valid book ID is required'),
+
+  shelfRule(body).optional(),
+  handleValidationErrors
+];
+
+const validateWishlistUpdate = [
+  idParamRule('bookId', 'book'),
+  shelfRule(body),
+  handleValidationErrors
+];
+
+const validateWishlistRemove = [
+  idParamRule('bookId', 'book'),
+  handleValidationErrors
+];
+
+const validateWishlistReorder = [
+  shelfRule(body),
+
+  body('bookIds')
+    .isArray({ min: 1 })
+    .withMessage('bookIds must be a non-empty array of book IDs'),
+
+  body('bookIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each book ID must be a positive integer'),
+
+  handleValidationErrors
+];
+
+const validateFeaturedBooks = [
+  ...paginationRules,
+
+  query('sortBy')
+    .optional()
+    .isIn(['weighted_rating', 'average_rating'])
+    .withMessage('Sort must be weighted_rating or average_rating'),
+
+  handleValidationErrors
+];
+
+const validateGenres = [
+  query('tree')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('tree must be true or false'),
+
+  handleValidationErrors
+];
+
+const validatePagination = [
+  ...paginationRules,
   handleValidationErrors
 ];
 
 module.exports = {
   validateRegister,
   validateLogin,
+  validateDemoLogin,
+  validateRefreshToken,
+  validateLogout,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
   validateBook,
+  validateBookUpdate,
+  validateBookList,
+  validateFeaturedBooks,
+  validateGenres,
+  validateSearchBooks,
+  validateSuggest,
+  validateBookImport,
+  validateBookExport,
+  validateRecomputeRatings,
+  validateDuplicateQuery,
+  validateBookMerge,
+  validateEnrichBook,
+  validateBulkEnrich,
+  validateRecommendations,
+  validateAuthorParam,
+  validateRelatedBooks,
+  validateIsbnParam,
+  validateAuthorList,
+  validateAuthorLookup,
+  validateAuthorUpdate,
+  validateGenreCreate,
+  validateGenreUpdate,
+  validateGenreMerge,
+  validateBookTags,
+  validateBookTagRemove,
+  validateTagList,
   validateReview,
+  validateReviewUpdate,
+  validateReviewId,
+  validateReviewList,
+  validateReviewVote,
+  validateCommentList,
+  validateCommentCreate,
+  validateCommentUpdate,
+  validateCommentId,
+  validateReviewReport,
+  validateModerationAction,
+  validateModerationQueue,
+  validateModerationLog,
+  validateReviewDelete,
+  validateReviewRevert,
+  validateBookReviewSummary,
+  validateUserReviews,
+  validateFilterRuleCreate,
+  validateFilterRuleUpdate,
+  validateFilterRuleId,
+  validateFilterTest,
   validateUserId,
+  validateUserList,
+  validateProfileUpdate,
+  validateUserUpdate,
+  validateUserRole,
+  validateChangePassword,
+  validateRoleCreate,
+  validateRolePermissions,
+  validateRoleName,
   validateBookId,
   validatePagination,
+  validateWishlistQuery,
+  validateWishlistAdd,
+  validateWishlistUpdate,
+  validateWishlistRemove,
+  validateWishlistReorder,
   handleValidationErrors
-};
\ No newline at end of file
+};
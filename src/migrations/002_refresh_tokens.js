@@ -0,0 +1,34 @@
+// Rotating refresh tokens and per-user token versioning for access token revocation
+
+const up = async (db) => {
+  await db.execute(`
+    ALTER TABLE users
+      ADD COLUMN token_version INT NOT NULL DEFAULT 0 AFTER role
+  `);
+
+  await db.execute(`
+    CREATE TABLE refresh_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      session_id CHAR(36) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      replaced_by INT NULL,
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_user_id (user_id),
+      INDEX idx_session_id (session_id),
+      INDEX idx_expires_at (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS refresh_tokens');
+  await db.execute('ALTER TABLE users DROP COLUMN token_version');
+};
+
+module.exports = { up, down };
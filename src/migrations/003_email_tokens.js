@@ -0,0 +1,32 @@
+// Email verification state and single-use tokens for password reset / email verification
+
+const up = async (db) => {
+  await db.execute(`
+    ALTER TABLE users
+      ADD COLUMN email_verified_at DATETIME NULL AFTER email
+  `);
+
+  // Accounts created before verification existed are treated as verified
+  await db.execute('UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL');
+
+  await db.execute(`
+    CREATE TABLE user_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      purpose ENUM('password_reset', 'email_verification') NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_user_purpose (user_id, purpose)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS user_tokens');
+  await db.execute('ALTER TABLE users DROP COLUMN email_verified_at');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,80 @@
+// Replaces the hard-coded user/admin ENUM with roles and named permissions
+
+const PERMISSIONS = [
+  ['books:write', 'Create, update and delete books'],
+  ['reviews:moderate', 'Remove or moderate reviews written by other users'],
+  ['users:manage', 'List, update and delete users and assign roles'],
+  ['roles:manage', 'Create roles and change their permissions']
+];
+
+const ROLES = [
+  ['user', 'Regular reader', []],
+  ['moderator', 'Moderates reviews', ['reviews:moderate']],
+  ['librarian', 'Curates the book catalog', ['books:write']],
+  ['admin', 'Full access', ['books:write', 'reviews:moderate', 'users:manage', 'roles:manage']]
+];
+
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE roles (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(50) NOT NULL UNIQUE,
+      description VARCHAR(255),
+      is_system BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE permissions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      description VARCHAR(255)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE role_permissions (
+      role_id INT NOT NULL,
+      permission_id INT NOT NULL,
+      PRIMARY KEY (role_id, permission_id),
+      FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+      FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  for (const [name, description] of PERMISSIONS) {
+    await db.execute('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+  }
+
+  for (const [name, description, permissions] of ROLES) {
+    const [result] = await db.execute(
+      'INSERT INTO roles (name, description, is_system) VALUES (?, ?, TRUE)',
+      [name, description]
+    );
+    for (const permission of permissions) {
+      await db.execute(
+        'INSERT INTO role_permissions (role_id, permission_id) SELECT ?, id FROM permissions WHERE name = ?',
+        [result.insertId, permission]
+      );
+    }
+  }
+
+  await db.execute(`
+    ALTER TABLE users
+      MODIFY role VARCHAR(50) NOT NULL DEFAULT 'user',
+      ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('ALTER TABLE users DROP FOREIGN KEY fk_users_role');
+  await db.execute("UPDATE users SET role = 'user' WHERE role NOT IN ('user', 'admin')");
+  await db.execute("ALTER TABLE users MODIFY role ENUM('user', 'admin') DEFAULT 'user'");
+  await db.execute('DROP TABLE IF EXISTS role_permissions');
+  await db.execute('DROP TABLE IF EXISTS permissions');
+  await db.execute('DROP TABLE IF EXISTS roles');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// FULLTEXT indexes for weighted relevance search and a hyphen-free ISBN column
+
+const up = async (db) => {
+  await db.execute(`
+    ALTER TABLE books
+      ADD COLUMN isbn_digits VARCHAR(20)
+        GENERATED ALWAYS AS (REPLACE(REPLACE(isbn, '-', ''), ' ', '')) STORED AFTER isbn,
+      ADD INDEX idx_isbn_digits (isbn_digits)
+  `);
+
+  // InnoDB builds one FULLTEXT index per statement
+  await db.execute('ALTER TABLE books ADD FULLTEXT INDEX ft_books_all (title, author, description)');
+  await db.execute('ALTER TABLE books ADD FULLTEXT INDEX ft_books_title (title)');
+  await db.execute('ALTER TABLE books ADD FULLTEXT INDEX ft_books_author (author)');
+  await db.execute('ALTER TABLE books ADD FULLTEXT INDEX ft_books_description (description)');
+};
+
+const down = async (db) => {
+  await db.execute('ALTER TABLE books DROP INDEX ft_books_description');
+  await db.execute('ALTER TABLE books DROP INDEX ft_books_author');
+  await db.execute('ALTER TABLE books DROP INDEX ft_books_title');
+  await db.execute('ALTER TABLE books DROP INDEX ft_books_all');
+  await db.execute('ALTER TABLE books DROP INDEX idx_isbn_digits, DROP COLUMN isbn_digits');
+};
+
+module.exports = { up, down };
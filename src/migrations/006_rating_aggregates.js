@@ -0,0 +1,60 @@
+// Denormalised rating aggregates on books so listings don't need to join reviews
+
+const up = async (db) => {
+  await db.execute(`
+    ALTER TABLE books
+      ADD COLUMN rating_sum INT NOT NULL DEFAULT 0,
+      ADD COLUMN rating_count INT NOT NULL DEFAULT 0,
+      ADD COLUMN rating_1 INT NOT NULL DEFAULT 0,
+      ADD COLUMN rating_2 INT NOT NULL DEFAULT 0,
+      ADD COLUMN rating_3 INT NOT NULL DEFAULT 0,
+      ADD COLUMN rating_4 INT NOT NULL DEFAULT 0,
+      ADD COLUMN rating_5 INT NOT NULL DEFAULT 0,
+      ADD COLUMN average_rating DECIMAL(5,4)
+        GENERATED ALWAYS AS (IF(rating_count > 0, rating_sum / rating_count, 0)) STORED,
+      ADD INDEX idx_books_average_rating (average_rating),
+      ADD INDEX idx_books_rating_count (rating_count)
+  `);
+
+  // Backfill from existing reviews
+  await db.execute(`
+    UPDATE books b
+    JOIN (
+      SELECT book_id,
+             SUM(rating) as rating_sum,
+             COUNT(*) as rating_count,
+             SUM(rating = 1) as rating_1,
+             SUM(rating = 2) as rating_2,
+             SUM(rating = 3) as rating_3,
+             SUM(rating = 4) as rating_4,
+             SUM(rating = 5) as rating_5
+      FROM reviews
+      GROUP BY book_id
+    ) agg ON agg.book_id = b.id
+    SET b.rating_sum = agg.rating_sum,
+        b.rating_count = agg.rating_count,
+        b.rating_1 = agg.rating_1,
+        b.rating_2 = agg.rating_2,
+        b.rating_3 = agg.rating_3,
+        b.rating_4 = agg.rating_4,
+        b.rating_5 = agg.rating_5
+  `);
+};
+
+const down = async (db) => {
+  await db.execute(`
+    ALTER TABLE books
+      DROP INDEX idx_books_rating_count,
+      DROP INDEX idx_books_average_rating,
+      DROP COLUMN average_rating,
+      DROP COLUMN rating_5,
+      DROP COLUMN rating_4,
+      DROP COLUMN rating_3,
+      DROP COLUMN rating_2,
+      DROP COLUMN rating_1,
+      DROP COLUMN rating_count,
+      DROP COLUMN rating_sum
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// weighted_rating: lower bound of the Wilson score interval (95%) on a book's ratings,
+// rescaled to 1-5. Few ratings pull it down, so it can rank books fairly by quality.
+// It only depends on the book's own aggregates, so it is a stored, indexable column.
+
+const { wilsonLowerBound } = require('./helpers/wilson');
+
+// p = share of the 1-5 scale reached by the mean rating, n = rating count
+const WILSON_LOWER_BOUND = wilsonLowerBound('((rating_sum - rating_count) / (4 * rating_count))', 'rating_count');
+
+const up = async (db) => {
+  await db.execute(`
+    ALTER TABLE books
+      ADD COLUMN weighted_rating DECIMAL(5,4)
+        GENERATED ALWAYS AS (IF(rating_count > 0, 1 + 4 * ${WILSON_LOWER_BOUND}, 0)) STORED,
+      ADD INDEX idx_books_weighted_rating (weighted_rating)
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('ALTER TABLE books DROP INDEX idx_books_weighted_rating, DROP COLUMN weighted_rating');
+};
+
+module.exports = { up, down };
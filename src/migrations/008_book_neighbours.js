@@ -0,0 +1,37 @@
+// Cached related-book scores. A book's neighbour list is recomputed when it has no
+// book_neighbour_state row, or the row is old or was computed with different weights.
+
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE book_neighbours (
+      book_id INT NOT NULL,
+      neighbour_id INT NOT NULL,
+      score DECIMAL(10,6) NOT NULL,
+      author_score DECIMAL(10,6) NOT NULL DEFAULT 0,
+      genre_score DECIMAL(10,6) NOT NULL DEFAULT 0,
+      coreview_score DECIMAL(10,6) NOT NULL DEFAULT 0,
+      text_score DECIMAL(10,6) NOT NULL DEFAULT 0,
+      PRIMARY KEY (book_id, neighbour_id),
+      INDEX idx_book_neighbours_score (book_id, score),
+      INDEX idx_book_neighbours_neighbour (neighbour_id),
+      FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+      FOREIGN KEY (neighbour_id) REFERENCES books(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE book_neighbour_state (
+      book_id INT PRIMARY KEY,
+      weights_key VARCHAR(100) NOT NULL,
+      computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS book_neighbour_state');
+  await db.execute('DROP TABLE IF EXISTS book_neighbours');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,59 @@
+// Normalised authors linked to books many-to-many; existing author strings are split
+// into individual authors ("Neil Gaiman & Terry Pratchett" becomes two)
+
+const { splitAuthorNames, slugifyAuthor } = require('./helpers/names');
+
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE authors (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      slug VARCHAR(200) NOT NULL UNIQUE,
+      bio TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_authors_name (name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE book_authors (
+      book_id INT NOT NULL,
+      author_id INT NOT NULL,
+      position SMALLINT NOT NULL DEFAULT 0,
+      PRIMARY KEY (book_id, author_id),
+      INDEX idx_book_authors_author (author_id),
+      FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+      FOREIGN KEY (author_id) REFERENCES authors(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  const [books] = await db.execute('SELECT id, author FROM books ORDER BY id ASC');
+  for (const book of books) {
+    const authorIds = [];
+    for (const name of splitAuthorNames(book.author)) {
+      const [result] = await db.execute(
+        `INSERT INTO authors (name, slug, created_at, updated_at) VALUES (?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+        [name, slugifyAuthor(name)]
+      );
+      if (!authorIds.includes(result.insertId)) {
+        authorIds.push(result.insertId);
+      }
+    }
+
+    for (const [position, authorId] of authorIds.entries()) {
+      await db.execute(
+        'INSERT INTO book_authors (book_id, author_id, position) VALUES (?, ?, ?)',
+        [book.id, authorId, position]
+      );
+    }
+  }
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS book_authors');
+  await db.execute('DROP TABLE IF EXISTS authors');
+};
+
+module.exports = { up, down };
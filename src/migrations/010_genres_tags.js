@@ -0,0 +1,116 @@
+// Genre taxonomy (parent/child genres with aliases) and free-form book tags.
+// Existing books.genre strings become genres; spellings that slugify the same
+// ("Sci-Fi", "sci fi") are folded into one genre named after the most used spelling.
+// Names with no Latin letters ("Фантастика") have nothing to fold on, so each keeps its
+// own genre, slugged 'genre-<hash of the name>', and its books keep the name as typed.
+
+const { latinSlug, hashedSlug } = require('./helpers/names');
+
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE genres (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      slug VARCHAR(100) NOT NULL UNIQUE,
+      parent_id INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_genres_parent (parent_id),
+      FOREIGN KEY (parent_id) REFERENCES genres(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE genre_aliases (
+      alias_slug VARCHAR(100) PRIMARY KEY,
+      genre_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      INDEX idx_genre_aliases_genre (genre_id),
+      FOREIGN KEY (genre_id) REFERENCES genres(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE tags (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(50) NOT NULL,
+      slug VARCHAR(50) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE book_tags (
+      book_id INT NOT NULL,
+      tag_id INT NOT NULL,
+      applied_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (book_id, tag_id),
+      INDEX idx_book_tags_tag (tag_id),
+      FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+      FOREIGN KEY (applied_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    ALTER TABLE books
+      ADD COLUMN genre_id INT NULL,
+      ADD INDEX idx_books_genre_id (genre_id),
+      ADD CONSTRAINT fk_books_genre FOREIGN KEY (genre_id) REFERENCES genres(id) ON DELETE SET NULL
+  `);
+
+  const [spellings] = await db.execute(
+    `SELECT genre, COUNT(*) as book_count
+     FROM books
+     WHERE genre IS NOT NULL AND genre != ''
+     GROUP BY genre
+     ORDER BY book_count DESC, genre ASC`
+  );
+
+  const groups = new Map();
+  const unslugged = [];
+  spellings.forEach(({ genre }) => {
+    const slug = latinSlug(genre);
+    if (slug) {
+      groups.set(slug, [...(groups.get(slug) || []), genre]);
+    } else {
+      unslugged.push(genre);
+    }
+  });
+
+  for (const genre of unslugged) {
+    const [result] = await db.execute(
+      `INSERT INTO genres (name, slug) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+      [genre, hashedSlug(genre, 'genre')]
+    );
+    await db.execute('UPDATE books SET genre_id = ? WHERE genre = ?', [result.insertId, genre]);
+  }
+
+  for (const [slug, names] of groups) {
+    const [result] = await db.execute(
+      'INSERT INTO genres (name, slug) VALUES (?, ?)',
+      [names[0], slug]
+    );
+    await db.query(
+      'UPDATE books SET genre_id = ?, genre = ? WHERE genre IN (?)',
+      [result.insertId, names[0], names]
+    );
+  }
+};
+
+const down = async (db) => {
+  await db.execute(`
+    ALTER TABLE books
+      DROP FOREIGN KEY fk_books_genre,
+      DROP INDEX idx_books_genre_id,
+      DROP COLUMN genre_id
+  `);
+  await db.execute('DROP TABLE IF EXISTS book_tags');
+  await db.execute('DROP TABLE IF EXISTS tags');
+  await db.execute('DROP TABLE IF EXISTS genre_aliases');
+  await db.execute('DROP TABLE IF EXISTS genres');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Ids of books merged into another book, so old links and bookmarks still resolve
+
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE book_redirects (
+      old_book_id INT PRIMARY KEY,
+      book_id INT NOT NULL,
+      merged_by INT NULL,
+      merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_book_redirects_book (book_id),
+      FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+      FOREIGN KEY (merged_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS book_redirects');
+};
+
+module.exports = { up, down };
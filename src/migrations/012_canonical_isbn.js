@@ -0,0 +1,65 @@
+// Rewrites stored ISBNs to the canonical ISBN-13 (no hyphens). Values that fail the
+// checksum, or whose canonical form another book already holds, are left as they are;
+// the duplicate finder still pairs the latter up for merging.
+
+const isbn10CheckDigit = (first9) => {
+  const sum = first9.split('').reduce((total, digit, index) => total + parseInt(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((total, digit, index) => total + parseInt(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// The canonical ISBN-13 for a valid ISBN-10 or ISBN-13, or null
+const canonicalIsbn = (value) => {
+  const isbn = String(value || '').replace(/[-\s]/g, '').toUpperCase();
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    if (isbn10CheckDigit(isbn.substring(0, 9)) !== isbn[9]) {
+      return null;
+    }
+    const first12 = `978${isbn.substring(0, 9)}`;
+    return first12 + isbn13CheckDigit(first12);
+  }
+
+  if (/^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.substring(0, 12)) === isbn[12]) {
+    return isbn;
+  }
+  return null;
+};
+
+const up = async (db) => {
+  const [books] = await db.execute('SELECT id, isbn FROM books WHERE isbn IS NOT NULL ORDER BY id ASC');
+  const taken = new Set(books.map(book => book.isbn));
+  const skipped = [];
+
+  for (const book of books) {
+    const isbn13 = canonicalIsbn(book.isbn);
+    if (!isbn13 || isbn13 === book.isbn) {
+      if (!isbn13) {
+        skipped.push(book.id);
+      }
+      continue;
+    }
+    if (taken.has(isbn13)) {
+      skipped.push(book.id);
+      continue;
+    }
+
+    await db.execute('UPDATE books SET isbn = ? WHERE id = ?', [isbn13, book.id]);
+    taken.delete(book.isbn);
+    taken.add(isbn13);
+  }
+
+  if (skipped.length > 0) {
+    console.warn(`ISBNs left unchanged for book ids: ${skipped.join(', ')}`);
+  }
+};
+
+// Canonical ISBNs are valid input in every format, so there is nothing to undo
+const down = async () => {};
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+// Helpful / not helpful votes on reviews, one per reader per review. Counts are
+// denormalised onto reviews; helpful_score is the lower bound of the Wilson score
+// interval (95%) on the helpful share, so a 3/3 review doesn't outrank a 95/100 one.
+
+const { wilsonLowerBound } = require('./helpers/wilson');
+
+const N = '(helpful_count + not_helpful_count)';
+const WILSON_LOWER_BOUND = wilsonLowerBound(`(helpful_count / ${N})`, N);
+
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE review_votes (
+      review_id INT NOT NULL,
+      user_id INT NOT NULL,
+      helpful BOOLEAN NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (review_id, user_id),
+      INDEX idx_review_votes_user (user_id),
+      FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    ALTER TABLE reviews
+      ADD COLUMN helpful_count INT NOT NULL DEFAULT 0,
+      ADD COLUMN not_helpful_count INT NOT NULL DEFAULT 0,
+      ADD COLUMN helpful_score DECIMAL(5,4)
+        GENERATED ALWAYS AS (IF(${N} > 0, ${WILSON_LOWER_BOUND}, 0)) STORED,
+      ADD INDEX idx_reviews_book_helpful (book_id, helpful_score)
+  `);
+};
+
+const down = async (db) => {
+  await db.execute(`
+    ALTER TABLE reviews
+      DROP INDEX idx_reviews_book_helpful,
+      DROP COLUMN helpful_score,
+      DROP COLUMN not_helpful_count,
+      DROP COLUMN helpful_count
+  `);
+  await db.execute('DROP TABLE IF EXISTS review_votes');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+// Threaded comments on reviews. Deleting a comment keeps its row as a tombstone (body
+// cleared, deleted_at set) so replies under it stay in place.
+
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE review_comments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      review_id INT NOT NULL,
+      parent_id INT NULL,
+      user_id INT NULL,
+      depth TINYINT UNSIGNED NOT NULL DEFAULT 1,
+      body TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      edited_at TIMESTAMP NULL,
+      deleted_at TIMESTAMP NULL,
+      deleted_by INT NULL,
+      INDEX idx_review_comments_thread (review_id, parent_id, created_at),
+      INDEX idx_review_comments_user (user_id),
+      FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+      FOREIGN KEY (parent_id) REFERENCES review_comments(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS review_comments');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,66 @@
+// Review moderation: reader reports, a hidden state for reviews (kept out of listings
+// and rating aggregates) and an audit log of every moderator action. The log keeps a
+// copy of the review so it still makes sense after a review is removed.
+
+const up = async (db) => {
+  await db.execute(`
+    ALTER TABLE reviews
+      ADD COLUMN status ENUM('published', 'hidden') NOT NULL DEFAULT 'published',
+      ADD COLUMN moderation_reason VARCHAR(500) NULL,
+      ADD COLUMN moderated_at TIMESTAMP NULL,
+      ADD INDEX idx_reviews_book_status (book_id, status)
+  `);
+
+  await db.execute(`
+    CREATE TABLE review_reports (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      review_id INT NOT NULL,
+      reporter_id INT NOT NULL,
+      reason ENUM('spam', 'offensive', 'spoiler', 'off_topic', 'other') NOT NULL,
+      details VARCHAR(500) NULL,
+      status ENUM('open', 'resolved', 'dismissed') NOT NULL DEFAULT 'open',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMP NULL,
+      resolved_by INT NULL,
+      UNIQUE KEY unique_review_reporter (review_id, reporter_id),
+      INDEX idx_review_reports_status (status, created_at),
+      FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+      FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    CREATE TABLE review_moderation_log (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      review_id INT NOT NULL,
+      book_id INT NULL,
+      review_user_id INT NULL,
+      moderator_id INT NULL,
+      action ENUM('hide', 'restore', 'remove', 'dismiss') NOT NULL,
+      reason VARCHAR(500) NULL,
+      report_count INT NOT NULL DEFAULT 0,
+      review_rating TINYINT NULL,
+      review_comment TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_moderation_log_review (review_id, created_at),
+      INDEX idx_moderation_log_created (created_at),
+      FOREIGN KEY (moderator_id) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+};
+
+const down = async (db) => {
+  await db.execute('DROP TABLE IF EXISTS review_moderation_log');
+  await db.execute('DROP TABLE IF EXISTS review_reports');
+  // Hidden reviews count again once the column is gone; run the rating recompute afterwards
+  await db.execute(`
+    ALTER TABLE reviews
+      DROP INDEX idx_reviews_book_status,
+      DROP COLUMN moderated_at,
+      DROP COLUMN moderation_reason,
+      DROP COLUMN status
+  `);
+};
+
+module.exports = { up, down };
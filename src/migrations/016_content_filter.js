@@ -0,0 +1,79 @@
+// Rule-based content filter for review comments. Rules live in the database so
+// moderators can change them at runtime; reviews gain a 'pending' state for comments
+// the filter flags, and a fingerprint of the comment for duplicate detection.
+
+const crypto = require('crypto');
+
+const fingerprintComment = (comment) => {
+  const normalised = String(comment || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  return normalised ? crypto.createHash('sha256').update(normalised).digest('hex') : null;
+};
+
+const DEFAULT_RULES = [
+  ['Profanity (English)', 'word_list', 'mask', 'en', { words: ['fuck', 'fucking', 'shit', 'bitch', 'asshole', 'cunt'] }],
+  ['Repeated characters', 'repeated_characters', 'mask', null, { maxRun: 4 }],
+  ['Shouting', 'excessive_caps', 'flag', null, { maxRatio: 0.7, minLetters: 20 }],
+  ['Link limit', 'url_limit', 'flag', null, { maxUrls: 1 }],
+  ['Copy-pasted comment', 'duplicate_comment', 'flag', null, { minLength: 40 }]
+];
+
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE content_filter_rules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      type VARCHAR(50) NOT NULL,
+      action ENUM('reject', 'mask', 'flag') NOT NULL,
+      locale VARCHAR(10) NULL,
+      config JSON NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  for (const [name, type, action, locale, config] of DEFAULT_RULES) {
+    await db.execute(
+      'INSERT INTO content_filter_rules (name, type, action, locale, config) VALUES (?, ?, ?, ?, ?)',
+      [name, type, action, locale, JSON.stringify(config)]
+    );
+  }
+
+  await db.execute(`
+    ALTER TABLE reviews
+      MODIFY status ENUM('published', 'pending', 'hidden') NOT NULL DEFAULT 'published',
+      ADD COLUMN comment_fingerprint CHAR(64) NULL,
+      ADD INDEX idx_reviews_comment_fingerprint (comment_fingerprint)
+  `);
+
+  await db.execute(`
+    ALTER TABLE review_moderation_log
+      MODIFY action ENUM('hide', 'restore', 'remove', 'dismiss', 'flag', 'approve') NOT NULL
+  `);
+
+  const [reviews] = await db.execute('SELECT id, comment FROM reviews WHERE comment IS NOT NULL');
+  for (const review of reviews) {
+    await db.execute('UPDATE reviews SET comment_fingerprint = ? WHERE id = ?', [fingerprintComment(review.comment), review.id]);
+  }
+};
+
+const down = async (db) => {
+  // Pending reviews were never counted; they become hidden rather than silently published
+  await db.execute("UPDATE reviews SET status = 'hidden' WHERE status = 'pending'");
+  await db.execute("DELETE FROM review_moderation_log WHERE action IN ('flag', 'approve')");
+  await db.execute(`
+    ALTER TABLE review_moderation_log
+      MODIFY action ENUM('hide', 'restore', 'remove', 'dismiss') NOT NULL
+  `);
+  await db.execute(`
+    ALTER TABLE reviews
+      DROP INDEX idx_reviews_comment_fingerprint,
+      DROP COLUMN comment_fingerprint,
+      MODIFY status ENUM('published', 'hidden') NOT NULL DEFAULT 'published'
+  `);
+  await db.execute('DROP TABLE IF EXISTS content_filter_rules');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Review revision history. Every edit copies the version it replaces into
+// review_revisions, so a rating change can't go unnoticed; moderators can revert a review
+// to any earlier revision. reviews.updated_at also moves on vote counts, so edits get
+// their own edited_at.
+
+const up = async (db) => {
+  await db.execute(`
+    CREATE TABLE review_revisions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      review_id INT NOT NULL,
+      revision INT NOT NULL,
+      rating INT NOT NULL,
+      comment TEXT NULL,
+      written_at TIMESTAMP NULL,
+      replaced_by INT NULL,
+      replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY unique_review_revision (review_id, revision),
+      FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+      FOREIGN KEY (replaced_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  await db.execute(`
+    ALTER TABLE reviews
+      ADD COLUMN revision_count INT NOT NULL DEFAULT 0,
+      ADD COLUMN edited_at TIMESTAMP NULL
+  `);
+
+  await db.execute(`
+    ALTER TABLE review_moderation_log
+      MODIFY action ENUM('hide', 'restore', 'remove', 'dismiss', 'flag', 'approve', 'revert') NOT NULL,
+      ADD COLUMN revision INT NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.execute("DELETE FROM review_moderation_log WHERE action = 'revert'");
+  await db.execute(`
+    ALTER TABLE review_moderation_log
+      DROP COLUMN revision,
+      MODIFY action ENUM('hide', 'restore', 'remove', 'dismiss', 'flag', 'approve') NOT NULL
+  `);
+  await db.execute(`
+    ALTER TABLE reviews
+      DROP COLUMN edited_at,
+      DROP COLUMN revision_count
+  `);
+  await db.execute('DROP TABLE IF EXISTS review_revisions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,57 @@
+// Names with no Latin letters ("Лев Толстой", "村上春樹") used to slugify to the
+// fallback 'author', so every such book was linked to one shared author. Books linked to
+// that author are re-linked to one author per name, slugged 'author-<hash of the name>'.
+
+const { splitAuthorNames, slugifyAuthor } = require('./helpers/names');
+
+const FALLBACK_SLUG = 'author';
+
+const up = async (db) => {
+  const [fallback] = await db.execute('SELECT id FROM authors WHERE slug = ?', [FALLBACK_SLUG]);
+  if (fallback.length === 0) {
+    return;
+  }
+
+  const [books] = await db.execute(
+    `SELECT b.id, b.author
+     FROM book_authors ba
+     JOIN books b ON b.id = ba.book_id
+     WHERE ba.author_id = ?
+     ORDER BY b.id ASC`,
+    [fallback[0].id]
+  );
+
+  for (const book of books) {
+    const authorIds = [];
+    for (const name of splitAuthorNames(book.author)) {
+      const [result] = await db.execute(
+        `INSERT INTO authors (name, slug, created_at, updated_at) VALUES (?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+        [name, slugifyAuthor(name)]
+      );
+      if (!authorIds.includes(result.insertId)) {
+        authorIds.push(result.insertId);
+      }
+    }
+
+    await db.execute('DELETE FROM book_authors WHERE book_id = ?', [book.id]);
+    for (const [position, authorId] of authorIds.entries()) {
+      await db.execute(
+        'INSERT INTO book_authors (book_id, author_id, position) VALUES (?, ?, ?)',
+        [book.id, authorId, position]
+      );
+    }
+  }
+
+  // Nothing should point at the shared author any more
+  await db.execute(
+    'DELETE FROM authors WHERE id = ? AND NOT EXISTS (SELECT 1 FROM book_authors WHERE author_id = ?)',
+    [fallback[0].id, fallback[0].id]
+  );
+};
+
+// The shared author can't be rebuilt faithfully, and the split links are correct under
+// either slug rule, so there is nothing to undo
+const down = async () => {};
+
+module.exports = { up, down };
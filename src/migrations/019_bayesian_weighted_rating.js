@@ -0,0 +1,33 @@
+// weighted_rating was a generated column with the Wilson bound's z fixed in the schema.
+// It becomes a plain column that ratingService writes with the configurable Bayesian
+// average; existing books are backfilled with that formula's defaults (prior mean 3.5,
+// prior weight 10).
+
+const { wilsonLowerBound } = require('./helpers/wilson');
+
+const up = async (db) => {
+  await db.execute(`
+    ALTER TABLE books
+      MODIFY COLUMN weighted_rating DECIMAL(5,4) NOT NULL DEFAULT 0
+  `);
+
+  await db.execute(`
+    UPDATE books
+    SET weighted_rating = IF(rating_count > 0, (35 + rating_sum) / (10 + rating_count), 0)
+  `);
+};
+
+// Back to the Wilson lower bound from migration 007
+const WILSON_LOWER_BOUND = wilsonLowerBound('((rating_sum - rating_count) / (4 * rating_count))', 'rating_count');
+
+const down = async (db) => {
+  await db.execute('ALTER TABLE books DROP INDEX idx_books_weighted_rating, DROP COLUMN weighted_rating');
+  await db.execute(`
+    ALTER TABLE books
+      ADD COLUMN weighted_rating DECIMAL(5,4)
+        GENERATED ALWAYS AS (IF(rating_count > 0, 1 + 4 * ${WILSON_LOWER_BOUND}, 0)) STORED,
+      ADD INDEX idx_books_weighted_rating (weighted_rating)
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+// Author splitting and slug rules as of migration 018
+
+const crypto = require('crypto');
+
+const AUTHOR_SEPARATOR = /\s*(?:;|&|\band\b|\bwith\b)\s*/i;
+
+const splitOnCommas = (name) => {
+  const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+  return parts.length > 1 && parts.every(part => /\S\s+\S/.test(part)) ? parts : [name];
+};
+
+const splitAuthorNames = (author) => {
+  const seen = new Set();
+  return String(author || '')
+    .split(AUTHOR_SEPARATOR)
+    .flatMap(splitOnCommas)
+    .map(name => name.replace(/\s+/g, ' ').trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
+
+// Transliterated slug; empty for names with no Latin letters or digits
+const latinSlug = (name) => String(name)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 200)
+  .replace(/-+$/, '');
+
+// '<prefix>-<hash of the name>', ignoring case, spacing and punctuation
+const hashedSlug = (name, prefix) => {
+  const raw = String(name).normalize('NFKC').toLowerCase();
+  const key = raw.replace(/[^\p{L}\p{N}]+/gu, ' ').trim() || raw.trim();
+  return `${prefix}-${crypto.createHash('sha256').update(key).digest('hex').substring(0, 12)}`;
+};
+
+const slugifyAuthor = (name) => latinSlug(name) || hashedSlug(name, 'author');
+
+module.exports = {
+  splitAuthorNames,
+  latinSlug,
+  hashedSlug,
+  slugifyAuthor
+};
@@ -0,0 +1,10 @@
+// Lower bound of the 95% Wilson score interval (z = 1.96) for a share p out of n, as SQL
+const wilsonLowerBound = (p, n) => `
+  (${p} + 1.9208 / ${n}
+   - 1.96 * SQRT(${p} * (1 - ${p}) / ${n} + 0.9604 / (${n} * ${n})))
+  / (1 + 3.8416 / ${n})
+`;
+
+module.exports = {
+  wilsonLowerBound
+};
@@ -1,10 +1,39 @@
 const express = require('express');
-const { register, login, demoLogin } = require('../controllers/authController');
+const {
+  register,
+  login,
+  demoLogin,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const {
+  validateRegister,
+  validateLogin,
+  validateDemoLogin,
+  validateRefreshToken,
+  validateLogout,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail
+} = require('../middleware/validation');
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
-router.post('/demo-login', demoLogin);
+router.post('/register', validateRegister, register);
+router.post('/login', validateLogin, login);
+router.post('/demo-login', validateDemoLogin, demoLogin);
+router.post('/refresh', validateRefreshToken, refresh);
+router.post('/logout', optionalAuth, validateLogout, logout);
+router.post('/logout-all', authenticateToken, logoutAll);
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+router.post('/reset-password', validateResetPassword, resetPassword);
+router.post('/verify-email', validateVerifyEmail, verifyEmail);
+router.post('/resend-verification', authenticateToken, resendVerification);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getAuthors,
+  getAuthor,
+  updateAuthor
+} = require('../controllers/authorController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateAuthorList,
+  validateAuthorLookup,
+  validateAuthorUpdate
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public routes; :id is a numeric author ID or an author slug
+router.get('/', validateAuthorList, getAuthors);
+router.get('/:id', validateAuthorLookup, getAuthor);
+
+// Catalog management routes
+router.put('/:id', authenticateToken, requirePermission('books:write'), validateAuthorUpdate, updateAuthor);
+
+module.exports = router;
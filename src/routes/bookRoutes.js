@@ -2,6 +2,7 @@ const express = require('express');
 const {
   getBooks,
   getBookById,
+  getBookByIsbn,
   getFeaturedBooks,
   getGenres,
   getBooksByAuthor,
@@ -10,25 +11,87 @@ const {
   deleteBook,
   getBookStats,
   getRelatedBooks,
-  searchBooks
+  findDuplicates,
+  mergeDuplicateBooks,
+  recommendBooks,
+  recomputeRatings,
+  searchBooks,
+  suggestBooks
 } = require('../controllers/bookController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { importBooks, exportBooks } = require('../controllers/bookImportController');
+const { enrichBook, enrichBooks } = require('../controllers/bookEnrichmentController');
+const { addTagsToBook, removeTagFromBook } = require('../controllers/tagController');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
+const {
+  validateBook,
+  validateBookUpdate,
+  validateBookId,
+  validateBookList,
+  validateFeaturedBooks,
+  validateGenres,
+  validateSearchBooks,
+  validateSuggest,
+  validateAuthorParam,
+  validateRelatedBooks,
+  validateIsbnParam,
+  validateBookImport,
+  validateBookExport,
+  validateRecomputeRatings,
+  validateDuplicateQuery,
+  validateBookMerge,
+  validateEnrichBook,
+  validateBulkEnrich,
+  validateRecommendations,
+  validateBookTags,
+  validateBookTagRemove
+} = require('../middleware/validation');
 
 const router = express.Router();
 
+// Admin routes are registered before '/:id' so they aren't captured as a book ID
+router.get('/admin/stats', authenticateToken, requirePermission('books:write'), getBookStats);
+router.get('/admin/export', authenticateToken, requirePermission('books:write'), validateBookExport, exportBooks);
+router.post(
+  '/admin/import',
+  authenticateToken,
+  requirePermission('books:write'),
+  express.text({ type: ['text/*', 'application/x-ndjson', 'application/jsonl'], limit: '10mb' }),
+  validateBookImport,
+  importBooks
+);
+router.post(
+  '/admin/recompute-ratings',
+  authenticateToken,
+  requirePermission('books:write'),
+  validateRecomputeRatings,
+  recomputeRatings
+);
+router.get('/admin/duplicates', authenticateToken, requirePermission('books:write'), validateDuplicateQuery, findDuplicates);
+router.post('/admin/enrich', authenticateToken, requirePermission('books:write'), validateBulkEnrich, enrichBooks);
+
+// Personalised routes
+router.get('/recommendations', authenticateToken, validateRecommendations, recommendBooks);
+
 // Public routes
-router.get('/', getBooks);
-router.get('/featured', getFeaturedBooks);
-router.get('/genres', getGenres);
-router.get('/search', searchBooks);
-router.get('/author/:author', getBooksByAuthor);
-router.get('/:id', getBookById);
-router.get('/:id/related', getRelatedBooks);
+router.get('/', validateBookList, getBooks);
+router.get('/featured', validateFeaturedBooks, getFeaturedBooks);
+router.get('/genres', validateGenres, getGenres);
+router.get('/search', validateSearchBooks, searchBooks);
+router.get('/suggest', validateSuggest, suggestBooks);
+router.get('/author/:author', validateAuthorParam, getBooksByAuthor);
+router.get('/isbn/:isbn', validateIsbnParam, getBookByIsbn);
+router.get('/:id', optionalAuth, validateBookId, getBookById);
+router.get('/:id/related', validateRelatedBooks, getRelatedBooks);
+
+// Tagging: any signed-in reader can tag a book
+router.post('/:id/tags', authenticateToken, validateBookTags, addTagsToBook);
+router.delete('/:id/tags/:tag', authenticateToken, validateBookTagRemove, removeTagFromBook);
 
-// Admin only routes
-router.post('/', authenticateToken, requireAdmin, createBook);
-router.put('/:id', authenticateToken, requireAdmin, updateBook);
-router.delete('/:id', authenticateToken, requireAdmin, deleteBook);
-router.get('/admin/stats', authenticateToken, requireAdmin, getBookStats);
+// Catalog management routes
+router.post('/', authenticateToken, requirePermission('books:write'), validateBook, createBook);
+router.put('/:id', authenticateToken, requirePermission('books:write'), validateBookUpdate, updateBook);
+router.delete('/:id', authenticateToken, requirePermission('books:write'), validateBookId, deleteBook);
+router.post('/:id/merge', authenticateToken, requirePermission('books:write'), validateBookMerge, mergeDuplicateBooks);
+router.post('/:id/enrich', authenticateToken, requirePermission('books:write'), validateEnrichBook, enrichBook);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  testComment
+} = require('../controllers/contentFilterController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateFilterRuleCreate,
+  validateFilterRuleUpdate,
+  validateFilterRuleId,
+  validateFilterTest
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Moderator routes
+router.get('/rules', authenticateToken, requirePermission('reviews:moderate'), getRules);
+router.post('/rules', authenticateToken, requirePermission('reviews:moderate'), validateFilterRuleCreate, createRule);
+router.put('/rules/:id', authenticateToken, requirePermission('reviews:moderate'), validateFilterRuleUpdate, updateRule);
+router.delete('/rules/:id', authenticateToken, requirePermission('reviews:moderate'), validateFilterRuleId, deleteRule);
+router.post('/test', authenticateToken, requirePermission('reviews:moderate'), validateFilterTest, testComment);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getGenreTree,
+  createGenre,
+  updateGenre,
+  mergeGenresInto
+} = require('../controllers/genreController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateGenreCreate,
+  validateGenreUpdate,
+  validateGenreMerge
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getGenreTree);
+
+// Catalog management routes
+router.post('/', authenticateToken, requirePermission('books:write'), validateGenreCreate, createGenre);
+router.put('/:id', authenticateToken, requirePermission('books:write'), validateGenreUpdate, updateGenre);
+router.post('/:id/merge', authenticateToken, requirePermission('books:write'), validateGenreMerge, mergeGenresInto);
+
+module.exports = router;
@@ -7,24 +7,71 @@ const {
   updateReview,
   deleteReview,
   getReviewStats,
-  getBookReviewSummary
+  getBookReviewSummary,
+  voteOnReview,
+  removeReviewVote
 } = require('../controllers/reviewController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  getReviewComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/reviewCommentController');
+const {
+  reportReview,
+  getModerationQueue,
+  moderateReview,
+  getModerationLog
+} = require('../controllers/moderationController');
+const { getReviewHistory, revertReview } = require('../controllers/reviewRevisionController');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
+const {
+  validateReview,
+  validateReviewUpdate,
+  validateReviewId,
+  validateReviewList,
+  validateReviewVote,
+  validateCommentList,
+  validateCommentCreate,
+  validateCommentUpdate,
+  validateCommentId,
+  validateReviewReport,
+  validateModerationAction,
+  validateModerationQueue,
+  validateModerationLog,
+  validateReviewDelete,
+  validateReviewRevert,
+  validateBookReviewSummary,
+  validateUserReviews,
+  validatePagination
+} = require('../middleware/validation');
 
 const router = express.Router();
 
 // Public routes
-router.get('/', getReviews);
-router.get('/recent', getRecentReviews);
-router.get('/book/:bookId/summary', getBookReviewSummary);
+router.get('/', optionalAuth, validateReviewList, getReviews);
+router.get('/recent', validatePagination, getRecentReviews);
+router.get('/book/:bookId/summary', validateBookReviewSummary, getBookReviewSummary);
+router.get('/:id/comments', validateCommentList, getReviewComments);
 
 // Protected routes
-router.get('/user/:userId', authenticateToken, getUserReviews);
-router.post('/', authenticateToken, createReview);
-router.put('/:id', authenticateToken, updateReview);
-router.delete('/:id', authenticateToken, deleteReview);
+router.get('/user/:userId', authenticateToken, validateUserReviews, getUserReviews);
+router.post('/', authenticateToken, validateReview, createReview);
+router.put('/:id', authenticateToken, validateReviewUpdate, updateReview);
+router.delete('/:id', authenticateToken, validateReviewDelete, deleteReview);
+router.get('/:id/history', authenticateToken, validateReviewId, getReviewHistory);
+router.put('/:id/vote', authenticateToken, validateReviewVote, voteOnReview);
+router.delete('/:id/vote', authenticateToken, validateReviewId, removeReviewVote);
+router.post('/:id/comments', authenticateToken, validateCommentCreate, createComment);
+router.put('/comments/:commentId', authenticateToken, validateCommentUpdate, updateComment);
+router.delete('/comments/:commentId', authenticateToken, validateCommentId, deleteComment);
+router.post('/:id/report', authenticateToken, validateReviewReport, reportReview);
 
-// Admin only routes
-router.get('/admin/stats', authenticateToken, requireAdmin, getReviewStats);
+// Moderator routes
+router.get('/admin/stats', authenticateToken, requirePermission('reviews:moderate'), getReviewStats);
+router.get('/admin/moderation', authenticateToken, requirePermission('reviews:moderate'), validateModerationQueue, getModerationQueue);
+router.get('/admin/moderation/log', authenticateToken, requirePermission('reviews:moderate'), validateModerationLog, getModerationLog);
+router.post('/:id/moderate', authenticateToken, requirePermission('reviews:moderate'), validateModerationAction, moderateReview);
+router.post('/:id/revert', authenticateToken, requirePermission('reviews:moderate'), validateReviewRevert, revertReview);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRolePermissions,
+  deleteRole
+} = require('../controllers/roleController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateRoleCreate,
+  validateRolePermissions,
+  validateRoleName
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Admin only routes
+router.get('/', authenticateToken, requirePermission('users:manage'), getRoles);
+router.get('/permissions', authenticateToken, requirePermission('users:manage'), getPermissions);
+router.post('/', authenticateToken, requirePermission('roles:manage'), validateRoleCreate, createRole);
+router.put('/:name/permissions', authenticateToken, requirePermission('roles:manage'), validateRolePermissions, updateRolePermissions);
+router.delete('/:name', authenticateToken, requirePermission('roles:manage'), validateRoleName, deleteRole);
+
+module.exports = router;
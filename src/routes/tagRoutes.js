@@ -0,0 +1,10 @@
+const express = require('express');
+const { getTags } = require('../controllers/tagController');
+const { validateTagList } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', validateTagList, getTags);
+
+module.exports = router;
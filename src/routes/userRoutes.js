@@ -10,23 +10,50 @@ const {
   getUserProfile,
   updateUserProfile
 } = require('../controllers/userController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  getWishlist,
+  addToWishlist,
+  updateWishlistItem,
+  removeFromWishlist,
+  reorderWishlist
+} = require('../controllers/wishlistController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateUserId,
+  validateUserList,
+  validateProfileUpdate,
+  validateUserUpdate,
+  validateUserRole,
+  validateChangePassword,
+  validateWishlistQuery,
+  validateWishlistAdd,
+  validateWishlistUpdate,
+  validateWishlistRemove,
+  validateWishlistReorder
+} = require('../middleware/validation');
 
 const router = express.Router();
 
 // Protected routes (user's own profile)
 router.get('/profile', authenticateToken, getUserProfile);
-router.put('/profile', authenticateToken, updateUserProfile);
-router.put('/:id/password', authenticateToken, changePassword);
+router.put('/profile', authenticateToken, validateProfileUpdate, updateUserProfile);
+router.get('/profile/wishlist', authenticateToken, validateWishlistQuery, getWishlist);
+router.post('/profile/wishlist', authenticateToken, validateWishlistAdd, addToWishlist);
+router.put('/profile/wishlist/reorder', authenticateToken, validateWishlistReorder, reorderWishlist);
+router.put('/profile/wishlist/:bookId', authenticateToken, validateWishlistUpdate, updateWishlistItem);
+router.delete('/profile/wishlist/:bookId', authenticateToken, validateWishlistRemove, removeFromWishlist);
+router.put('/:id/password', authenticateToken, validateChangePassword, changePassword);
+
+// Admin stats is registered before '/:id' so it isn't captured as a user ID
+router.get('/admin/stats', authenticateToken, requirePermission('users:manage'), getUserStats);
 
 // Public/Protected routes
-router.get('/:id', authenticateToken, getUserById);
-router.put('/:id', authenticateToken, updateUser);
+router.get('/:id', authenticateToken, validateUserId, getUserById);
+router.put('/:id', authenticateToken, validateUserUpdate, updateUser);
 
 // Admin only routes
-router.get('/', authenticateToken, requireAdmin, getUsers);
-router.put('/:id/role', authenticateToken, requireAdmin, updateUserRole);
-router.delete('/:id', authenticateToken, requireAdmin, deleteUser);
-router.get('/admin/stats', authenticateToken, requireAdmin, getUserStats);
+router.get('/', authenticateToken, requirePermission('users:manage'), validateUserList, getUsers);
+router.put('/:id/role', authenticateToken, requirePermission('users:manage'), validateUserRole, updateUserRole);
+router.delete('/:id', authenticateToken, requirePermission('users:manage'), validateUserId, deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Authors are stored once and linked to books through book_authors.
+// books.author keeps the credited names as typed, for display and text search.
+
+const { slugify } = require('../utils/slug');
+
+// "A & B", "A and B", "A; B", "A with B"
+const AUTHOR_SEPARATOR = /\s*(?:;|&|\band\b|\bwith\b)\s*/i;
+
+// Commas only separate authors when every part is a full name, so "Lee, Harper"
+// and "Martin Luther King, Jr." stay whole
+const splitOnCommas = (name) => {
+  const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+  return parts.length > 1 && parts.every(part => /\S\s+\S/.test(part)) ? parts : [name];
+};
+
+// Splits a credited author string into distinct author names, in credit order
+const splitAuthorNames = (author) => {
+  if (!author) {
+    return [];
+  }
+
+  const seen = new Set();
+  return String(author)
+    .split(AUTHOR_SEPARATOR)
+    .flatMap(splitOnCommas)
+    .map(name => name.replace(/\s+/g, ' ').trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
+
+const slugifyAuthor = (name) => slugify(name, 'author');
+
+// Returns the author id for a name, creating the author on first use. Names that
+// slugify the same ("J.R.R. Tolkien", "J R R Tolkien") share one author.
+const findOrCreateAuthor = async (connection, name) => {
+  const [result] = await connection.execute(
+    `INSERT INTO authors (name, slug, created_at, updated_at) VALUES (?, ?, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+    [name, slugifyAuthor(name)]
+  );
+  return result.insertId;
+};
+
+// Replaces a book's author links with the authors credited in its author string
+const syncBookAuthors = async (connection, bookId, author) => {
+  const authorIds = [];
+  for (const name of splitAuthorNames(author)) {
+    const authorId = await findOrCreateAuthor(connection, name);
+    if (!authorIds.includes(authorId)) {
+      authorIds.push(authorId);
+    }
+  }
+
+  await connection.execute('DELETE FROM book_authors WHERE book_id = ?', [bookId]);
+  for (const [position, authorId] of authorIds.entries()) {
+    await connection.execute(
+      'INSERT INTO book_authors (book_id, author_id, position) VALUES (?, ?, ?)',
+      [bookId, authorId, position]
+    );
+  }
+
+  return authorIds;
+};
+
+// Linked authors in credit order, as { [bookId]: [{ id, name, slug }] }
+const findAuthorsForBooks = async (db, bookIds) => {
+  if (bookIds.length === 0) {
+    return {};
+  }
+
+  const [rows] = await db.query(
+    `SELECT ba.book_id, a.id, a.name, a.slug
+     FROM book_authors ba
+     JOIN authors a ON a.id = ba.author_id
+     WHERE ba.book_id IN (?)
+     ORDER BY ba.book_id, ba.position`,
+    [bookIds]
+  );
+
+  return rows.reduce((authors, row) => {
+    (authors[row.book_id] = authors[row.book_id] || []).push({ id: row.id, name: row.name, slug: row.slug });
+    return authors;
+  }, {});
+};
+
+// Looks an author up by numeric id or slug
+const findAuthor = async (db, idOrSlug) => {
+  const [rows] = /^\d+$/.test(idOrSlug)
+    ? await db.execute('SELECT * FROM authors WHERE id = ?', [idOrSlug])
+    : await db.execute('SELECT * FROM authors WHERE slug = ?', [idOrSlug]);
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Totals across an author's works. average_rating weighs every review equally,
+// so a book with one review doesn't count as much as one with hundreds.
+const getAuthorStats = async (db, authorId) => {
+  const [rows] = await db.execute(
+    `SELECT COUNT(*) as book_count,
+            COALESCE(SUM(b.rating_sum), 0) as rating_sum,
+            COALESCE(SUM(b.rating_count), 0) as review_count
+     FROM book_authors ba
+     JOIN books b ON b.id = ba.book_id
+     WHERE ba.author_id = ?`,
+    [authorId]
+  );
+
+  const reviewCount = parseInt(rows[0].review_count) || 0;
+  return {
+    book_count: parseInt(rows[0].book_count) || 0,
+    review_count: reviewCount,
+    average_rating: reviewCount > 0
+      ? Math.round((parseInt(rows[0].rating_sum) / reviewCount) * 100) / 100
+      : 0
+  };
+};
+
+const formatAuthor = (author) => ({
+  id: author.id,
+  name: author.name,
+  slug: author.slug,
+  bio: author.bio,
+  created_at: author.created_at ? author.created_at.toISOString() : null,
+  updated_at: author.updated_at ? author.updated_at.toISOString() : null
+});
+
+module.exports = {
+  splitAuthorNames,
+  slugifyAuthor,
+  syncBookAuthors,
+  findAuthorsForBooks,
+  findAuthor,
+  getAuthorStats,
+  formatAuthor
+};
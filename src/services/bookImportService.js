@@ -0,0 +1,276 @@
+const { Transform } = require('stream');
+const { parseCsvRecords, toCsvLine } = require('../utils/csv');
+const { prepareBookData, findIsbnConflict } = require('./bookService');
+const { syncBookAuthors } = require('./authorService');
+const { resolveGenre } = require('./genreService');
+const { toIsbn10, toIsbn13 } = require('../utils/isbn');
+
+const FORMATS = ['csv', 'jsonl', 'goodreads'];
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 5000;
+const BOOK_FIELDS = ['title', 'author', 'description', 'isbn', 'published_date', 'genre', 'cover_image'];
+
+// Goodreads wraps ISBNs as ="0439023483" so spreadsheets keep leading zeros
+const unwrapGoodreadsValue = (value) => {
+  const match = /^="(.*)"$/.exec((value || '').trim());
+  return match ? match[1] : (value || '').trim();
+};
+
+const fromGoodreadsRecord = (record) => {
+  const year = record['Original Publication Year'] || record['Year Published'];
+  return {
+    title: record['Title'],
+    author: record['Author'],
+    isbn: unwrapGoodreadsValue(record['ISBN13']) || unwrapGoodreadsValue(record['ISBN']),
+    published_date: /^\d{4}$/.test((year || '').trim()) ? `${year.trim()}-01-01` : null
+  };
+};
+
+const pickBookFields = (record) => BOOK_FIELDS.reduce((input, field) => {
+  input[field] = record[field];
+  return input;
+}, {});
+
+// Returns [{ row, input }] or [{ row, error }] with 1-based data row numbers
+const parseImport = (format, text) => {
+  if (format === 'jsonl') {
+    return text.split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+      .filter(({ line }) => line.length > 0)
+      .map(({ line, row }) => {
+        try {
+          const record = JSON.parse(line);
+          if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { row, error: 'Each line must be a JSON object' };
+          }
+          return { row, input: pickBookFields(record) };
+        } catch {
+          return { row, error: 'Invalid JSON' };
+        }
+      });
+  }
+
+  const records = parseCsvRecords(text);
+  return records.map((record, index) => ({
+    row: index + 1,
+    input: format === 'goodreads' ? fromGoodreadsRecord(record) : pickBookFields(record)
+  }));
+};
+
+const toDateString = (value) => {
+  if (!value) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString().split('T')[0] : String(value);
+};
+
+// Decides what importing one prepared book would do, without writing anything
+const planRow = async (db, book) => {
+  const existingId = await findIsbnConflict(db, book.isbn);
+
+  if (existingId) {
+    const [rows] = await db.execute(
+      `SELECT id, title, author, description, isbn, published_date, genre, cover_image
+       FROM books WHERE id = ?`,
+      [existingId]
+    );
+    const existing = { ...rows[0], published_date: toDateString(rows[0].published_date) };
+
+    // Blank import fields keep the stored value
+    const merged = BOOK_FIELDS.reduce((values, field) => {
+      values[field] = book[field] !== null ? book[field] : existing[field];
+      return values;
+    }, {});
+    const changed = BOOK_FIELDS.filter(field => merged[field] !== existing[field]);
+
+    return changed.length > 0
+      ? { action: 'updated', bookId: existingId, values: merged, changedFields: changed }
+      : { action: 'skipped', bookId: existingId, reason: 'Unchanged' };
+  }
+
+  if (!book.isbn) {
+    const [sameTitle] = await db.execute(
+      'SELECT id FROM books WHERE title = ? AND author = ?',
+      [book.title, book.author]
+    );
+    if (sameTitle.length > 0) {
+      return { action: 'skipped', bookId: sameTitle[0].id, reason: 'A book with this title and author already exists' };
+    }
+  }
+
+  return { action: 'created', values: book };
+};
+
+const applyPlan = async (db, plan) => {
+  const genre = await resolveGenre(db, plan.values.genre);
+  const values = BOOK_FIELDS.map(field => (field === 'genre' && genre ? genre.name : plan.values[field]));
+
+  if (plan.action === 'created') {
+    const [result] = await db.execute(
+      `INSERT INTO books (title, author, description, isbn, published_date, genre, cover_image, genre_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [...values, genre ? genre.id : null]
+    );
+    await syncBookAuthors(db, result.insertId, plan.values.author);
+    return result.insertId;
+  }
+
+  await db.execute(
+    `UPDATE books
+     SET title = ?, author = ?, description = ?, isbn = ?, published_date = ?,
+         genre = ?, cover_image = ?, genre_id = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [...values, genre ? genre.id : null, plan.bookId]
+  );
+  if (plan.changedFields.includes('author')) {
+    await syncBookAuthors(db, plan.bookId, plan.values.author);
+  }
+  return plan.bookId;
+};
+
+// Imports parsed rows, upserting by ISBN. In dry-run mode only the report is produced.
+const importBooks = async (db, parsedRows, { dryRun }) => {
+  const summary = { total: parsedRows.length, created: 0, updated: 0, skipped: 0, errored: 0 };
+  const rows = [];
+  const seenIsbns = new Set();
+
+  for (const parsed of parsedRows) {
+    if (parsed.error) {
+      summary.errored++;
+      rows.push({ row: parsed.row, status: 'errored', errors: [parsed.error] });
+      continue;
+    }
+
+    const { errors, book } = prepareBookData(parsed.input);
+    const base = { row: parsed.row, title: book.title, isbn: book.isbn };
+
+    if (errors.length > 0) {
+      summary.errored++;
+      rows.push({ ...base, status: 'errored', errors });
+      continue;
+    }
+
+    if (book.isbn && seenIsbns.has(book.isbn)) {
+      summary.skipped++;
+      rows.push({ ...base, status: 'skipped', reason: 'Duplicate ISBN earlier in the file' });
+      continue;
+    }
+    if (book.isbn) {
+      seenIsbns.add(book.isbn);
+    }
+
+    try {
+      const plan = await planRow(db, book);
+      const bookId = !dryRun && plan.action !== 'skipped' ? await applyPlan(db, plan) : plan.bookId;
+
+      summary[plan.action]++;
+      rows.push({
+        ...base,
+        status: plan.action,
+        ...(bookId && { bookId }),
+        ...(plan.reason && { reason: plan.reason }),
+        ...(plan.changedFields && { changedFields: plan.changedFields })
+      });
+    } catch (error) {
+      console.error(`Error importing row ${parsed.row}:`, error);
+      summary.errored++;
+      rows.push({
+        ...base,
+        status: 'errored',
+        errors: [error.code === 'ER_DUP_ENTRY' ? 'A book with this information already exists' : 'Database error']
+      });
+    }
+  }
+
+  return { dryRun, summary, rows };
+};
+
+const EXPORT_QUERY = `
+  SELECT b.id, b.title, b.author, b.description, b.isbn, b.published_date, b.genre, b.cover_image,
+         b.created_at, b.updated_at, b.average_rating, b.rating_count as review_count
+  FROM books b
+  ORDER BY b.id ASC
+`;
+
+const EXPORT_COLUMNS = [...BOOK_FIELDS, 'id', 'average_rating', 'review_count', 'created_at', 'updated_at'];
+
+const GOODREADS_COLUMNS = [
+  'Book Id', 'Title', 'Author', 'Author l-f', 'Additional Authors', 'ISBN', 'ISBN13',
+  'My Rating', 'Average Rating', 'Publisher', 'Binding', 'Number of Pages', 'Year Published',
+  'Original Publication Year', 'Date Read', 'Date Added', 'Bookshelves', 'Exclusive Shelf', 'My Review'
+];
+
+const toExportRecord = (book) => ({
+  id: book.id,
+  title: book.title,
+  author: book.author,
+  description: book.description,
+  isbn: book.isbn,
+  published_date: toDateString(book.published_date),
+  genre: book.genre,
+  cover_image: book.cover_image,
+  average_rating: Number(parseFloat(book.average_rating || 0).toFixed(2)),
+  review_count: parseInt(book.review_count) || 0,
+  created_at: book.created_at ? book.created_at.toISOString() : null,
+  updated_at: book.updated_at ? book.updated_at.toISOString() : null
+});
+
+const toGoodreadsLine = (book) => {
+  const record = toExportRecord(book);
+  const isbn13 = record.isbn ? toIsbn13(record.isbn) : null;
+  const isbn10 = isbn13 ? toIsbn10(isbn13) : null;
+  const nameParts = record.author.trim().split(/\s+/);
+  const authorLastFirst = nameParts.length > 1
+    ? `${nameParts[nameParts.length - 1]}, ${nameParts.slice(0, -1).join(' ')}`
+    : record.author;
+  const year = record.published_date ? record.published_date.substring(0, 4) : '';
+
+  return toCsvLine([
+    record.id, record.title, record.author, authorLastFirst, '',
+    `="${isbn10 || ''}"`, `="${isbn13 || ''}"`,
+    0, record.average_rating.toFixed(2), '', '', '', year, year, '',
+    record.created_at ? record.created_at.substring(0, 10).replace(/-/g, '/') : '',
+    '', 'to-read', ''
+  ]);
+};
+
+// Object-mode rows in, serialized lines out
+const createExportTransform = (format) => {
+  let headerWritten = false;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(book, encoding, callback) {
+      let chunk = '';
+      if (!headerWritten && format !== 'jsonl') {
+        chunk += toCsvLine(format === 'goodreads' ? GOODREADS_COLUMNS : EXPORT_COLUMNS);
+      }
+      headerWritten = true;
+
+      if (format === 'jsonl') {
+        chunk += JSON.stringify(toExportRecord(book)) + '\n';
+      } else if (format === 'goodreads') {
+        chunk += toGoodreadsLine(book);
+      } else {
+        const record = toExportRecord(book);
+        chunk += toCsvLine(EXPORT_COLUMNS.map(column => record[column]));
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      // An empty catalog still gets a header row
+      if (!headerWritten && format !== 'jsonl') {
+        this.push(toCsvLine(format === 'goodreads' ? GOODREADS_COLUMNS : EXPORT_COLUMNS));
+      }
+      callback();
+    }
+  });
+};
+
+module.exports = {
+  FORMATS,
+  MAX_IMPORT_ROWS,
+  EXPORT_QUERY,
+  parseImport,
+  importBooks,
+  createExportTransform
+};
@@ -0,0 +1,108 @@
+// Book field rules shared by createBook, updateBook and bulk import
+const { AGGREGATE_COLUMNS, formatRatingDistribution } = require('./ratingService');
+const { parseIsbn, toIsbn10 } = require('../utils/isbn');
+
+const IMAGE_URL_PATTERN = /\.(jpg|jpeg|png|gif|webp|svg)$/i;
+
+// Book columns for listings; average_rating is a stored column kept in step with reviews
+const BOOK_COLUMNS = 'b.*, b.rating_count as review_count';
+
+// Storage-only columns left out of API payloads
+const INTERNAL_COLUMNS = ['isbn_digits', ...AGGREGATE_COLUMNS];
+
+const trimOrNull = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed.length > 0 ? trimmed : null;
+};
+
+// Returns { errors, book } where book holds cleaned column values
+const prepareBookData = (input) => {
+  const errors = [];
+  const book = {
+    title: trimOrNull(input.title),
+    author: trimOrNull(input.author),
+    description: trimOrNull(input.description),
+    isbn: trimOrNull(input.isbn),
+    published_date: trimOrNull(input.published_date),
+    genre: trimOrNull(input.genre),
+    cover_image: trimOrNull(input.cover_image)
+  };
+
+  if (!book.title || !book.author) {
+    errors.push('Title and author are required');
+  }
+
+  // Stored as the canonical ISBN-13 so either format of the same ISBN conflicts
+  if (book.isbn) {
+    const parsed = parseIsbn(book.isbn);
+    if (parsed.error) {
+      errors.push(parsed.error);
+    } else {
+      book.isbn = parsed.isbn13;
+    }
+  }
+
+  if (book.published_date) {
+    const date = new Date(book.published_date);
+    if (isNaN(date.getTime()) || date > new Date()) {
+      errors.push('Invalid published date or date cannot be in the future');
+    }
+  }
+
+  if (book.cover_image) {
+    try {
+      new URL(book.cover_image);
+      if (!IMAGE_URL_PATTERN.test(book.cover_image)) {
+        errors.push('Cover image must be a valid image URL (jpg, png, gif, webp, svg)');
+      }
+    } catch {
+      errors.push('Invalid cover image URL');
+    }
+  }
+
+  return { errors, book };
+};
+
+// Returns the id of another book already using this ISBN, or null
+const findIsbnConflict = async (db, isbn, excludeBookId = null) => {
+  if (!isbn) {
+    return null;
+  }
+
+  const [rows] = excludeBookId
+    ? await db.execute('SELECT id FROM books WHERE isbn = ? AND id != ? AND isbn IS NOT NULL', [isbn, excludeBookId])
+    : await db.execute('SELECT id FROM books WHERE isbn = ? AND isbn IS NOT NULL', [isbn]);
+
+  return rows.length > 0 ? rows[0].id : null;
+};
+
+const formatBook = (book) => {
+  const formatted = {
+    ...book,
+    average_rating: parseFloat(book.average_rating) || 0,
+    review_count: parseInt(book.review_count) || 0,
+    published_date: book.published_date ? book.published_date.toISOString().split('T')[0] : null
+  };
+
+  if (book.isbn !== undefined) {
+    formatted.isbn10 = book.isbn ? toIsbn10(book.isbn) : null;
+  }
+  if (book.weighted_rating !== undefined) {
+    formatted.weighted_rating = parseFloat(book.weighted_rating) || 0;
+  }
+  if (book.rating_count !== undefined) {
+    formatted.rating_distribution = formatRatingDistribution(book);
+  }
+  INTERNAL_COLUMNS.forEach(column => delete formatted[column]);
+  return formatted;
+};
+
+module.exports = {
+  BOOK_COLUMNS,
+  prepareBookData,
+  findIsbnConflict,
+  formatBook
+};
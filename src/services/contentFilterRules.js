@@ -0,0 +1,148 @@
+// Rule types for the review content filter. A rule type is an object with:
+//   actions (optional) -> the actions it supports, when not all of reject, mask and flag
+//   validate(config) -> { config } with defaults applied, or { error }
+//   check(text, config, context) -> (async) a match { message, mask(text) } or null
+// context carries { db, bookId, reviewId, fingerprint } for rules that look at other reviews.
+// mask returns the text with the offending parts replaced; it is used when the rule's
+// action is 'mask'.
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"]+|\bwww\.[^\s<>"]+/gi;
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words, so "class" doesn't match a rule for "ass"
+const wordPattern = (words) => new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+  'giu'
+);
+
+const wordList = {
+  validate: (config) => {
+    const words = Array.isArray(config.words)
+      ? [...new Set(config.words.filter(word => typeof word === 'string').map(word => word.trim().toLowerCase()).filter(Boolean))]
+      : [];
+    if (words.length === 0) {
+      return { error: 'word_list rules need a non-empty words array' };
+    }
+    return { config: { words } };
+  },
+  check: (text, config) => {
+    const found = text.match(wordPattern(config.words));
+    if (!found) {
+      return null;
+    }
+    return {
+      message: `Contains blocked words: ${[...new Set(found.map(word => word.toLowerCase()))].join(', ')}`,
+      mask: (value) => value.replace(wordPattern(config.words), word => '*'.repeat([...word].length))
+    };
+  }
+};
+
+const repeatedCharacters = {
+  validate: (config) => {
+    const maxRun = config.maxRun === undefined ? 4 : config.maxRun;
+    if (!isPositiveInt(maxRun) || maxRun < 2) {
+      return { error: 'maxRun must be an integer of at least 2' };
+    }
+    return { config: { maxRun } };
+  },
+  check: (text, config) => {
+    const pattern = new RegExp(`(.)\\1{${config.maxRun},}`, 'gu');
+    if (!pattern.test(text)) {
+      return null;
+    }
+    return {
+      message: `Repeats a character more than ${config.maxRun} times in a row`,
+      mask: (value) => value.replace(pattern, (run, char) => char.repeat(config.maxRun))
+    };
+  }
+};
+
+const excessiveCaps = {
+  validate: (config) => {
+    const maxRatio = config.maxRatio === undefined ? 0.7 : config.maxRatio;
+    const minLetters = config.minLetters === undefined ? 20 : config.minLetters;
+    if (typeof maxRatio !== 'number' || maxRatio <= 0 || maxRatio >= 1) {
+      return { error: 'maxRatio must be a number between 0 and 1' };
+    }
+    if (!isPositiveInt(minLetters)) {
+      return { error: 'minLetters must be a positive integer' };
+    }
+    return { config: { maxRatio, minLetters } };
+  },
+  check: (text, config) => {
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    const capitals = (text.match(/\p{Lu}/gu) || []).length;
+    if (letters < config.minLetters || capitals / letters <= config.maxRatio) {
+      return null;
+    }
+    return {
+      message: `${Math.round((capitals / letters) * 100)}% of letters are capitals`,
+      // Sentence case: lower everything, then capitalise the start of each sentence
+      mask: (value) => value.toLowerCase().replace(/(^|[.!?]\s+)(\p{L})/gu, (match, start, letter) => start + letter.toUpperCase())
+    };
+  }
+};
+
+const urlLimit = {
+  validate: (config) => {
+    const maxUrls = config.maxUrls === undefined ? 1 : config.maxUrls;
+    if (!Number.isInteger(maxUrls) || maxUrls < 0) {
+      return { error: 'maxUrls must be a non-negative integer' };
+    }
+    return { config: { maxUrls } };
+  },
+  check: (text, config) => {
+    const urls = text.match(URL_PATTERN) || [];
+    if (urls.length <= config.maxUrls) {
+      return null;
+    }
+    return {
+      message: `Contains ${urls.length} links (at most ${config.maxUrls} allowed)`,
+      // Links past the allowance are removed
+      mask: (value) => {
+        let seen = 0;
+        return value.replace(URL_PATTERN, url => (++seen > config.maxUrls ? '[link removed]' : url));
+      }
+    };
+  }
+};
+
+// The same comment (ignoring case, spacing and punctuation) already posted on another book.
+// There is nothing to mask, so it can only reject or flag.
+const duplicateComment = {
+  actions: ['reject', 'flag'],
+  validate: (config) => {
+    const minLength = config.minLength === undefined ? 40 : config.minLength;
+    if (!isPositiveInt(minLength)) {
+      return { error: 'minLength must be a positive integer' };
+    }
+    return { config: { minLength } };
+  },
+  check: async (text, config, { db, bookId, reviewId, fingerprint }) => {
+    if (!fingerprint || text.trim().length < config.minLength) {
+      return null;
+    }
+    const [rows] = await db.execute(
+      'SELECT COUNT(DISTINCT book_id) as books FROM reviews WHERE comment_fingerprint = ? AND book_id != ? AND id != ?',
+      [fingerprint, bookId, reviewId || 0]
+    );
+    const books = parseInt(rows[0].books) || 0;
+    if (books === 0) {
+      return null;
+    }
+    return { message: `The same comment was posted on ${books} other book(s)` };
+  }
+};
+
+const RULE_TYPES = {
+  word_list: wordList,
+  repeated_characters: repeatedCharacters,
+  excessive_caps: excessiveCaps,
+  url_limit: urlLimit,
+  duplicate_comment: duplicateComment
+};
+
+module.exports = { RULE_TYPES };
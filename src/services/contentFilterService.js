@@ -0,0 +1,138 @@
+// Runs review comments through the content filter rules stored in content_filter_rules.
+// Each matching rule applies its action: reject refuses the review, mask rewrites the
+// offending text, flag publishes nothing until a moderator approves it (status 'pending').
+
+const crypto = require('crypto');
+const { RULE_TYPES } = require('./contentFilterRules');
+
+const RULE_ACTIONS = ['reject', 'mask', 'flag'];
+const DEFAULT_LOCALE = process.env.CONTENT_FILTER_DEFAULT_LOCALE || 'en';
+// Rules are reloaded at least this often, so changes reach every server process
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+const parseConfig = (config) => (typeof config === 'string' ? JSON.parse(config) : config || {});
+
+const formatRule = (row) => ({
+  id: row.id,
+  name: row.name,
+  type: row.type,
+  action: row.action,
+  locale: row.locale,
+  config: parseConfig(row.config),
+  enabled: Boolean(row.enabled),
+  created_at: row.created_at ? row.created_at.toISOString() : null,
+  updated_at: row.updated_at ? row.updated_at.toISOString() : null
+});
+
+const loadRules = async (db) => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const [rows] = await db.execute('SELECT * FROM content_filter_rules WHERE enabled = TRUE ORDER BY id ASC');
+  cache = rows.map(formatRule);
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+const invalidateRuleCache = () => {
+  cache = null;
+};
+
+// Primary language subtag: "en-GB" -> "en"
+const normaliseLocale = (locale) => {
+  const primary = String(locale || '').trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(primary) ? primary : DEFAULT_LOCALE;
+};
+
+// Hash of the comment ignoring case, spacing and punctuation, for duplicate detection
+const fingerprintComment = (comment) => {
+  const normalised = String(comment || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  return normalised ? crypto.createHash('sha256').update(normalised).digest('hex') : null;
+};
+
+// Checks a rule definition from the admin API. Returns { rule } ready to store, or { error }.
+const prepareRule = ({ name, type, action, locale = null, config = {}, enabled = true }) => {
+  const ruleType = RULE_TYPES[type];
+  if (!ruleType) {
+    return { error: `Type must be one of: ${Object.keys(RULE_TYPES).join(', ')}` };
+  }
+
+  const actions = ruleType.actions || RULE_ACTIONS;
+  if (!actions.includes(action)) {
+    return { error: `${type} rules support these actions: ${actions.join(', ')}` };
+  }
+
+  const checked = ruleType.validate(config);
+  if (checked.error) {
+    return { error: checked.error };
+  }
+
+  return {
+    rule: {
+      name,
+      type,
+      action,
+      locale: locale ? normaliseLocale(locale) : null,
+      config: checked.config,
+      enabled
+    }
+  };
+};
+
+// Runs every enabled rule for the locale against a comment. Returns
+// { comment, status, fingerprint, rejected, masked, flagged } where comment has the mask
+// rules applied and status is 'published' or 'pending'. The review should be refused
+// when rejected is not empty.
+const filterComment = async (db, comment, { bookId, reviewId = null, locale = null, rules = null }) => {
+  const result = { comment, status: 'published', fingerprint: null, rejected: [], masked: [], flagged: [] };
+  if (!comment) {
+    return result;
+  }
+
+  const language = normaliseLocale(locale);
+  const activeRules = (rules || await loadRules(db)).filter(rule => rule.locale === null || rule.locale === language);
+  const fingerprint = fingerprintComment(comment);
+  let text = comment;
+
+  for (const rule of activeRules) {
+    const ruleType = RULE_TYPES[rule.type];
+    if (!ruleType) {
+      continue;
+    }
+
+    const match = await ruleType.check(comment, rule.config, { db, bookId, reviewId, fingerprint });
+    if (!match) {
+      continue;
+    }
+
+    const hit = { ruleId: rule.id, rule: rule.name, type: rule.type, message: match.message };
+    if (rule.action === 'reject') {
+      result.rejected.push(hit);
+    } else if (rule.action === 'mask' && match.mask) {
+      text = match.mask(text);
+      result.masked.push(hit);
+    } else {
+      result.flagged.push(hit);
+    }
+  }
+
+  // The fingerprint is of the comment as submitted, so a masked copy still matches the next one
+  result.comment = text;
+  result.status = result.flagged.length > 0 ? 'pending' : 'published';
+  result.fingerprint = fingerprint;
+  return result;
+};
+
+module.exports = {
+  RULE_ACTIONS,
+  RULE_TYPES,
+  formatRule,
+  invalidateRuleCache,
+  fingerprintComment,
+  prepareRule,
+  filterComment
+};
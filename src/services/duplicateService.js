@@ -0,0 +1,315 @@
+// Duplicate book detection and merging. Candidates are pairs of books sharing an ISBN
+// (ISBN-10 and ISBN-13 compared as ISBN-13) or linked to the same author with
+// near-identical normalised titles.
+
+const { BOOK_COLUMNS, formatBook } = require('./bookService');
+const { recomputeRatingAggregates } = require('./ratingService');
+const { SHELVES } = require('./wishlistService');
+const { toIsbn13 } = require('../utils/isbn');
+
+const DEFAULT_THRESHOLD = 0.85;
+// Authors must match at least this closely before titles are compared
+const AUTHOR_THRESHOLD = 0.8;
+const SHELF_ORDER = SHELVES.map(shelf => `'${shelf}'`).join(', ');
+
+// Lowercase, accents and punctuation removed, "&" read as "and"
+const normaliseText = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Leading articles and subtitles ("Dune: Deluxe Edition") are ignored
+const titleKey = (title) => normaliseText(String(title || '').split(/:|\s[-–]\s|\(/)[0])
+  .replace(/^(?:the|a|an)\s+/, '');
+
+// Name parts in sorted order, so "Lee, Harper" and "Harper Lee" match
+const authorKey = (author) => normaliseText(author).split(' ').filter(Boolean).sort().join(' ');
+
+const bigrams = (text) => {
+  const padded = ` ${text} `;
+  const pairs = [];
+  for (let i = 0; i < padded.length - 1; i++) {
+    pairs.push(padded.substring(i, i + 2));
+  }
+  return pairs;
+};
+
+// Sørensen–Dice coefficient over character bigrams, 0 (nothing shared) to 1 (identical)
+const similarity = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+  const left = bigrams(a);
+  const right = bigrams(b);
+  const counts = new Map();
+  left.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+
+  let shared = 0;
+  right.forEach(pair => {
+    if (counts.get(pair) > 0) {
+      shared++;
+      counts.set(pair, counts.get(pair) - 1);
+    }
+  });
+  return (2 * shared) / (left.length + right.length);
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Stored ISBNs are canonical ISBN-13s, which are unique, so a shared ISBN can only involve
+// a legacy value the canonical rewrite skipped (hyphenated, ISBN-10, or an invalid checksum)
+const findIsbnPairs = async (db, addPair) => {
+  const [legacy] = await db.execute(
+    "SELECT id, isbn FROM books WHERE isbn IS NOT NULL AND isbn NOT REGEXP '^[0-9]{13}$' ORDER BY id ASC"
+  );
+  const byIsbn = new Map();
+  legacy.forEach(book => {
+    const isbn13 = toIsbn13(book.isbn);
+    if (isbn13) {
+      byIsbn.set(isbn13, [...(byIsbn.get(isbn13) || []), book]);
+    }
+  });
+  if (byIsbn.size === 0) {
+    return;
+  }
+
+  const [canonical] = await db.query('SELECT id, isbn FROM books WHERE isbn IN (?)', [[...byIsbn.keys()]]);
+  canonical.forEach(book => byIsbn.get(book.isbn).push(book));
+
+  byIsbn.forEach(group => {
+    group.forEach((book, i) => group.slice(i + 1).forEach(other => addPair(book, other, 'isbn')));
+  });
+};
+
+// Titles are only compared within a block: books linked to the same author whose titles
+// share their first TITLE_PREFIX_LENGTH characters. Blocks larger than MAX_BLOCK_SIZE are
+// skipped rather than compared pair by pair.
+const TITLE_PREFIX_LENGTH = 3;
+const MAX_BLOCK_SIZE = 50;
+
+const findTitlePairs = async (db, threshold, addPair) => {
+  // Only authors with more than one book can have a duplicate
+  const [rows] = await db.execute(
+    `SELECT ba.author_id, b.id, b.title, b.author
+     FROM book_authors ba
+     JOIN books b ON b.id = ba.book_id
+     WHERE ba.author_id IN (SELECT author_id FROM book_authors GROUP BY author_id HAVING COUNT(*) > 1)
+     ORDER BY ba.author_id ASC, b.id ASC`
+  );
+
+  const blocks = new Map();
+  rows.forEach(row => {
+    const book = { ...row, titleKey: titleKey(row.title), authorKey: authorKey(row.author) };
+    const key = `${row.author_id}:${book.titleKey.substring(0, TITLE_PREFIX_LENGTH)}`;
+    blocks.set(key, [...(blocks.get(key) || []), book]);
+  });
+
+  // Co-written books share a block for each of their authors
+  const compared = new Set();
+  blocks.forEach(block => {
+    if (block.length > MAX_BLOCK_SIZE) {
+      return;
+    }
+    block.forEach((book, i) => block.slice(i + 1).forEach(other => {
+      const key = `${book.id}:${other.id}`;
+      if (compared.has(key)) {
+        return;
+      }
+      compared.add(key);
+
+      const author = similarity(book.authorKey, other.authorKey);
+      if (author < AUTHOR_THRESHOLD) {
+        return;
+      }
+      const title = similarity(book.titleKey, other.titleKey);
+      if (title >= threshold) {
+        addPair(book, other, 'title_author', { title, author });
+      }
+    }));
+  });
+};
+
+// Returns [{ books: [a, b], reasons, score, similarity, suggestedTargetId }], best matches first
+const findDuplicateCandidates = async (db, { threshold = DEFAULT_THRESHOLD, limit = 50 } = {}) => {
+  const pairs = new Map();
+
+  const addPair = (a, b, reason, scores) => {
+    const [first, second] = a.id < b.id ? [a, b] : [b, a];
+    const key = `${first.id}:${second.id}`;
+    const pair = pairs.get(key) || { ids: [first.id, second.id], reasons: [], similarity: null, score: 0 };
+    pair.reasons.push(reason);
+    if (scores) {
+      pair.similarity = { title: round(scores.title), author: round(scores.author) };
+    }
+    pair.score = reason === 'isbn' ? 1 : Math.max(pair.score, round((2 * scores.title + scores.author) / 3));
+    pairs.set(key, pair);
+  };
+
+  await findIsbnPairs(db, addPair);
+  await findTitlePairs(db, threshold, addPair);
+
+  const ranked = [...pairs.values()].sort((a, b) => b.score - a.score || a.ids[0] - b.ids[0]).slice(0, limit);
+  const ids = [...new Set(ranked.flatMap(pair => pair.ids))];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const [rows] = await db.query(`SELECT ${BOOK_COLUMNS} FROM books b WHERE b.id IN (?)`, [ids]);
+  const byId = new Map(rows.map(row => [row.id, formatBook(row)]));
+
+  return ranked.map(pair => {
+    const [a, b] = pair.ids.map(id => byId.get(id));
+    return {
+      books: [a, b],
+      reasons: pair.reasons,
+      score: pair.score,
+      similarity: pair.similarity,
+      // Keep the copy with more reviews, or the older one
+      suggestedTargetId: b.review_count > a.review_count ? b.id : a.id
+    };
+  });
+};
+
+// Fields the surviving book takes from a merged copy when its own are empty
+const FILLABLE_FIELDS = ['description', 'isbn', 'published_date', 'genre', 'genre_id', 'cover_image'];
+
+// Which of a reader's two reviews survives a merge: a published review beats a hidden or
+// pending one, then the more recently written one wins, then the target's
+const keepSourceReview = (conflict) => {
+  const targetPublished = conflict.target_status === 'published';
+  const sourcePublished = conflict.source_status === 'published';
+  if (targetPublished !== sourcePublished) {
+    return sourcePublished;
+  }
+  return conflict.source_written_at > conflict.target_written_at;
+};
+
+// Folds one book into another inside the caller's transaction. When a reader reviewed
+// both copies, one review is kept (see keepSourceReview) and the other is deleted with its
+// votes, comments and revisions; the result lists the dropped reviews. When both are on
+// their reading list, the entry furthest along (finished > reading > want to read) is kept.
+const mergeBookInto = async (connection, targetId, sourceId, mergedBy) => {
+  const [sources] = await connection.execute('SELECT * FROM books WHERE id = ? FOR UPDATE', [sourceId]);
+  const [targets] = await connection.execute('SELECT * FROM books WHERE id = ? FOR UPDATE', [targetId]);
+  const source = sources[0];
+  const target = targets[0];
+
+  // Reviews (unique_user_book): one review per reader who reviewed both copies
+  const [conflicts] = await connection.execute(
+    `SELECT t.user_id, t.id as target_review_id, s.id as source_review_id,
+            t.status as target_status, s.status as source_status,
+            COALESCE(t.edited_at, t.created_at) as target_written_at,
+            COALESCE(s.edited_at, s.created_at) as source_written_at
+     FROM reviews t
+     JOIN reviews s ON s.user_id = t.user_id AND s.book_id = ?
+     WHERE t.book_id = ?`,
+    [sourceId, targetId]
+  );
+  const droppedReviews = conflicts.map(conflict => {
+    const keepSource = keepSourceReview(conflict);
+    return {
+      userId: conflict.user_id,
+      reviewId: keepSource ? conflict.target_review_id : conflict.source_review_id,
+      status: keepSource ? conflict.target_status : conflict.source_status,
+      keptReviewId: keepSource ? conflict.source_review_id : conflict.target_review_id
+    };
+  });
+  if (droppedReviews.length > 0) {
+    await connection.query('DELETE FROM reviews WHERE id IN (?)', [droppedReviews.map(review => review.reviewId)]);
+  }
+  const [movedReviews] = await connection.execute(
+    'UPDATE reviews SET book_id = ? WHERE book_id = ?',
+    [targetId, sourceId]
+  );
+
+  // Reading list (unique_user_book): keep the shelf furthest along
+  await connection.execute(
+    `UPDATE wishlist t
+     JOIN wishlist s ON s.user_id = t.user_id AND s.book_id = ?
+     SET t.shelf = s.shelf, t.position = s.position, t.updated_at = NOW()
+     WHERE t.book_id = ? AND FIELD(s.shelf, ${SHELF_ORDER}) > FIELD(t.shelf, ${SHELF_ORDER})`,
+    [sourceId, targetId]
+  );
+  const [droppedWishlist] = await connection.execute(
+    `DELETE s FROM wishlist s
+     JOIN wishlist t ON t.user_id = s.user_id AND t.book_id = ?
+     WHERE s.book_id = ?`,
+    [targetId, sourceId]
+  );
+  const [movedWishlist] = await connection.execute(
+    'UPDATE wishlist SET book_id = ? WHERE book_id = ?',
+    [targetId, sourceId]
+  );
+
+  // Authors only the source was linked to are listed after the target's own
+  const [positions] = await connection.execute(
+    'SELECT COALESCE(MAX(position) + 1, 0) as next FROM book_authors WHERE book_id = ?',
+    [targetId]
+  );
+  await connection.execute(
+    `INSERT IGNORE INTO book_authors (book_id, author_id, position)
+     SELECT ?, author_id, ? + position FROM book_authors WHERE book_id = ?`,
+    [targetId, positions[0].next, sourceId]
+  );
+
+  await connection.execute(
+    `INSERT IGNORE INTO book_tags (book_id, tag_id, applied_by, created_at)
+     SELECT ?, tag_id, applied_by, created_at FROM book_tags WHERE book_id = ?`,
+    [targetId, sourceId]
+  );
+
+  // Earlier redirects to the source now point at the target
+  await connection.execute('UPDATE book_redirects SET book_id = ? WHERE book_id = ?', [targetId, sourceId]);
+
+  await connection.execute('DELETE FROM books WHERE id = ?', [sourceId]);
+
+  await connection.execute(
+    'INSERT INTO book_redirects (old_book_id, book_id, merged_by, merged_at) VALUES (?, ?, ?, NOW())',
+    [sourceId, targetId, mergedBy]
+  );
+
+  // Only after the source is gone, since isbn is unique
+  const filled = FILLABLE_FIELDS.filter(field => (target[field] === null || target[field] === '') && source[field] !== null && source[field] !== '');
+  if (filled.length > 0) {
+    await connection.execute(
+      `UPDATE books SET ${filled.map(field => `${field} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...filled.map(field => source[field]), targetId]
+    );
+  }
+
+  return {
+    sourceId,
+    title: source.title,
+    reviewsMoved: movedReviews.affectedRows,
+    reviewConflicts: droppedReviews.length,
+    droppedReviews,
+    wishlistMoved: movedWishlist.affectedRows,
+    wishlistConflicts: droppedWishlist.affectedRows,
+    filledFields: filled.filter(field => field !== 'genre_id')
+  };
+};
+
+const mergeBooks = async (connection, targetId, sourceIds, mergedBy) => {
+  const merged = [];
+  for (const sourceId of sourceIds) {
+    merged.push(await mergeBookInto(connection, targetId, sourceId, mergedBy));
+  }
+  await recomputeRatingAggregates(connection, [targetId]);
+  return merged;
+};
+
+// Id a merged book now lives under, or null
+const findBookRedirect = async (db, bookId) => {
+  const [rows] = await db.execute('SELECT book_id FROM book_redirects WHERE old_book_id = ?', [bookId]);
+  return rows.length > 0 ? rows[0].book_id : null;
+};
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  findDuplicateCandidates,
+  mergeBooks,
+  findBookRedirect
+};
@@ -0,0 +1,191 @@
+const { buildGenreFilter } = require('./genreService');
+const { buildTagFilter } = require('./tagService');
+const { slugifyAuthor } = require('./authorService');
+
+const FACET_VALUE_LIMIT = 20;
+const MAX_LIST_VALUES = 20;
+
+// Each facet groups the matching books by an expression over the books table, or over
+// a joined table when a book can have several values (authors)
+const FACETS = {
+  genre: {
+    value: 'b.genre',
+    where: "b.genre IS NOT NULL AND b.genre != ''",
+    orderBy: 'count DESC, value ASC',
+    limit: FACET_VALUE_LIMIT
+  },
+  author: {
+    value: 'a.name',
+    extra: { slug: 'a.slug' },
+    join: 'JOIN book_authors fa ON fa.book_id = b.id JOIN authors a ON a.id = fa.author_id',
+    groupBy: 'a.id',
+    where: null,
+    orderBy: 'count DESC, value ASC',
+    limit: FACET_VALUE_LIMIT
+  },
+  decade: {
+    value: 'FLOOR(YEAR(b.published_date) / 10) * 10',
+    where: 'b.published_date IS NOT NULL',
+    orderBy: 'value DESC',
+    limit: null
+  },
+  // Star buckets: 4 covers an average of 4.00-4.99; unrated books are left out
+  rating: {
+    value: 'FLOOR(b.average_rating)',
+    where: 'b.rating_count > 0',
+    orderBy: 'value DESC',
+    limit: null
+  }
+};
+
+const FACET_NAMES = Object.keys(FACETS);
+
+// Multi-select query values arrive as repeated params (?genre=a&genre=b) and, where
+// values can't contain the separator, as a comma list (?genre=a,b)
+const toList = (value, separator = null) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => (separator ? String(item).split(separator) : [String(item)]))
+    .map(item => item.trim())
+    .filter(Boolean)
+    .slice(0, MAX_LIST_VALUES);
+};
+
+// A bare year widens to the start or end of that year
+const toDateBound = (value, end) => {
+  if (!value) {
+    return null;
+  }
+  return /^\d{4}$/.test(value) ? `${value}-${end ? '12-31' : '01-01'}` : value;
+};
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Turns search query params into WHERE conditions, each tagged with the facet it
+// narrows so facet counts can ignore their own selection (multi-select semantics)
+const buildSearchFilters = (query) => {
+  const conditions = [];
+
+  // Genres match by name or alias and include their sub-genres
+  const genres = toList(query.genre, ',');
+  if (genres.length > 0) {
+    conditions.push({ facet: 'genre', ...buildGenreFilter(genres) });
+  }
+
+  const tags = toList(query.tag, ',');
+  if (tags.length > 0) {
+    conditions.push({ facet: null, ...buildTagFilter(tags) });
+  }
+
+  // Whole authors by id, slug or name, so "Harper Lee" doesn't match "Harper Leeds"
+  const authors = toList(query.author);
+  if (authors.length > 0) {
+    const ids = authors.filter(author => /^\d+$/.test(author)).map(author => parseInt(author));
+    const slugs = authors.filter(author => !/^\d+$/.test(author)).map(slugifyAuthor);
+    const matches = [
+      ...(ids.length > 0 ? [`au.id IN (${placeholders(ids)})`] : []),
+      ...(slugs.length > 0 ? [`au.slug IN (${placeholders(slugs)})`] : [])
+    ];
+    conditions.push({
+      facet: 'author',
+      sql: `b.id IN (SELECT ba.book_id FROM book_authors ba JOIN authors au ON au.id = ba.author_id
+                     WHERE ${matches.join(' OR ')})`,
+      params: [...ids, ...slugs]
+    });
+  }
+
+  const decades = toList(query.decade, ',').map(decade => parseInt(decade));
+  if (decades.length > 0) {
+    conditions.push({
+      facet: 'decade',
+      sql: `FLOOR(YEAR(b.published_date) / 10) * 10 IN (${placeholders(decades)})`,
+      params: decades
+    });
+  }
+
+  const publishedFrom = toDateBound(query.publishedFrom, false);
+  if (publishedFrom) {
+    conditions.push({ facet: null, sql: 'b.published_date >= ?', params: [publishedFrom] });
+  }
+
+  const publishedTo = toDateBound(query.publishedTo, true);
+  if (publishedTo) {
+    conditions.push({ facet: null, sql: 'b.published_date <= ?', params: [publishedTo] });
+  }
+
+  if (query.minRating) {
+    conditions.push({
+      facet: 'rating',
+      sql: 'b.average_rating >= ?',
+      params: [parseFloat(query.minRating)]
+    });
+  }
+
+  if (query.maxRating) {
+    conditions.push({
+      facet: 'rating',
+      sql: 'b.average_rating <= ?',
+      params: [parseFloat(query.maxRating)]
+    });
+  }
+
+  return conditions;
+};
+
+// Joins tagged conditions into SQL fragments, optionally leaving out one facet's own filters
+const composeFilters = (conditions, excludeFacet = null) => {
+  const included = conditions.filter(condition => !excludeFacet || condition.facet !== excludeFacet);
+
+  return {
+    where: included.map(condition => condition.sql),
+    whereParams: included.flatMap(condition => condition.params)
+  };
+};
+
+// Returns { [facet]: [{ value, count }] } for the requested facets
+const getFacetCounts = async (db, facetNames, conditions, textSearch) => {
+  const facets = {};
+
+  for (const name of facetNames) {
+    const facet = FACETS[name];
+    const filters = composeFilters(conditions, name);
+    const where = [
+      ...(textSearch ? [textSearch.where] : []),
+      ...filters.where,
+      ...(facet.where ? [facet.where] : [])
+    ];
+    const params = [...(textSearch ? textSearch.whereParams : []), ...filters.whereParams];
+
+    const extra = Object.entries(facet.extra || {});
+    const [rows] = await db.execute(
+      `SELECT ${facet.value} as value, ${extra.map(([alias, column]) => `${column} as ${alias}, `).join('')}COUNT(*) as count
+       FROM books b
+       ${facet.join || ''}
+       ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+       GROUP BY ${facet.groupBy || 'value'}
+       ORDER BY ${facet.orderBy}
+       ${facet.limit ? `LIMIT ${facet.limit}` : ''}`,
+      params
+    );
+
+    facets[name] = rows.map(row => ({
+      value: name === 'decade' || name === 'rating' ? parseInt(row.value) : row.value,
+      ...Object.fromEntries(extra.map(([alias]) => [alias, row[alias]])),
+      count: parseInt(row.count) || 0
+    }));
+  }
+
+  return facets;
+};
+
+module.exports = {
+  FACET_NAMES,
+  MAX_LIST_VALUES,
+  toList,
+  buildSearchFilters,
+  composeFilters,
+  getFacetCounts
+};
@@ -0,0 +1,209 @@
+// Genre taxonomy: genres form a tree through parent_id, and genre_aliases maps other
+// spellings ("Sci-Fi", "SF") to a genre. books.genre_id links a book to its genre and
+// books.genre holds that genre's name, so listings and search read it without a join.
+
+const { slugify } = require('../utils/slug');
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Genres matching these names by slug or alias, plus all of their descendants
+const GENRE_SUBTREE = (slugs) => `
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM genres
+    WHERE slug IN (${placeholders(slugs)})
+       OR id IN (SELECT genre_id FROM genre_aliases WHERE alias_slug IN (${placeholders(slugs)}))
+    UNION
+    SELECT g.id FROM genres g JOIN subtree s ON g.parent_id = s.id
+  )
+  SELECT id FROM subtree
+`;
+
+// WHERE condition for books in any of the named genres or their sub-genres
+const buildGenreFilter = (names) => {
+  const slugs = names.map(name => slugify(name, 'genre'));
+  return {
+    sql: `b.genre_id IN (${GENRE_SUBTREE(slugs)})`,
+    params: [...slugs, ...slugs]
+  };
+};
+
+// Finds a genre by name, slug or alias
+const findGenre = async (db, name) => {
+  const slug = slugify(name, 'genre');
+  const [rows] = await db.execute(
+    `SELECT g.* FROM genres g
+     WHERE g.slug = ?
+        OR g.id = (SELECT genre_id FROM genre_aliases WHERE alias_slug = ?)
+     ORDER BY g.slug = ? DESC
+     LIMIT 1`,
+    [slug, slug, slug]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+const findGenreById = async (db, genreId) => {
+  const [rows] = await db.execute('SELECT * FROM genres WHERE id = ?', [genreId]);
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Maps a genre name typed on a book to its genre, adding a new top-level genre the
+// first time an unknown name is used. Returns { id, name } or null for no genre.
+const resolveGenre = async (connection, name) => {
+  if (!name) {
+    return null;
+  }
+
+  const existing = await findGenre(connection, name);
+  if (existing) {
+    return { id: existing.id, name: existing.name };
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO genres (name, slug, created_at, updated_at) VALUES (?, ?, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+    [name, slugify(name, 'genre')]
+  );
+  const [rows] = await connection.execute('SELECT id, name FROM genres WHERE id = ?', [result.insertId]);
+  return rows[0];
+};
+
+// True when candidateId is genreId itself or one of its descendants
+const isInSubtree = async (db, genreId, candidateId) => {
+  const [rows] = await db.execute(
+    `WITH RECURSIVE subtree AS (
+       SELECT id FROM genres WHERE id = ?
+       UNION
+       SELECT g.id FROM genres g JOIN subtree s ON g.parent_id = s.id
+     )
+     SELECT 1 FROM subtree WHERE id = ?`,
+    [genreId, candidateId]
+  );
+  return rows.length > 0;
+};
+
+// Slugs already used by another genre's name or alias
+const findSlugConflicts = async (db, slugs, genreId = null) => {
+  if (slugs.length === 0) {
+    return [];
+  }
+
+  const [rows] = await db.execute(
+    `SELECT slug FROM genres WHERE slug IN (${placeholders(slugs)}) AND id != ?
+     UNION
+     SELECT alias_slug FROM genre_aliases WHERE alias_slug IN (${placeholders(slugs)}) AND genre_id != ?`,
+    [...slugs, genreId || 0, ...slugs, genreId || 0]
+  );
+  return rows.map(row => row.slug);
+};
+
+const replaceAliases = async (connection, genreId, aliases) => {
+  await connection.execute('DELETE FROM genre_aliases WHERE genre_id = ?', [genreId]);
+  for (const alias of aliases) {
+    await connection.execute(
+      'INSERT INTO genre_aliases (alias_slug, genre_id, name) VALUES (?, ?, ?)',
+      [slugify(alias, 'genre'), genreId, alias]
+    );
+  }
+};
+
+// Every genre with its aliases and book counts. book_count covers books filed directly
+// under the genre; total_book_count adds its sub-genres.
+const fetchGenres = async (db) => {
+  const [genres] = await db.execute(
+    `SELECT g.id, g.name, g.slug, g.parent_id, COUNT(b.id) as book_count
+     FROM genres g
+     LEFT JOIN books b ON b.genre_id = g.id
+     GROUP BY g.id
+     ORDER BY g.name ASC`
+  );
+  const [aliases] = await db.execute('SELECT genre_id, name FROM genre_aliases ORDER BY name ASC');
+
+  const byId = new Map(genres.map(genre => [genre.id, {
+    id: genre.id,
+    name: genre.name,
+    slug: genre.slug,
+    parent_id: genre.parent_id,
+    aliases: aliases.filter(alias => alias.genre_id === genre.id).map(alias => alias.name),
+    book_count: parseInt(genre.book_count) || 0,
+    total_book_count: 0,
+    children: []
+  }]));
+
+  const roots = [];
+  byId.forEach(genre => {
+    const parent = genre.parent_id ? byId.get(genre.parent_id) : null;
+    (parent ? parent.children : roots).push(genre);
+  });
+
+  const countSubtree = (genre) => {
+    genre.total_book_count = genre.book_count + genre.children.reduce((sum, child) => sum + countSubtree(child), 0);
+    return genre.total_book_count;
+  };
+  roots.forEach(countSubtree);
+
+  return { roots, genres: [...byId.values()] };
+};
+
+// Folds the source genres into the target: their books, sub-genres and aliases move
+// over, and their names become aliases of the target so old links keep resolving
+const mergeGenres = async (connection, target, sourceIds) => {
+  const [sources] = await connection.query(
+    'SELECT id, name, slug FROM genres WHERE id IN (?) FOR UPDATE',
+    [sourceIds]
+  );
+
+  const [movedBooks] = await connection.query(
+    'UPDATE books SET genre_id = ?, genre = ? WHERE genre_id IN (?)',
+    [target.id, target.name, sourceIds]
+  );
+
+  // A target anywhere under a source moves up above the highest source it sits in, to the
+  // nearest ancestor not being merged; otherwise the sub-genres moved onto it could
+  // include its own ancestors and form a loop
+  let nested = false;
+  for (const source of sources) {
+    nested = nested || await isInSubtree(connection, source.id, target.id);
+  }
+  if (nested) {
+    const mergedIds = new Set(sources.map(source => source.id));
+    const ancestors = [];
+    const [targetRows] = await connection.execute('SELECT parent_id FROM genres WHERE id = ?', [target.id]);
+    let parentId = targetRows[0].parent_id;
+    while (parentId) {
+      ancestors.push(parentId);
+      const [parentRows] = await connection.execute('SELECT parent_id FROM genres WHERE id = ?', [parentId]);
+      parentId = parentRows[0].parent_id;
+    }
+    const highestSource = ancestors.map(id => mergedIds.has(id)).lastIndexOf(true);
+    const newParent = ancestors[highestSource + 1] || null;
+    await connection.execute('UPDATE genres SET parent_id = ? WHERE id = ?', [newParent, target.id]);
+  }
+
+  await connection.query(
+    'UPDATE genres SET parent_id = ? WHERE parent_id IN (?) AND id != ?',
+    [target.id, sourceIds, target.id]
+  );
+  await connection.query('UPDATE genre_aliases SET genre_id = ? WHERE genre_id IN (?)', [target.id, sourceIds]);
+  await connection.query('DELETE FROM genres WHERE id IN (?)', [sourceIds]);
+
+  for (const source of sources) {
+    await connection.execute(
+      'INSERT IGNORE INTO genre_aliases (alias_slug, genre_id, name) VALUES (?, ?, ?)',
+      [source.slug, target.id, source.name]
+    );
+  }
+
+  return { merged: sources.map(source => ({ id: source.id, name: source.name })), booksMoved: movedBooks.affectedRows };
+};
+
+module.exports = {
+  buildGenreFilter,
+  findGenre,
+  findGenreById,
+  resolveGenre,
+  isInSubtree,
+  findSlugConflicts,
+  replaceAliases,
+  fetchGenres,
+  mergeGenres
+};
@@ -0,0 +1,73 @@
+const path = require('path');
+const {
+  createMemoryTransport,
+  createFileTransport,
+  createSmtpTransport
+} = require('./mailTransports');
+
+let transport;
+
+const createTransportFromEnv = () => {
+  const defaultTransport = process.env.NODE_ENV === 'production' ? 'smtp' : 'memory';
+  const type = process.env.MAIL_TRANSPORT || defaultTransport;
+
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.MAIL_FROM || process.env.SMTP_USER
+      });
+    case 'file':
+      return createFileTransport(path.resolve(process.env.MAIL_FILE_DIR || './mail-outbox'));
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}"`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+const sendMail = (message) => getTransport().send(message);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nUse the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.\n\n${link}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Use the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.</p><p><a href="${link}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${frontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below.\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address by opening the link below.</p><p><a href="${link}">Verify email</a></p>`
+  });
+};
+
+module.exports = {
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// A transport is any object with an async send({ to, subject, text, html }) method
+
+// Keeps sent messages in memory instead of delivering them; the default outside production
+const createMemoryTransport = () => {
+  const messages = [];
+  return {
+    name: 'memory',
+    messages,
+    send: async (message) => {
+      const stored = { ...message, sentAt: new Date().toISOString() };
+      messages.push(stored);
+      return { messageId: `memory-${messages.length}` };
+    }
+  };
+};
+
+// Writes each message as a JSON file, handy for local development
+const createFileTransport = (directory) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const filePath = path.join(directory, `${messageId}.json`);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { messageId, filePath };
+  }
+});
+
+const createSmtpTransport = (options) => {
+  // Loaded lazily so memory/file transports work without the SMTP dependency
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.port === 465,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail({ from: options.from, ...message });
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = {
+  createMemoryTransport,
+  createFileTransport,
+  createSmtpTransport
+};
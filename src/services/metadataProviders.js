@@ -0,0 +1,128 @@
+const fs = require('fs');
+
+// A provider is any object with a name and an async lookupIsbn(isbn13) method that
+// resolves to { title, authors, description, published_date, genre, cover_image }
+// (fields it doesn't know are null) or null when it has no record for the ISBN.
+
+// Normalises provider dates ("1925", "1925-04", "April 10, 1925") to YYYY-MM-DD
+const toIsoDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d{4}$/.test(text)) {
+    return `${text}-01-01`;
+  }
+  if (/^\d{4}-\d{2}$/.test(text)) {
+    return `${text}-01`;
+  }
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : `${text} UTC`);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
+
+const emptyMetadata = () => ({
+  title: null,
+  authors: [],
+  description: null,
+  published_date: null,
+  genre: null,
+  cover_image: null
+});
+
+const fetchJson = async (url, timeoutMs) => {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json' },
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Metadata request failed with HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+// Open Library books API; covers come from the covers service by cover id
+const createOpenLibraryProvider = ({ baseUrl = 'https://openlibrary.org', timeoutMs = 5000 } = {}) => ({
+  name: 'openlibrary',
+  lookupIsbn: async (isbn) => {
+    const body = await fetchJson(`${baseUrl}/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=details`, timeoutMs);
+    const record = body && body[`ISBN:${isbn}`];
+    if (!record || !record.details) {
+      return null;
+    }
+
+    const details = record.details;
+    const description = details.description && typeof details.description === 'object'
+      ? details.description.value
+      : details.description;
+
+    return {
+      ...emptyMetadata(),
+      title: details.title || null,
+      authors: (details.authors || []).map(author => author.name).filter(Boolean),
+      description: description || null,
+      published_date: toIsoDate(details.publish_date),
+      cover_image: details.covers && details.covers.length > 0
+        ? `https://covers.openlibrary.org/b/id/${details.covers[0]}-L.jpg`
+        : null
+    };
+  }
+});
+
+// Google Books volumes API. Its thumbnails have no file extension, so they only pass
+// the cover_image rules when a provider earlier in the list has no cover.
+const createGoogleBooksProvider = ({ apiKey = null, baseUrl = 'https://www.googleapis.com/books/v1', timeoutMs = 5000 } = {}) => ({
+  name: 'googlebooks',
+  lookupIsbn: async (isbn) => {
+    const key = apiKey ? `&key=${encodeURIComponent(apiKey)}` : '';
+    const body = await fetchJson(`${baseUrl}/volumes?q=isbn:${isbn}${key}`, timeoutMs);
+    const volume = body && body.items && body.items[0] && body.items[0].volumeInfo;
+    if (!volume) {
+      return null;
+    }
+
+    const thumbnail = volume.imageLinks && (volume.imageLinks.thumbnail || volume.imageLinks.smallThumbnail);
+
+    return {
+      ...emptyMetadata(),
+      title: volume.subtitle ? `${volume.title}: ${volume.subtitle}` : volume.title || null,
+      authors: volume.authors || [],
+      description: volume.description || null,
+      published_date: toIsoDate(volume.publishedDate),
+      genre: volume.categories && volume.categories.length > 0 ? volume.categories[0] : null,
+      cover_image: thumbnail ? thumbnail.replace(/^http:/, 'https:') : null
+    };
+  }
+});
+
+// Serves records from a JSON file keyed by ISBN-13, for offline development
+const createFixtureProvider = ({ filePath }) => {
+  let loaded = null;
+
+  const load = async () => {
+    if (!loaded) {
+      loaded = fs.existsSync(filePath)
+        ? JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+        : {};
+    }
+    return loaded;
+  };
+
+  return {
+    name: 'fixture',
+    lookupIsbn: async (isbn) => {
+      const record = (await load())[isbn];
+      return record
+        ? { ...emptyMetadata(), ...record, published_date: toIsoDate(record.published_date) }
+        : null;
+    }
+  };
+};
+
+module.exports = {
+  createOpenLibraryProvider,
+  createGoogleBooksProvider,
+  createFixtureProvider
+};
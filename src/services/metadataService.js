@@ -0,0 +1,216 @@
+const path = require('path');
+const { withTransaction } = require('../config/database');
+const { prepareBookData } = require('./bookService');
+const { syncBookAuthors } = require('./authorService');
+const { resolveGenre } = require('./genreService');
+const { invalidateNeighbours, invalidateSimilarBooks } = require('./relatedBooksService');
+const {
+  createOpenLibraryProvider,
+  createGoogleBooksProvider,
+  createFixtureProvider
+} = require('./metadataProviders');
+
+// Book fields a provider can fill in. By default only empty fields are filled;
+// overwrite also replaces values that differ from the provider's.
+const ENRICHABLE_FIELDS = ['title', 'author', 'description', 'published_date', 'genre', 'cover_image'];
+// Column sizes from the books table
+const MAX_LENGTHS = { title: 255, author: 255, genre: 100, cover_image: 500 };
+// Each book costs a request per provider, so bulk runs are capped
+const MAX_BULK_ENRICH = 100;
+
+let providers;
+
+const createProviderFromName = (name) => {
+  const timeoutMs = parseInt(process.env.METADATA_TIMEOUT_MS) || 5000;
+
+  switch (name) {
+    case 'openlibrary':
+      return createOpenLibraryProvider({ timeoutMs });
+    case 'googlebooks':
+      return createGoogleBooksProvider({ apiKey: process.env.GOOGLE_BOOKS_API_KEY || null, timeoutMs });
+    case 'fixture':
+      return createFixtureProvider({
+        filePath: path.resolve(process.env.METADATA_FIXTURE_FILE || './fixtures/book-metadata.json')
+      });
+    default:
+      throw new Error(`Unknown metadata provider "${name}"`);
+  }
+};
+
+// METADATA_PROVIDERS lists providers in priority order, e.g. "openlibrary,googlebooks"
+const createProvidersFromEnv = () => {
+  const defaultProviders = process.env.NODE_ENV === 'production' ? 'openlibrary,googlebooks' : 'fixture';
+  return (process.env.METADATA_PROVIDERS || defaultProviders)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(createProviderFromName);
+};
+
+const getProviders = () => {
+  if (!providers) {
+    providers = createProvidersFromEnv();
+  }
+  return providers;
+};
+
+// Asks each provider in turn; every field takes the first provider's non-empty value.
+// Returns { metadata, sources: { [field]: providerName }, errors } with metadata null
+// when no provider knows the ISBN.
+const lookupMetadata = async (isbn) => {
+  const metadata = {};
+  const sources = {};
+  const errors = [];
+  let found = false;
+
+  for (const provider of getProviders()) {
+    try {
+      const record = await provider.lookupIsbn(isbn);
+      if (!record) {
+        continue;
+      }
+      found = true;
+
+      const values = {
+        ...record,
+        author: record.authors && record.authors.length > 0 ? record.authors.join(' & ') : null
+      };
+      ENRICHABLE_FIELDS.forEach(field => {
+        if (metadata[field] === undefined && values[field]) {
+          metadata[field] = values[field];
+          sources[field] = provider.name;
+        }
+      });
+    } catch (error) {
+      errors.push({ provider: provider.name, error: error.message });
+    }
+  }
+
+  return { metadata: found ? metadata : null, sources, errors };
+};
+
+const currentValue = (book, field) => {
+  const value = book[field];
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+  return value === undefined || value === '' ? null : value;
+};
+
+// Proposed changes for one book, each checked against the same rules as createBook
+const planChanges = (book, { metadata, sources }, { overwrite, fields }) => {
+  const changes = [];
+  const rejected = [];
+
+  fields.forEach(field => {
+    const proposed = metadata[field];
+    const current = currentValue(book, field);
+    if (!proposed || proposed === current || (current !== null && !overwrite)) {
+      return;
+    }
+
+    const { errors, book: cleaned } = prepareBookData({ title: book.title, author: book.author, [field]: proposed });
+    if (errors.length === 0 && MAX_LENGTHS[field] && cleaned[field].length > MAX_LENGTHS[field]) {
+      errors.push(`Longer than ${MAX_LENGTHS[field]} characters`);
+    }
+    if (errors.length > 0) {
+      rejected.push({ field, proposed, source: sources[field], reason: errors[0] });
+      return;
+    }
+    changes.push({ field, current, proposed: cleaned[field], source: sources[field] });
+  });
+
+  return { changes, rejected };
+};
+
+const applyChanges = async (db, book, changes) => {
+  await withTransaction(async (connection) => {
+    const updates = changes.reduce((all, change) => ({ ...all, [change.field]: change.proposed }), {});
+
+    if (updates.genre) {
+      const genre = await resolveGenre(connection, updates.genre);
+      updates.genre = genre.name;
+      updates.genre_id = genre.id;
+    }
+
+    const columns = Object.keys(updates);
+    await connection.execute(
+      `UPDATE books SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...columns.map(column => updates[column]), book.id]
+    );
+
+    if (updates.author) {
+      await syncBookAuthors(connection, book.id, updates.author);
+    }
+  });
+
+  await invalidateNeighbours(db, [book.id]);
+  await invalidateSimilarBooks(db, book.id);
+};
+
+// Looks up one book and, unless dryRun, writes the accepted changes.
+// status: no_isbn | not_found | unchanged | preview | updated
+const enrichBook = async (db, book, { dryRun, overwrite = false, fields = ENRICHABLE_FIELDS }) => {
+  const base = { bookId: book.id, title: book.title, isbn: book.isbn };
+
+  if (!book.isbn) {
+    return { ...base, status: 'no_isbn', changes: [] };
+  }
+
+  const lookup = await lookupMetadata(book.isbn);
+  if (!lookup.metadata) {
+    return {
+      ...base,
+      status: 'not_found',
+      changes: [],
+      ...(lookup.errors.length > 0 && { providerErrors: lookup.errors })
+    };
+  }
+
+  const { changes, rejected } = planChanges(book, lookup, { overwrite, fields });
+  const report = {
+    ...base,
+    changes,
+    ...(rejected.length > 0 && { rejected }),
+    ...(lookup.errors.length > 0 && { providerErrors: lookup.errors })
+  };
+
+  if (changes.length === 0) {
+    return { ...report, status: 'unchanged' };
+  }
+  if (dryRun) {
+    return { ...report, status: 'preview' };
+  }
+
+  await applyChanges(db, book, changes);
+  return { ...report, status: 'updated' };
+};
+
+// Books named by id, or else books with an ISBN that are missing an enrichable field
+const findBooksToEnrich = async (db, { bookIds = null, limit }) => {
+  if (bookIds) {
+    const [rows] = await db.query('SELECT * FROM books WHERE id IN (?) ORDER BY id ASC', [bookIds]);
+    return rows;
+  }
+
+  const [rows] = await db.query(
+    `SELECT * FROM books
+     WHERE isbn IS NOT NULL
+       AND (description IS NULL OR description = ''
+         OR published_date IS NULL
+         OR genre IS NULL OR genre = ''
+         OR cover_image IS NULL OR cover_image = '')
+     ORDER BY id ASC
+     LIMIT ?`,
+    [limit]
+  );
+  return rows;
+};
+
+module.exports = {
+  ENRICHABLE_FIELDS,
+  MAX_BULK_ENRICH,
+  findBooksToEnrich,
+  lookupMetadata,
+  enrichBook
+};
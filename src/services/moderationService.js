@@ -0,0 +1,257 @@
+// Review reports and moderator actions. Hiding a review takes its rating out of the
+// book's aggregates and restoring puts it back; reviews the content filter flagged wait
+// as 'pending' until approved. Every action is written to review_moderation_log together
+// with a copy of the review.
+
+const { applyRatingChange } = require('./ratingService');
+
+const REPORT_REASONS = ['spam', 'offensive', 'spoiler', 'off_topic', 'other'];
+const MODERATION_ACTIONS = ['hide', 'restore', 'remove', 'dismiss', 'approve'];
+const MODERATION_QUEUES = ['reported', 'pending'];
+const LABELS = {
+  hidden: 'Hidden by moderator',
+  pending: 'Awaiting moderation'
+};
+
+// Moderation fields for review payloads; only the author (or a moderator) is ever shown
+// a hidden or pending review, so the reason is included for them
+const formatModeration = (review) => (LABELS[review.status]
+  ? {
+    status: review.status,
+    hidden_by_moderator: review.status === 'hidden',
+    moderation_label: LABELS[review.status],
+    moderation_reason: review.moderation_reason,
+    moderated_at: review.moderated_at ? review.moderated_at.toISOString() : null
+  }
+  : { status: review.status, hidden_by_moderator: false, moderation_reason: null, moderated_at: null });
+
+// Writes an audit entry with a copy of the review as it stood. revision is the revision a
+// revert restored.
+const logModerationAction = async (connection, review, moderatorId, action, reason, { reportCount = 0, revision = null } = {}) => {
+  const [logged] = await connection.execute(
+    `INSERT INTO review_moderation_log
+       (review_id, book_id, review_user_id, moderator_id, action, reason, report_count, revision, review_rating, review_comment, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [review.id, review.book_id, review.user_id, moderatorId, action, reason, reportCount, revision, review.rating, review.comment]
+  );
+  return logged.insertId;
+};
+
+// Puts a review the content filter flagged into the pending queue (no moderator involved)
+const flagReview = async (connection, review, reason) => {
+  await connection.execute(
+    "UPDATE reviews SET status = 'pending', moderation_reason = ?, moderated_at = NOW() WHERE id = ?",
+    [reason, review.id]
+  );
+  await logModerationAction(connection, review, null, 'flag', reason);
+};
+
+const closeReports = async (connection, reviewId, status, moderatorId) => {
+  const [result] = await connection.execute(
+    `UPDATE review_reports SET status = ?, resolved_at = NOW(), resolved_by = ?
+     WHERE review_id = ? AND status = 'open'`,
+    [status, moderatorId, reviewId]
+  );
+  return result.affectedRows;
+};
+
+// Applies a moderator action inside the caller's transaction. Returns null when the review
+// is gone, { error } when the action doesn't fit its current state, otherwise the log entry.
+const moderateReview = async (connection, reviewId, moderatorId, action, reason) => {
+  const [rows] = await connection.execute(
+    'SELECT id, book_id, user_id, rating, comment, status FROM reviews WHERE id = ? FOR UPDATE',
+    [reviewId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  const review = rows[0];
+
+  if (action === 'hide' && review.status === 'hidden') {
+    return { error: 'Review is already hidden' };
+  }
+  if (action === 'restore' && review.status !== 'hidden') {
+    return { error: 'Only hidden reviews can be restored' };
+  }
+  if (action === 'approve' && review.status !== 'pending') {
+    return { error: 'Only pending reviews can be approved' };
+  }
+
+  // Any decision settles the open reports; removal deletes them with the review afterwards
+  const reportCount = await closeReports(connection, reviewId, action === 'dismiss' ? 'dismissed' : 'resolved', moderatorId);
+
+  switch (action) {
+    case 'hide':
+      await connection.execute(
+        "UPDATE reviews SET status = 'hidden', moderation_reason = ?, moderated_at = NOW() WHERE id = ?",
+        [reason, reviewId]
+      );
+      if (review.status === 'published') {
+        await applyRatingChange(connection, review.book_id, { removed: review.rating });
+      }
+      break;
+    case 'restore':
+    case 'approve':
+      await connection.execute(
+        "UPDATE reviews SET status = 'published', moderation_reason = NULL, moderated_at = NOW() WHERE id = ?",
+        [reviewId]
+      );
+      await applyRatingChange(connection, review.book_id, { added: review.rating });
+      break;
+    case 'remove':
+      await connection.execute('DELETE FROM reviews WHERE id = ?', [reviewId]);
+      if (review.status === 'published') {
+        await applyRatingChange(connection, review.book_id, { removed: review.rating });
+      }
+      break;
+    default: // dismiss: the reports were unfounded, the review stays as it is
+      break;
+  }
+
+  const logId = await logModerationAction(connection, review, moderatorId, action, reason, { reportCount });
+
+  return { logId, bookId: review.book_id, previousStatus: review.status };
+};
+
+// Reviews with open reports, most reported first
+const fetchModerationQueue = async (db, { limit, offset }) => {
+  const [rows] = await db.execute(
+    `SELECT r.id, r.book_id, r.user_id, r.rating, r.comment, r.status, r.created_at,
+            u.username, b.title as book_title,
+            COUNT(rep.id) as report_count,
+            MIN(rep.created_at) as first_reported_at,
+            MAX(rep.created_at) as last_reported_at
+     FROM review_reports rep
+     JOIN reviews r ON rep.review_id = r.id
+     JOIN users u ON r.user_id = u.id
+     JOIN books b ON r.book_id = b.id
+     WHERE rep.status = 'open'
+     GROUP BY r.id, r.book_id, r.user_id, r.rating, r.comment, r.status, r.created_at, u.username, b.title
+     ORDER BY report_count DESC, first_reported_at ASC, r.id ASC
+     LIMIT ? OFFSET ?`,
+    [limit, offset]
+  );
+
+  const [countResult] = await db.execute(
+    "SELECT COUNT(DISTINCT review_id) as total FROM review_reports WHERE status = 'open'"
+  );
+
+  if (rows.length === 0) {
+    return { items: [], total: countResult[0].total };
+  }
+
+  const [reports] = await db.query(
+    `SELECT rep.id, rep.review_id, rep.reason, rep.details, rep.created_at, u.id as reporter_id, u.username as reporter
+     FROM review_reports rep
+     JOIN users u ON rep.reporter_id = u.id
+     WHERE rep.status = 'open' AND rep.review_id IN (?)
+     ORDER BY rep.created_at ASC`,
+    [rows.map(row => row.id)]
+  );
+
+  const items = rows.map(row => {
+    const reviewReports = reports.filter(report => report.review_id === row.id);
+    return {
+      review: {
+        id: row.id,
+        book_id: row.book_id,
+        book_title: row.book_title,
+        user_id: row.user_id,
+        username: row.username,
+        rating: row.rating,
+        comment: row.comment,
+        status: row.status,
+        created_at: row.created_at.toISOString()
+      },
+      report_count: parseInt(row.report_count),
+      reasons: reviewReports.reduce((counts, report) => ({ ...counts, [report.reason]: (counts[report.reason] || 0) + 1 }), {}),
+      first_reported_at: row.first_reported_at.toISOString(),
+      last_reported_at: row.last_reported_at.toISOString(),
+      reports: reviewReports.map(report => ({
+        id: report.id,
+        reason: report.reason,
+        details: report.details,
+        reporter: { id: report.reporter_id, username: report.reporter },
+        created_at: report.created_at.toISOString()
+      }))
+    };
+  });
+
+  return { items, total: countResult[0].total };
+};
+
+// Reviews the content filter held back, oldest first so none wait too long
+const fetchPendingReviews = async (db, { limit, offset }) => {
+  const [rows] = await db.execute(
+    `SELECT r.id, r.book_id, r.user_id, r.rating, r.comment, r.status, r.moderation_reason,
+            r.moderated_at, r.created_at, u.username, b.title as book_title
+     FROM reviews r
+     JOIN users u ON r.user_id = u.id
+     JOIN books b ON r.book_id = b.id
+     WHERE r.status = 'pending'
+     ORDER BY r.moderated_at ASC, r.id ASC
+     LIMIT ? OFFSET ?`,
+    [limit, offset]
+  );
+
+  const [countResult] = await db.execute("SELECT COUNT(*) as total FROM reviews WHERE status = 'pending'");
+
+  const items = rows.map(row => ({
+    review: {
+      id: row.id,
+      book_id: row.book_id,
+      book_title: row.book_title,
+      user_id: row.user_id,
+      username: row.username,
+      rating: row.rating,
+      comment: row.comment,
+      status: row.status,
+      created_at: row.created_at.toISOString()
+    },
+    flagged_reason: row.moderation_reason,
+    flagged_at: row.moderated_at ? row.moderated_at.toISOString() : null
+  }));
+
+  return { items, total: countResult[0].total };
+};
+
+// Audit trail, newest first; narrowed to one review (reviewId) or one entry (logId)
+const fetchModerationLog = async (db, { reviewId = null, logId = null, limit = 50, offset = 0 }) => {
+  const filter = logId ? 'WHERE l.id = ?' : reviewId ? 'WHERE l.review_id = ?' : '';
+  const [rows] = await db.execute(
+    `SELECT l.*, m.username as moderator
+     FROM review_moderation_log l
+     LEFT JOIN users m ON l.moderator_id = m.id
+     ${filter}
+     ORDER BY l.created_at DESC, l.id DESC
+     LIMIT ? OFFSET ?`,
+    [...(filter ? [logId || reviewId] : []), limit, offset]
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    review_id: row.review_id,
+    book_id: row.book_id,
+    review_user_id: row.review_user_id,
+    action: row.action,
+    reason: row.reason,
+    report_count: row.report_count,
+    revision: row.revision,
+    moderator: row.moderator_id ? { id: row.moderator_id, username: row.moderator } : null,
+    review: { rating: row.review_rating, comment: row.review_comment },
+    created_at: row.created_at.toISOString()
+  }));
+};
+
+module.exports = {
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
+  MODERATION_QUEUES,
+  formatModeration,
+  logModerationAction,
+  flagReview,
+  moderateReview,
+  fetchModerationQueue,
+  fetchPendingReviews,
+  fetchModerationLog
+};
@@ -0,0 +1,125 @@
+// Keyset (cursor) pagination shared by the list endpoints.
+// A cursor is an opaque token holding the sort key values of the row to continue from.
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const toCursorValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const fromCursorValue = (column, value) => {
+  if (value === null || column.type !== 'date') {
+    return value;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// MySQL sorts NULLs first ascending and last descending
+const comesAfter = (column, value, ascending) => {
+  if (value === null) {
+    return ascending ? { sql: `${column.expr} IS NOT NULL`, params: [] } : { sql: '1 = 0', params: [] };
+  }
+  if (ascending) {
+    return { sql: `${column.expr} > ?`, params: [value] };
+  }
+  return column.nullable
+    ? { sql: `(${column.expr} < ? OR ${column.expr} IS NULL)`, params: [value] }
+    : { sql: `${column.expr} < ?`, params: [value] };
+};
+
+const equalTo = (column, value) => (value === null
+  ? { sql: `${column.expr} IS NULL`, params: [] }
+  : { sql: `${column.expr} = ?`, params: [value] });
+
+// Rows strictly after the cursor position in the current scan direction
+const buildCondition = (columns, values, backward) => {
+  const branches = columns.map((column, index) => {
+    const ascending = (column.order === 'ASC') !== backward;
+    return [
+      ...columns.slice(0, index).map((previous, i) => equalTo(previous, values[i])),
+      comesAfter(column, values[index], ascending)
+    ];
+  });
+
+  return {
+    sql: `(${branches.map(parts => `(${parts.map(part => part.sql).join(' AND ')})`).join(' OR ')})`,
+    params: branches.flatMap(parts => parts.flatMap(part => part.params))
+  };
+};
+
+const flip = (order) => (order === 'ASC' ? 'DESC' : 'ASC');
+
+// columns: [{ expr, key, order, type?, nullable? }] in ORDER BY order; the last one must be
+// unique (the row id) so the ordering is total. key is the row property holding the value.
+// Returns null when the cursor is malformed or was issued for a different sort.
+const createKeyset = (columns, cursor) => {
+  const sortKey = columns.map(column => `${column.key}:${column.order}`).join(',');
+  let values = null;
+  let backward = false;
+
+  if (cursor) {
+    const payload = decodeCursor(cursor);
+    if (!payload || payload.s !== sortKey || !['next', 'prev'].includes(payload.d) ||
+        !Array.isArray(payload.v) || payload.v.length !== columns.length) {
+      return null;
+    }
+    values = payload.v.map((value, index) => fromCursorValue(columns[index], value));
+    if (values.includes(undefined)) {
+      return null;
+    }
+    backward = payload.d === 'prev';
+  }
+
+  return {
+    columns,
+    sortKey,
+    values,
+    backward,
+    condition: values ? buildCondition(columns, values, backward) : null,
+    orderBy: columns.map(column => `${column.expr} ${backward ? flip(column.order) : column.order}`).join(', ')
+  };
+};
+
+// Takes the limit + 1 rows fetched with keyset.orderBy and returns the page in display
+// order plus the cursor pagination block
+const buildCursorPage = (rows, limit, keyset) => {
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  if (keyset.backward) {
+    pageRows.reverse();
+  }
+
+  const cursorFor = (row, direction) => encodeCursor({
+    s: keyset.sortKey,
+    d: direction,
+    v: keyset.columns.map(column => toCursorValue(row[column.key]))
+  });
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+  const nextCursor = last && (keyset.backward || hasMore) ? cursorFor(last, 'next') : null;
+  const prevCursor = first && (keyset.backward ? hasMore : keyset.values !== null) ? cursorFor(first, 'prev') : null;
+
+  return {
+    rows: pageRows,
+    pagination: {
+      limit,
+      nextCursor,
+      prevCursor,
+      hasNext: nextCursor !== null,
+      hasPrev: prevCursor !== null
+    }
+  };
+};
+
+module.exports = {
+  createKeyset,
+  buildCursorPage
+};
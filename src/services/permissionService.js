@@ -0,0 +1,61 @@
+const { getDB } = require('../config/database');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+// Loads the role -> permissions map; cached briefly so permission checks don't hit the DB
+const loadRolePermissions = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const db = getDB();
+  const [rows] = await db.execute(
+    `SELECT r.name as role, p.name as permission
+     FROM roles r
+     LEFT JOIN role_permissions rp ON r.id = rp.role_id
+     LEFT JOIN permissions p ON rp.permission_id = p.id`
+  );
+
+  const map = new Map();
+  rows.forEach(row => {
+    if (!map.has(row.role)) {
+      map.set(row.role, new Set());
+    }
+    if (row.permission) {
+      map.get(row.role).add(row.permission);
+    }
+  });
+
+  cache = map;
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+const invalidatePermissionCache = () => {
+  cache = null;
+};
+
+const getPermissionsForRole = async (role) => {
+  const map = await loadRolePermissions();
+  return map.has(role) ? [...map.get(role)] : [];
+};
+
+const roleExists = async (role) => {
+  const map = await loadRolePermissions();
+  return map.has(role);
+};
+
+const hasPermission = async (role, permission) => {
+  const map = await loadRolePermissions();
+  return Boolean(map.get(role)?.has(permission));
+};
+
+module.exports = {
+  getPermissionsForRole,
+  roleExists,
+  hasPermission,
+  invalidatePermissionCache
+};
@@ -0,0 +1,109 @@
+// Denormalised rating aggregates on books (rating_sum, rating_count, rating_1..rating_5).
+// Review writes adjust them in the same transaction; recomputeRatingAggregates repairs drift.
+
+const STARS = [1, 2, 3, 4, 5];
+
+const parseSetting = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// weighted_rating is a Bayesian average: the book's ratings plus PRIOR_WEIGHT virtual ratings
+// of PRIOR_MEAN, so a book with few ratings stays near the prior until reviews move it.
+// Changing either setting takes effect for every book after recomputeRatingAggregates.
+const PRIOR_MEAN = parseSetting(process.env.RATING_PRIOR_MEAN, 3.5);
+const PRIOR_WEIGHT = Math.max(parseSetting(process.env.RATING_PRIOR_WEIGHT, 10), 0);
+
+// SQL for the score from a sum and count expression; 0 for books with no ratings
+const weightedRatingSql = (sum, count) =>
+  `IF(${count} > 0, (${PRIOR_WEIGHT * PRIOR_MEAN} + ${sum}) / (${PRIOR_WEIGHT} + ${count}), 0)`;
+
+// Per-book aggregates recomputed from the reviews table; only published reviews count
+const AGGREGATE_SUBQUERY = `
+  SELECT book_id,
+         SUM(rating) as rating_sum,
+         COUNT(*) as rating_count,
+         ${STARS.map(star => `SUM(rating = ${star}) as rating_${star}`).join(',\n         ')}
+  FROM reviews
+  WHERE status = 'published'
+  GROUP BY book_id
+`;
+
+const AGGREGATE_COLUMNS = ['rating_sum', 'rating_count', ...STARS.map(star => `rating_${star}`)];
+
+// Moves one review's rating in or out of a book's aggregates. Pass added and/or removed
+// star values: added for a new review, removed for a deleted one, both for an edit.
+// Only published reviews are counted, so callers skip hidden and pending ones.
+const applyRatingChange = async (connection, bookId, { added = null, removed = null }) => {
+  const addedStar = added !== null ? parseInt(added) : null;
+  const removedStar = removed !== null ? parseInt(removed) : null;
+
+  if (addedStar === removedStar) {
+    return;
+  }
+
+  const count = (addedStar !== null ? 1 : 0) - (removedStar !== null ? 1 : 0);
+  const sum = (addedStar || 0) - (removedStar || 0);
+  const starDeltas = STARS.map(star => (star === addedStar ? 1 : 0) - (star === removedStar ? 1 : 0));
+
+  // A single-table UPDATE assigns left to right, so weighted_rating sees the new sum and count
+  await connection.execute(
+    `UPDATE books
+     SET rating_sum = rating_sum + ?,
+         rating_count = rating_count + ?,
+         ${STARS.map(star => `rating_${star} = rating_${star} + ?`).join(', ')},
+         weighted_rating = ${weightedRatingSql('rating_sum', 'rating_count')}
+     WHERE id = ?`,
+    [sum, count, ...starDeltas, bookId]
+  );
+};
+
+// Books whose stored aggregates disagree with their reviews
+const findRatingDrift = async (db) => {
+  const [rows] = await db.execute(
+    `SELECT b.id, b.title,
+            ${AGGREGATE_COLUMNS.map(column => `b.${column} as stored_${column}, COALESCE(agg.${column}, 0) as actual_${column}`).join(',\n            ')}
+     FROM books b
+     LEFT JOIN (${AGGREGATE_SUBQUERY}) agg ON agg.book_id = b.id
+     WHERE ${AGGREGATE_COLUMNS.map(column => `b.${column} != COALESCE(agg.${column}, 0)`).join(' OR ')}
+     ORDER BY b.id ASC`
+  );
+
+  return rows.map(row => ({
+    bookId: row.id,
+    title: row.title,
+    stored: AGGREGATE_COLUMNS.reduce((values, column) => ({ ...values, [column]: parseInt(row[`stored_${column}`]) }), {}),
+    actual: AGGREGATE_COLUMNS.reduce((values, column) => ({ ...values, [column]: parseInt(row[`actual_${column}`]) }), {})
+  }));
+};
+
+// Rewrites the aggregates from the reviews table, for all books or the given ids
+const recomputeRatingAggregates = async (db, bookIds = null) => {
+  if (bookIds && bookIds.length === 0) {
+    return { checked: 0, repaired: 0 };
+  }
+
+  const [result] = await db.query(
+    `UPDATE books b
+     LEFT JOIN (${AGGREGATE_SUBQUERY}) agg ON agg.book_id = b.id
+     SET ${AGGREGATE_COLUMNS.map(column => `b.${column} = COALESCE(agg.${column}, 0)`).join(', ')},
+         b.weighted_rating = ${weightedRatingSql('COALESCE(agg.rating_sum, 0)', 'COALESCE(agg.rating_count, 0)')}
+     ${bookIds ? 'WHERE b.id IN (?)' : ''}`,
+    bookIds ? [bookIds] : []
+  );
+
+  return { checked: result.affectedRows, repaired: result.changedRows };
+};
+
+const formatRatingDistribution = (book) => STARS.reduce((distribution, star) => ({
+  ...distribution,
+  [star]: parseInt(book[`rating_${star}`]) || 0
+}), {});
+
+module.exports = {
+  AGGREGATE_COLUMNS,
+  applyRatingChange,
+  findRatingDrift,
+  recomputeRatingAggregates,
+  formatRatingDistribution
+};
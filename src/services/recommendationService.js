@@ -0,0 +1,200 @@
+const { BOOK_COLUMNS, formatBook } = require('./bookService');
+const { findAuthorsForBooks } = require('./authorService');
+
+// A rating at or above this counts as "liked" (likes per book are read from rating_4 + rating_5)
+const LIKE_THRESHOLD = 4;
+// Most recent liked books used as seeds, to bound the co-occurrence query
+const MAX_SEED_BOOKS = 50;
+// Candidates need at least this many co-likes before item-item similarity is trusted
+const MIN_CO_LIKES = 2;
+// Favourite authors/genres tried by the content fallback
+const MAX_PREFERENCES = 5;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const fetchBooks = async (db, ids) => {
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const [rows] = await db.execute(
+    `SELECT ${BOOK_COLUMNS} FROM books b WHERE b.id IN (${placeholders(ids)})`,
+    ids
+  );
+  return new Map(rows.map(row => [row.id, row]));
+};
+
+// Item-item collaborative filtering: books liked by readers who liked the same books.
+// similarity(a, b) = co-likes / sqrt(likes(a) * likes(b)); a candidate's score sums its
+// similarity to each seed, weighted by how much the user liked that seed.
+const collaborativeCandidates = async (db, userId, seeds) => {
+  if (seeds.length === 0) {
+    return [];
+  }
+
+  const seedIds = seeds.map(seed => seed.book_id);
+  const [pairs] = await db.execute(
+    `SELECT r1.book_id as seed_id, r2.book_id as candidate_id, COUNT(*) as co_likes,
+            seed.rating_4 + seed.rating_5 as seed_likes,
+            candidate.rating_4 + candidate.rating_5 as candidate_likes
+     FROM reviews r1
+     JOIN reviews r2 ON r2.user_id = r1.user_id AND r2.book_id != r1.book_id
+     JOIN books seed ON seed.id = r1.book_id
+     JOIN books candidate ON candidate.id = r2.book_id
+     WHERE r1.book_id IN (${placeholders(seedIds)})
+       AND r1.user_id != ?
+       AND r1.rating >= ? AND r2.rating >= ?
+       AND r1.status = 'published' AND r2.status = 'published'
+       AND r2.book_id NOT IN (SELECT book_id FROM reviews WHERE user_id = ?)
+     GROUP BY r1.book_id, r2.book_id
+     HAVING co_likes >= ?`,
+    [...seedIds, userId, LIKE_THRESHOLD, LIKE_THRESHOLD, userId, MIN_CO_LIKES]
+  );
+
+  const seedWeights = new Map(seeds.map(seed => [seed.book_id, seed.rating - LIKE_THRESHOLD + 1]));
+  const candidates = new Map();
+
+  pairs.forEach(pair => {
+    const similarity = pair.co_likes / Math.sqrt(Math.max(pair.seed_likes, 1) * Math.max(pair.candidate_likes, 1));
+    const contribution = similarity * seedWeights.get(pair.seed_id);
+    const candidate = candidates.get(pair.candidate_id) || { bookId: pair.candidate_id, score: 0, topSeed: null, topContribution: 0 };
+
+    candidate.score += contribution;
+    if (contribution > candidate.topContribution) {
+      candidate.topSeed = pair.seed_id;
+      candidate.topContribution = contribution;
+    }
+    candidates.set(pair.candidate_id, candidate);
+  });
+
+  return [...candidates.values()].sort((a, b) => b.score - a.score);
+};
+
+// Content fallback: well-rated books by the user's favourite authors, then genres
+const contentCandidates = async (db, userId, excludeIds, limit) => {
+  const [preferences] = await db.execute(
+    `SELECT b.genre, r.rating, b.id, b.title
+     FROM reviews r
+     JOIN books b ON r.book_id = b.id
+     WHERE r.user_id = ? AND r.rating >= ?
+     ORDER BY r.rating DESC, r.created_at DESC
+     LIMIT ?`,
+    [userId, LIKE_THRESHOLD, MAX_SEED_BOOKS]
+  );
+
+  const results = [];
+  const seen = new Set(excludeIds);
+
+  // filter is a condition on b with one placeholder, for value
+  const addMatches = async (filter, value, liked, source, reason) => {
+    if (results.length >= limit) {
+      return;
+    }
+    const [rows] = await db.execute(
+      `SELECT b.id FROM books b
+       WHERE ${filter}
+         AND b.id NOT IN (SELECT book_id FROM reviews WHERE user_id = ?)
+       ORDER BY b.weighted_rating DESC, b.rating_count DESC
+       LIMIT ?`,
+      [value, userId, limit + seen.size]
+    );
+    rows.filter(row => !seen.has(row.id)).slice(0, limit - results.length).forEach(row => {
+      seen.add(row.id);
+      results.push({ bookId: row.id, source, reason, basedOn: { id: liked.id, title: liked.title } });
+    });
+  };
+
+  // The user's top-rated book for each linked author, so co-written books count for every author
+  const likedAuthors = await findAuthorsForBooks(db, preferences.map(liked => liked.id));
+  const authorSeeds = [];
+  preferences.forEach(liked => (likedAuthors[liked.id] || []).forEach(author => {
+    if (!authorSeeds.some(seed => seed.author.id === author.id)) {
+      authorSeeds.push({ liked, author });
+    }
+  }));
+
+  for (const { liked, author } of authorSeeds.slice(0, MAX_PREFERENCES)) {
+    await addMatches(
+      'b.id IN (SELECT book_id FROM book_authors WHERE author_id = ?)',
+      author.id,
+      liked,
+      'author',
+      `Because you liked "${liked.title}" by ${author.name}`
+    );
+  }
+
+  // The user's top-rated book for each distinct genre
+  const genreSeeds = preferences
+    .filter((row, index) => row.genre && preferences.findIndex(other => other.genre === row.genre) === index)
+    .slice(0, MAX_PREFERENCES);
+
+  for (const liked of genreSeeds) {
+    await addMatches('b.genre = ?', liked.genre, liked, 'genre', `Because you liked "${liked.title}" and other ${liked.genre} books`);
+  }
+
+  // Brand-new readers get the best-rated books overall
+  if (results.length < limit) {
+    const [rows] = await db.execute(
+      `SELECT b.id FROM books b
+       WHERE b.rating_count > 0
+         AND b.id NOT IN (SELECT book_id FROM reviews WHERE user_id = ?)
+       ORDER BY b.weighted_rating DESC, b.rating_count DESC
+       LIMIT ?`,
+      [userId, limit + seen.size]
+    );
+    rows.filter(row => !seen.has(row.id)).slice(0, limit - results.length).forEach(row => {
+      seen.add(row.id);
+      results.push({ bookId: row.id, source: 'popular', reason: 'Popular with readers', basedOn: null });
+    });
+  }
+
+  return results;
+};
+
+// Personalised recommendations, excluding books the user has already reviewed
+const getRecommendations = async (db, userId, limit) => {
+  const [seeds] = await db.execute(
+    `SELECT book_id, rating
+     FROM reviews
+     WHERE user_id = ? AND rating >= ?
+     ORDER BY created_at DESC
+     LIMIT ?`,
+    [userId, LIKE_THRESHOLD, MAX_SEED_BOOKS]
+  );
+
+  const collaborative = (await collaborativeCandidates(db, userId, seeds)).slice(0, limit);
+  const seedBooks = await fetchBooks(db, [...new Set(collaborative.map(candidate => candidate.topSeed))]);
+
+  const picks = collaborative.map(candidate => {
+    const seed = seedBooks.get(candidate.topSeed);
+    return {
+      bookId: candidate.bookId,
+      source: 'collaborative',
+      score: Math.round(candidate.score * 10000) / 10000,
+      reason: `Because you liked "${seed.title}"`,
+      basedOn: { id: seed.id, title: seed.title }
+    };
+  });
+
+  if (picks.length < limit) {
+    const fallback = await contentCandidates(db, userId, picks.map(pick => pick.bookId), limit - picks.length);
+    picks.push(...fallback.map(pick => ({ ...pick, score: null })));
+  }
+
+  const books = await fetchBooks(db, picks.map(pick => pick.bookId));
+
+  return picks
+    .filter(pick => books.has(pick.bookId))
+    .map(pick => ({
+      ...formatBook(books.get(pick.bookId)),
+      recommendation: {
+        source: pick.source,
+        score: pick.score,
+        reason: pick.reason,
+        basedOn: pick.basedOn
+      }
+    }));
+};
+
+module.exports = {
+  getRecommendations
+};
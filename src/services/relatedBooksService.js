@@ -0,0 +1,238 @@
+const { withTransaction } = require('../config/database');
+const { BOOK_COLUMNS, formatBook } = require('./bookService');
+
+// A configured 0 switches a signal off, so only a missing or invalid value uses the default
+const parseWeight = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Signal weights for related-book scoring; each signal is normalised to 0-1 first
+const WEIGHTS = {
+  author: parseWeight(process.env.RELATED_WEIGHT_AUTHOR, 3),
+  genre: parseWeight(process.env.RELATED_WEIGHT_GENRE, 1),
+  coreview: parseWeight(process.env.RELATED_WEIGHT_COREVIEW, 4),
+  text: parseWeight(process.env.RELATED_WEIGHT_TEXT, 2)
+};
+
+// Cached lists computed with other weights are treated as stale
+const WEIGHTS_KEY = Object.entries(WEIGHTS).map(([signal, weight]) => `${signal}=${weight}`).join(',');
+const CACHE_TTL_HOURS = parseInt(process.env.RELATED_CACHE_TTL_HOURS) || 24;
+const MAX_NEIGHBOURS = 30;
+const CANDIDATES_PER_SIGNAL = 50;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const isFresh = async (db, bookId) => {
+  const [rows] = await db.execute(
+    `SELECT 1 FROM book_neighbour_state
+     WHERE book_id = ? AND weights_key = ? AND computed_at > DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+    [bookId, WEIGHTS_KEY, CACHE_TTL_HOURS]
+  );
+  return rows.length > 0;
+};
+
+// Collects candidate books with each raw signal value
+const collectSignals = async (db, book) => {
+  const candidates = new Map();
+  const candidate = (id) => {
+    if (!candidates.has(id)) {
+      candidates.set(id, { id, author: 0, genre: 0, coreview: 0, text: 0 });
+    }
+    return candidates.get(id);
+  };
+
+  // Books sharing any linked author, so co-written books count for each author
+  const [sameAuthor] = await db.execute(
+    `SELECT DISTINCT b.id, b.weighted_rating
+     FROM book_authors ba
+     JOIN book_authors other ON other.author_id = ba.author_id AND other.book_id != ba.book_id
+     JOIN books b ON b.id = other.book_id
+     WHERE ba.book_id = ?
+     ORDER BY b.weighted_rating DESC
+     LIMIT ?`,
+    [book.id, CANDIDATES_PER_SIGNAL]
+  );
+  sameAuthor.forEach(row => { candidate(row.id).author = 1; });
+
+  if (book.genre_id) {
+    const [sameGenre] = await db.execute(
+      'SELECT id FROM books WHERE genre_id = ? AND id != ? ORDER BY weighted_rating DESC LIMIT ?',
+      [book.genre_id, book.id, CANDIDATES_PER_SIGNAL]
+    );
+    sameGenre.forEach(row => { candidate(row.id).genre = 1; });
+  }
+
+  // Shared tags also count toward the genre signal, as cosine similarity of the tag sets
+  const [sharedTags] = await db.execute(
+    `SELECT other.book_id as id, COUNT(*) as shared,
+            (SELECT COUNT(*) FROM book_tags bt WHERE bt.book_id = other.book_id) as tag_count
+     FROM book_tags bt
+     JOIN book_tags other ON other.tag_id = bt.tag_id AND other.book_id != bt.book_id
+     WHERE bt.book_id = ?
+     GROUP BY other.book_id
+     ORDER BY shared DESC
+     LIMIT ?`,
+    [book.id, CANDIDATES_PER_SIGNAL]
+  );
+  if (sharedTags.length > 0) {
+    const [ownTags] = await db.execute('SELECT COUNT(*) as tag_count FROM book_tags WHERE book_id = ?', [book.id]);
+    sharedTags.forEach(row => {
+      const similarity = row.shared / Math.sqrt(Math.max(ownTags[0].tag_count, 1) * Math.max(row.tag_count, 1));
+      candidate(row.id).genre = Math.max(candidate(row.id).genre, similarity);
+    });
+  }
+
+  // Shared reviewers, as cosine similarity of the two books' reviewer sets
+  const [coReviewed] = await db.execute(
+    `SELECT r2.book_id as id, COUNT(*) as shared, b.rating_count as reviewers
+     FROM reviews r1
+     JOIN reviews r2 ON r2.user_id = r1.user_id AND r2.book_id != r1.book_id
+     JOIN books b ON b.id = r2.book_id
+     WHERE r1.book_id = ? AND r1.status = 'published' AND r2.status = 'published'
+     GROUP BY r2.book_id
+     ORDER BY shared DESC
+     LIMIT ?`,
+    [book.id, CANDIDATES_PER_SIGNAL]
+  );
+  coReviewed.forEach(row => {
+    candidate(row.id).coreview = row.shared / Math.sqrt(Math.max(book.rating_count, 1) * Math.max(row.reviewers, 1));
+  });
+
+  // InnoDB natural-language relevance is a TF-IDF ranking over the description index
+  if (book.description) {
+    const [similarText] = await db.execute(
+      `SELECT id, MATCH(description) AGAINST (? IN NATURAL LANGUAGE MODE) as relevance
+       FROM books
+       WHERE id != ? AND MATCH(description) AGAINST (? IN NATURAL LANGUAGE MODE)
+       ORDER BY relevance DESC
+       LIMIT ?`,
+      [book.description, book.id, book.description, CANDIDATES_PER_SIGNAL]
+    );
+    const maxRelevance = similarText.length > 0 ? similarText[0].relevance : 0;
+    similarText.forEach(row => {
+      candidate(row.id).text = maxRelevance > 0 ? row.relevance / maxRelevance : 0;
+    });
+  }
+
+  return [...candidates.values()];
+};
+
+// Recomputes and stores one book's neighbour list
+const refreshNeighbours = async (db, bookId) => {
+  const [books] = await db.execute(
+    'SELECT id, genre_id, description, rating_count FROM books WHERE id = ?',
+    [bookId]
+  );
+  if (books.length === 0) {
+    return;
+  }
+
+  const neighbours = (await collectSignals(db, books[0]))
+    .map(signals => ({
+      ...signals,
+      score: Object.keys(WEIGHTS).reduce((score, signal) => score + WEIGHTS[signal] * signals[signal], 0)
+    }))
+    .filter(neighbour => neighbour.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_NEIGHBOURS);
+
+  await withTransaction(async (connection) => {
+    await connection.execute('DELETE FROM book_neighbours WHERE book_id = ?', [bookId]);
+
+    if (neighbours.length > 0) {
+      await connection.query(
+        `INSERT INTO book_neighbours
+           (book_id, neighbour_id, score, author_score, genre_score, coreview_score, text_score)
+         VALUES ?`,
+        [neighbours.map(n => [bookId, n.id, n.score, n.author, n.genre, n.coreview, n.text])]
+      );
+    }
+
+    await connection.execute(
+      `INSERT INTO book_neighbour_state (book_id, weights_key, computed_at) VALUES (?, ?, NOW())
+       ON DUPLICATE KEY UPDATE weights_key = VALUES(weights_key), computed_at = VALUES(computed_at)`,
+      [bookId, WEIGHTS_KEY]
+    );
+  });
+};
+
+// Related books from the cache, refreshing the book's list first when it is stale
+const findRelatedBooks = async (db, bookId, limit) => {
+  if (!(await isFresh(db, bookId))) {
+    await refreshNeighbours(db, bookId);
+  }
+
+  const [rows] = await db.execute(
+    `SELECT ${BOOK_COLUMNS}, n.score as related_score,
+            n.author_score, n.genre_score, n.coreview_score, n.text_score
+     FROM book_neighbours n
+     JOIN books b ON b.id = n.neighbour_id
+     WHERE n.book_id = ?
+     ORDER BY n.score DESC, b.weighted_rating DESC
+     LIMIT ?`,
+    [bookId, limit]
+  );
+
+  return rows.map(row => {
+    const { related_score, author_score, genre_score, coreview_score, text_score, ...book } = row;
+    return {
+      ...formatBook(book),
+      related: {
+        score: parseFloat(related_score),
+        signals: {
+          author: parseFloat(author_score),
+          genre: parseFloat(genre_score),
+          coreview: parseFloat(coreview_score),
+          text: parseFloat(text_score)
+        }
+      }
+    };
+  });
+};
+
+// Drops cached lists for these books and for every book that lists them as a neighbour
+const invalidateNeighbours = async (db, bookIds) => {
+  const ids = bookIds.filter(Boolean);
+  if (ids.length === 0) {
+    return;
+  }
+
+  await db.execute(
+    `DELETE FROM book_neighbour_state
+     WHERE book_id IN (${placeholders(ids)})
+        OR book_id IN (SELECT book_id FROM (
+             SELECT book_id FROM book_neighbours WHERE neighbour_id IN (${placeholders(ids)})
+           ) as listed)`,
+    [...ids, ...ids]
+  );
+};
+
+// A new or edited book may now belong in the lists of books sharing an author, its genre
+// or a tag. Call after the book's author links, genre and tags are saved.
+const invalidateSimilarBooks = async (db, bookId) => {
+  await db.execute(
+    `DELETE FROM book_neighbour_state
+     WHERE book_id IN (SELECT id FROM (
+       SELECT other.book_id as id
+       FROM book_authors ba JOIN book_authors other ON other.author_id = ba.author_id
+       WHERE ba.book_id = ?
+       UNION
+       SELECT other.id
+       FROM books b JOIN books other ON other.genre_id = b.genre_id
+       WHERE b.id = ?
+       UNION
+       SELECT other.book_id
+       FROM book_tags bt JOIN book_tags other ON other.tag_id = bt.tag_id
+       WHERE bt.book_id = ?
+     ) as similar)`,
+    [bookId, bookId, bookId]
+  );
+};
+
+module.exports = {
+  findRelatedBooks,
+  refreshNeighbours,
+  invalidateNeighbours,
+  invalidateSimilarBooks
+};
@@ -0,0 +1,117 @@
+// Threaded comments on reviews. Top-level comments have depth 1; replies are allowed
+// until REVIEW_COMMENT_MAX_DEPTH. A deleted comment stays as a tombstone only while it
+// has replies beneath it, so every tombstone in a thread holds a conversation together.
+
+const MAX_COMMENT_DEPTH = parseInt(process.env.REVIEW_COMMENT_MAX_DEPTH) || 3;
+const MAX_COMMENT_LENGTH = 2000;
+
+// Select-list fragment for review queries aliased as r
+const COMMENT_COUNT_COLUMN = `(
+  SELECT COUNT(*) FROM review_comments rc WHERE rc.review_id = r.id AND rc.deleted_at IS NULL
+) as comment_count`;
+
+const COMMENT_COLUMNS = `c.id, c.review_id, c.parent_id, c.user_id, c.depth, c.body,
+  c.created_at, c.updated_at, c.edited_at, c.deleted_at, u.username`;
+
+const formatComment = (row) => {
+  const deleted = row.deleted_at !== null;
+  return {
+    id: row.id,
+    review_id: row.review_id,
+    parent_id: row.parent_id,
+    depth: row.depth,
+    body: deleted ? null : row.body,
+    user: deleted || row.user_id === null ? null : { id: row.user_id, username: row.username },
+    deleted,
+    edited: row.edited_at !== null,
+    created_at: row.created_at.toISOString(),
+    updated_at: row.updated_at ? row.updated_at.toISOString() : row.created_at.toISOString(),
+    edited_at: row.edited_at ? row.edited_at.toISOString() : null,
+    replies: []
+  };
+};
+
+// Loads every reply beneath the given top-level comments and returns them as trees,
+// oldest reply first at each level
+const buildCommentThreads = async (db, topLevelRows) => {
+  const threads = topLevelRows.map(formatComment);
+  const byId = new Map(threads.map(comment => [comment.id, comment]));
+
+  let parentIds = threads.map(comment => comment.id);
+  while (parentIds.length > 0) {
+    const [rows] = await db.query(
+      `SELECT ${COMMENT_COLUMNS}
+       FROM review_comments c
+       LEFT JOIN users u ON c.user_id = u.id
+       WHERE c.parent_id IN (?)
+       ORDER BY c.created_at ASC, c.id ASC`,
+      [parentIds]
+    );
+
+    rows.forEach(row => {
+      const reply = formatComment(row);
+      byId.get(row.parent_id).replies.push(reply);
+      byId.set(reply.id, reply);
+    });
+    parentIds = rows.map(row => row.id);
+  }
+
+  return threads;
+};
+
+const findComment = async (db, commentId) => {
+  const [rows] = await db.execute(
+    `SELECT ${COMMENT_COLUMNS}
+     FROM review_comments c
+     LEFT JOIN users u ON c.user_id = u.id
+     WHERE c.id = ?`,
+    [commentId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Removes tombstones that no longer have replies; each pass can free the tombstone above
+const purgeEmptyTombstones = async (connection, reviewIds) => {
+  if (reviewIds.length === 0) {
+    return;
+  }
+
+  for (let pass = 0; pass < MAX_COMMENT_DEPTH; pass++) {
+    const [result] = await connection.query(
+      `DELETE c FROM review_comments c
+       LEFT JOIN review_comments child ON child.parent_id = c.id
+       WHERE c.review_id IN (?) AND c.deleted_at IS NOT NULL AND child.id IS NULL`,
+      [reviewIds]
+    );
+    if (result.affectedRows === 0) {
+      break;
+    }
+  }
+};
+
+// Soft-deletes the given comments (all of one user's when userId is passed instead)
+const tombstoneComments = async (connection, { commentIds = null, userId = null }, deletedBy) => {
+  const [rows] = commentIds
+    ? await connection.query('SELECT DISTINCT review_id FROM review_comments WHERE id IN (?)', [commentIds])
+    : await connection.execute('SELECT DISTINCT review_id FROM review_comments WHERE user_id = ?', [userId]);
+
+  await connection.query(
+    `UPDATE review_comments
+     SET body = NULL, deleted_at = COALESCE(deleted_at, NOW()), deleted_by = COALESCE(deleted_by, ?)
+     WHERE ${commentIds ? 'id IN (?)' : 'user_id = ?'}`,
+    [deletedBy, commentIds || userId]
+  );
+
+  await purgeEmptyTombstones(connection, rows.map(row => row.review_id));
+};
+
+module.exports = {
+  MAX_COMMENT_DEPTH,
+  MAX_COMMENT_LENGTH,
+  COMMENT_COUNT_COLUMN,
+  COMMENT_COLUMNS,
+  formatComment,
+  buildCommentThreads,
+  findComment,
+  tombstoneComments
+};
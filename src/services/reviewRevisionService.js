@@ -0,0 +1,114 @@
+// Review revision history. Before an edit overwrites a review, the version it replaces
+// is copied into review_revisions (revision 1 is the original), so the current version is
+// always revision_count + 1. Moderators can revert to any stored revision; the revert is
+// itself recorded as an edit.
+
+const { applyRatingChange } = require('./ratingService');
+const { fingerprintComment } = require('./contentFilterService');
+const { logModerationAction } = require('./moderationService');
+
+// Columns recordRevision needs from the locked review row
+const REVISION_COLUMNS = 'id, book_id, user_id, rating, comment, status, created_at, edited_at, revision_count';
+
+// Edit fields for review payloads
+const formatEditInfo = (review) => ({
+  edited: review.revision_count > 0,
+  revision_count: parseInt(review.revision_count) || 0,
+  edited_at: review.edited_at ? review.edited_at.toISOString() : null
+});
+
+// Copies the review's current version into the history. Call inside the edit's transaction,
+// with the row locked and before it is overwritten.
+const recordRevision = async (connection, review, editedBy) => {
+  await connection.execute(
+    `INSERT INTO review_revisions (review_id, revision, rating, comment, written_at, replaced_by, replaced_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [review.id, review.revision_count + 1, review.rating, review.comment, review.edited_at || review.created_at, editedBy]
+  );
+  await connection.execute(
+    'UPDATE reviews SET revision_count = revision_count + 1, edited_at = NOW() WHERE id = ?',
+    [review.id]
+  );
+};
+
+// Every version of a review, oldest first, ending with the current one
+const fetchRevisionHistory = async (db, review) => {
+  const [rows] = await db.execute(
+    `SELECT rv.revision, rv.rating, rv.comment, rv.written_at, rv.replaced_by, rv.replaced_at, u.username
+     FROM review_revisions rv
+     LEFT JOIN users u ON rv.replaced_by = u.id
+     WHERE rv.review_id = ?
+     ORDER BY rv.revision ASC`,
+    [review.id]
+  );
+
+  const revisions = rows.map(row => ({
+    revision: row.revision,
+    rating: row.rating,
+    comment: row.comment,
+    current: false,
+    written_at: row.written_at ? row.written_at.toISOString() : null,
+    replaced_at: row.replaced_at.toISOString(),
+    replaced_by: row.replaced_by ? { id: row.replaced_by, username: row.username } : null
+  }));
+
+  revisions.push({
+    revision: review.revision_count + 1,
+    rating: review.rating,
+    comment: review.comment,
+    current: true,
+    written_at: (review.edited_at || review.created_at).toISOString(),
+    replaced_at: null,
+    replaced_by: null
+  });
+
+  return revisions;
+};
+
+// Restores an earlier revision inside the caller's transaction. Returns null when the review
+// or revision is gone, { error } when the review already reads that way, otherwise the
+// moderation log entry. The rating aggregates only move for published reviews.
+const revertReview = async (connection, reviewId, revision, moderatorId, reason) => {
+  const [rows] = await connection.execute(
+    `SELECT ${REVISION_COLUMNS} FROM reviews WHERE id = ? FOR UPDATE`,
+    [reviewId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  const review = rows[0];
+
+  const [revisions] = await connection.execute(
+    'SELECT rating, comment FROM review_revisions WHERE review_id = ? AND revision = ?',
+    [reviewId, revision]
+  );
+  if (revisions.length === 0) {
+    return null;
+  }
+  const target = revisions[0];
+
+  if (target.rating === review.rating && target.comment === review.comment) {
+    return { error: `The review already matches revision ${revision}` };
+  }
+
+  await recordRevision(connection, review, moderatorId);
+  await connection.execute(
+    'UPDATE reviews SET rating = ?, comment = ?, comment_fingerprint = ?, updated_at = NOW() WHERE id = ?',
+    [target.rating, target.comment, fingerprintComment(target.comment), reviewId]
+  );
+  if (review.status === 'published') {
+    await applyRatingChange(connection, review.book_id, { added: target.rating, removed: review.rating });
+  }
+
+  const logId = await logModerationAction(connection, review, moderatorId, 'revert', reason, { revision });
+
+  return { logId, bookId: review.book_id };
+};
+
+module.exports = {
+  REVISION_COLUMNS,
+  formatEditInfo,
+  recordRevision,
+  fetchRevisionHistory,
+  revertReview
+};
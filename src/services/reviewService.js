@@ -0,0 +1,14 @@
+const REVIEW_SORTS = ['newest', 'oldest', 'helpful', 'rating_high', 'rating_low'];
+
+// Review columns for API payloads, for queries aliasing reviews as r. Internal columns such
+// as comment_fingerprint are left out; formatVotes, formatModeration and formatEditInfo
+// format the vote, moderation and edit columns.
+const REVIEW_COLUMNS = [
+  'id', 'book_id', 'user_id', 'rating', 'comment', 'status', 'moderation_reason', 'moderated_at',
+  'helpful_count', 'not_helpful_count', 'helpful_score', 'revision_count', 'edited_at', 'created_at', 'updated_at'
+].map(column => `r.${column}`).join(', ');
+
+module.exports = {
+  REVIEW_SORTS,
+  REVIEW_COLUMNS
+};
@@ -0,0 +1,106 @@
+// Helpful / not helpful votes on reviews. The counts on reviews change in the same
+// transaction as the vote; helpful_score is derived from them by the database.
+
+const voteDelta = (helpful, sign) => ({
+  helpful: helpful === true ? sign : 0,
+  notHelpful: helpful === false ? sign : 0
+});
+
+const adjustCounts = async (connection, reviewId, deltas) => {
+  const helpful = deltas.reduce((total, delta) => total + delta.helpful, 0);
+  const notHelpful = deltas.reduce((total, delta) => total + delta.notHelpful, 0);
+  if (helpful === 0 && notHelpful === 0) {
+    return;
+  }
+
+  await connection.execute(
+    `UPDATE reviews
+     SET helpful_count = helpful_count + ?, not_helpful_count = not_helpful_count + ?
+     WHERE id = ?`,
+    [helpful, notHelpful, reviewId]
+  );
+};
+
+// Records or changes a reader's vote. Returns the previous vote (true, false or null).
+const castVote = async (connection, reviewId, userId, helpful) => {
+  const [existing] = await connection.execute(
+    'SELECT helpful FROM review_votes WHERE review_id = ? AND user_id = ? FOR UPDATE',
+    [reviewId, userId]
+  );
+  const previous = existing.length > 0 ? Boolean(existing[0].helpful) : null;
+
+  await connection.execute(
+    `INSERT INTO review_votes (review_id, user_id, helpful, created_at, updated_at)
+     VALUES (?, ?, ?, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE helpful = VALUES(helpful), updated_at = NOW()`,
+    [reviewId, userId, helpful]
+  );
+  await adjustCounts(connection, reviewId, [voteDelta(helpful, 1), voteDelta(previous, -1)]);
+
+  return previous;
+};
+
+// Withdraws a reader's vote. Returns the vote removed, or null if there was none.
+const removeVote = async (connection, reviewId, userId) => {
+  const [existing] = await connection.execute(
+    'SELECT helpful FROM review_votes WHERE review_id = ? AND user_id = ? FOR UPDATE',
+    [reviewId, userId]
+  );
+  if (existing.length === 0) {
+    return null;
+  }
+
+  const previous = Boolean(existing[0].helpful);
+  await connection.execute('DELETE FROM review_votes WHERE review_id = ? AND user_id = ?', [reviewId, userId]);
+  await adjustCounts(connection, reviewId, [voteDelta(previous, -1)]);
+
+  return previous;
+};
+
+// Rewrites the counts from review_votes, e.g. after a voter's account is deleted
+const recomputeVoteCounts = async (connection, reviewIds) => {
+  if (reviewIds.length === 0) {
+    return;
+  }
+
+  await connection.query(
+    `UPDATE reviews r
+     LEFT JOIN (
+       SELECT review_id, SUM(helpful = 1) as helpful_count, SUM(helpful = 0) as not_helpful_count
+       FROM review_votes
+       WHERE review_id IN (?)
+       GROUP BY review_id
+     ) v ON v.review_id = r.id
+     SET r.helpful_count = COALESCE(v.helpful_count, 0),
+         r.not_helpful_count = COALESCE(v.not_helpful_count, 0)
+     WHERE r.id IN (?)`,
+    [reviewIds, reviewIds]
+  );
+};
+
+// The signed-in reader's votes on the given reviews: { [reviewId]: true | false }
+const findUserVotes = async (db, userId, reviewIds) => {
+  if (!userId || reviewIds.length === 0) {
+    return {};
+  }
+
+  const [rows] = await db.query(
+    'SELECT review_id, helpful FROM review_votes WHERE user_id = ? AND review_id IN (?)',
+    [userId, reviewIds]
+  );
+  return rows.reduce((votes, row) => ({ ...votes, [row.review_id]: Boolean(row.helpful) }), {});
+};
+
+const formatVotes = (review) => ({
+  helpful_count: parseInt(review.helpful_count) || 0,
+  not_helpful_count: parseInt(review.not_helpful_count) || 0,
+  helpful_score: parseFloat(review.helpful_score) || 0
+});
+
+module.exports = {
+  castVote,
+  removeVote,
+  recomputeVoteCounts,
+  findUserVotes,
+  formatVotes
+};
@@ -0,0 +1,200 @@
+// Full-text book search: builds the MATCH ... AGAINST SQL and highlights results
+
+const { parseIsbn } = require('../utils/isbn');
+
+// Relevance weights: a title hit outranks an author hit, which outranks a description hit
+const WEIGHTS = {
+  title: 3,
+  author: 2,
+  description: 1,
+  isbnExact: 10,
+  isbnPrefix: 5
+};
+
+// Matches InnoDB's innodb_ft_min_token_size; shorter words are never indexed
+const MIN_TOKEN_LENGTH = parseInt(process.env.FULLTEXT_MIN_TOKEN_SIZE) || 3;
+const MAX_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+
+const tokenize = (text) => text
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .slice(0, MAX_TERMS);
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Strips hyphens/spaces from an ISBN-like query; null when it can't be (part of) an ISBN.
+// A complete ISBN-10 becomes its ISBN-13, the form books store.
+const toIsbnDigits = (text) => {
+  const digits = text.replace(/[-\s]/g, '').toUpperCase();
+  if (!/^\d{4,12}[\dX]?$/.test(digits) || !/^[\d\s-]+X?$/i.test(text)) {
+    return null;
+  }
+  const parsed = digits.length === 10 ? parseIsbn(digits) : {};
+  return parsed.isbn13 || digits;
+};
+
+// Returns { where, whereParams, score, scoreParams, terms }, or null when q has nothing searchable.
+// Every word must match somewhere (prefix match); the score weights where each word matched.
+const buildTextSearch = (q) => {
+  const text = (q || '').trim();
+  const isbnDigits = toIsbnDigits(text);
+  // A hyphenated/spaced number is an ISBN, not words; a bare number may also be a title ("1984")
+  const terms = isbnDigits && /[-\s]/.test(text) ? [] : tokenize(text);
+  const indexedTerms = terms.filter(term => term.length >= MIN_TOKEN_LENGTH);
+
+  const conditions = [];
+  const whereParams = [];
+  const scoreParts = [];
+  const scoreParams = [];
+
+  if (indexedTerms.length > 0) {
+    const required = indexedTerms.map(term => `+${term}*`).join(' ');
+    const optional = indexedTerms.map(term => `${term}*`).join(' ');
+
+    conditions.push('MATCH(b.title, b.author, b.description) AGAINST (? IN BOOLEAN MODE)');
+    whereParams.push(required);
+
+    scoreParts.push(
+      `MATCH(b.title) AGAINST (? IN BOOLEAN MODE) * ${WEIGHTS.title}`,
+      `MATCH(b.author) AGAINST (? IN BOOLEAN MODE) * ${WEIGHTS.author}`,
+      `MATCH(b.description) AGAINST (? IN BOOLEAN MODE) * ${WEIGHTS.description}`
+    );
+    scoreParams.push(optional, optional, optional);
+  } else if (terms.length > 0) {
+    // Only short words: fall back to an index-friendly prefix match on title/author
+    const prefix = `${escapeLike(text)}%`;
+    conditions.push('(b.title LIKE ? OR b.author LIKE ?)');
+    whereParams.push(prefix, prefix);
+
+    scoreParts.push(
+      `IF(b.title LIKE ?, ${WEIGHTS.title}, 0)`,
+      `IF(b.author LIKE ?, ${WEIGHTS.author}, 0)`
+    );
+    scoreParams.push(prefix, prefix);
+  }
+
+  if (isbnDigits) {
+    conditions.push('b.isbn_digits LIKE ?');
+    whereParams.push(`${isbnDigits}%`);
+
+    scoreParts.push(`IF(b.isbn_digits = ?, ${WEIGHTS.isbnExact}, IF(b.isbn_digits LIKE ?, ${WEIGHTS.isbnPrefix}, 0))`);
+    scoreParams.push(isbnDigits, `${isbnDigits}%`);
+  }
+
+  if (conditions.length === 0) {
+    return null;
+  }
+
+  return {
+    where: `(${conditions.join(' OR ')})`,
+    whereParams,
+    score: `(${scoreParts.join(' + ')})`,
+    scoreParams,
+    terms
+  };
+};
+
+// Word-prefix match on a single FULLTEXT-indexed column, for typeahead.
+// Falls back to a leading-prefix LIKE when every word is too short for the index.
+const buildColumnPrefixMatch = (column, q) => {
+  const text = (q || '').trim();
+  const indexedTerms = tokenize(text).filter(term => term.length >= MIN_TOKEN_LENGTH);
+
+  if (indexedTerms.length > 0) {
+    return {
+      sql: `MATCH(${column}) AGAINST (? IN BOOLEAN MODE)`,
+      params: [indexedTerms.map(term => `+${term}*`).join(' ')]
+    };
+  }
+
+  return {
+    sql: `${column} LIKE ?`,
+    params: [`${escapeLike(text)}%`]
+  };
+};
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Ranges of words in text that start with one of the terms
+const findMatches = (text, terms) => {
+  if (!text || terms.length === 0) {
+    return [];
+  }
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`,
+    'giu'
+  );
+  return [...text.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]);
+};
+
+// HTML-escapes text and wraps matched words in <mark>
+const highlight = (text, terms) => {
+  if (!text) {
+    return text;
+  }
+
+  let result = '';
+  let cursor = 0;
+  findMatches(text, terms).forEach(([start, end]) => {
+    result += escapeHtml(text.slice(cursor, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  return result + escapeHtml(text.slice(cursor));
+};
+
+// Highlighted excerpt of long text centred on the first match
+const snippet = (text, terms, length = SNIPPET_LENGTH) => {
+  if (!text) {
+    return null;
+  }
+
+  const matches = findMatches(text, terms);
+  if (text.length <= length) {
+    return highlight(text, terms);
+  }
+
+  const center = matches.length > 0 ? matches[0][0] : 0;
+  let start = Math.max(0, center - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+  start = Math.max(0, end - length);
+
+  // Avoid cutting words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < center ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '…' : ''}${highlight(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+};
+
+const addSearchHighlights = (book, terms) => ({
+  ...book,
+  relevance: Math.round((parseFloat(book.relevance) || 0) * 10000) / 10000,
+  highlights: {
+    title: highlight(book.title, terms),
+    author: highlight(book.author, terms),
+    description: snippet(book.description, terms)
+  }
+});
+
+module.exports = {
+  tokenize,
+  buildTextSearch,
+  buildColumnPrefixMatch,
+  addSearchHighlights,
+  highlight,
+  escapeLike
+};
@@ -0,0 +1,114 @@
+const { tokenize, buildColumnPrefixMatch, highlight, escapeLike } = require('./searchService');
+
+const CACHE_TTL_MS = 30 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+
+// Typeahead requests repeat heavily across users, so keep recent answers in memory
+const cache = new Map();
+
+const getCached = (key) => {
+  const entry = cache.get(key);
+  if (!entry || Date.now() - entry.storedAt > CACHE_TTL_MS) {
+    cache.delete(key);
+    return null;
+  }
+  return entry.value;
+};
+
+const setCached = (key, value) => {
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, storedAt: Date.now() });
+};
+
+const findTitles = async (db, q, limit) => {
+  const match = buildColumnPrefixMatch('b.title', q);
+  const [rows] = await db.execute(
+    `SELECT b.id, b.title, b.author, b.rating_count as review_count
+     FROM books b
+     WHERE ${match.sql}
+     ORDER BY b.rating_count DESC, b.title ASC
+     LIMIT ?`,
+    [...match.params, limit]
+  );
+  return rows.map(row => ({
+    type: 'title',
+    text: row.title,
+    bookId: row.id,
+    author: row.author,
+    review_count: parseInt(row.review_count) || 0
+  }));
+};
+
+// Linked authors whose name has a word starting with the query, one per author
+const findAuthors = async (db, q, limit) => {
+  const prefix = escapeLike(q.trim());
+  const [rows] = await db.execute(
+    `SELECT a.id, a.name, a.slug, COUNT(*) as book_count, SUM(b.rating_count) as review_count
+     FROM authors a
+     JOIN book_authors ba ON ba.author_id = a.id
+     JOIN books b ON b.id = ba.book_id
+     WHERE a.name LIKE ? OR a.name LIKE ?
+     GROUP BY a.id
+     ORDER BY review_count DESC, a.name ASC
+     LIMIT ?`,
+    [`${prefix}%`, `% ${prefix}%`, limit]
+  );
+  return rows.map(row => ({
+    type: 'author',
+    text: row.name,
+    authorId: row.id,
+    slug: row.slug,
+    book_count: parseInt(row.book_count) || 0,
+    review_count: parseInt(row.review_count) || 0
+  }));
+};
+
+const findGenres = async (db, q, limit) => {
+  const prefix = escapeLike(q.trim());
+  const [rows] = await db.execute(
+    `SELECT b.genre, COUNT(*) as book_count, SUM(b.rating_count) as review_count
+     FROM books b
+     WHERE b.genre IS NOT NULL AND b.genre != ''
+       AND (b.genre LIKE ? OR b.genre LIKE ?)
+     GROUP BY b.genre
+     ORDER BY review_count DESC, b.genre ASC
+     LIMIT ?`,
+    [`${prefix}%`, `% ${prefix}%`, limit]
+  );
+  return rows.map(row => ({
+    type: 'genre',
+    text: row.genre,
+    book_count: parseInt(row.book_count) || 0,
+    review_count: parseInt(row.review_count) || 0
+  }));
+};
+
+// Mixed title/author/genre suggestions ranked by review count
+const getSuggestions = async (db, q, limit) => {
+  const key = `${q.trim().toLowerCase()}|${limit}`;
+  const cached = getCached(key);
+  if (cached) {
+    return cached;
+  }
+
+  const [titles, authors, genres] = await Promise.all([
+    findTitles(db, q, limit),
+    findAuthors(db, q, limit),
+    findGenres(db, q, limit)
+  ]);
+
+  const terms = tokenize(q);
+  const suggestions = [...titles, ...authors, ...genres]
+    .sort((a, b) => b.review_count - a.review_count || a.text.length - b.text.length)
+    .slice(0, limit)
+    .map(suggestion => ({ ...suggestion, highlighted: highlight(suggestion.text, terms) }));
+
+  setCached(key, suggestions);
+  return suggestions;
+};
+
+module.exports = {
+  getSuggestions
+};
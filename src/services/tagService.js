@@ -0,0 +1,83 @@
+// Free-form tags applied to books by readers and curators. Tags are shared across
+// books by slug, so "Time Travel" and "time-travel" are one tag.
+
+const { slugify } = require('../utils/slug');
+
+const MAX_TAGS_PER_REQUEST = 10;
+
+const normaliseTagName = (name) => String(name).replace(/\s+/g, ' ').trim();
+
+const tagSlug = (name) => slugify(name, 'tag');
+
+// Distinct tag names by slug, in the order given
+const uniqueTags = (names) => {
+  const seen = new Set();
+  return names
+    .map(normaliseTagName)
+    .filter(name => {
+      const slug = tagSlug(name);
+      if (!name || seen.has(slug)) {
+        return false;
+      }
+      seen.add(slug);
+      return true;
+    });
+};
+
+const findOrCreateTag = async (connection, name) => {
+  const [result] = await connection.execute(
+    `INSERT INTO tags (name, slug, created_at) VALUES (?, ?, NOW())
+     ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+    [name, tagSlug(name)]
+  );
+  return result.insertId;
+};
+
+// Links tags to a book; tags already on the book keep whoever applied them first
+const addBookTags = async (connection, bookId, names, userId) => {
+  for (const name of uniqueTags(names)) {
+    const tagId = await findOrCreateTag(connection, name);
+    await connection.execute(
+      'INSERT IGNORE INTO book_tags (book_id, tag_id, applied_by, created_at) VALUES (?, ?, ?, NOW())',
+      [bookId, tagId, userId]
+    );
+  }
+};
+
+// Tags on each book, as { [bookId]: [{ id, name, slug }] }
+const findTagsForBooks = async (db, bookIds) => {
+  if (bookIds.length === 0) {
+    return {};
+  }
+
+  const [rows] = await db.query(
+    `SELECT bt.book_id, t.id, t.name, t.slug
+     FROM book_tags bt
+     JOIN tags t ON t.id = bt.tag_id
+     WHERE bt.book_id IN (?)
+     ORDER BY t.name ASC`,
+    [bookIds]
+  );
+
+  return rows.reduce((tags, row) => {
+    (tags[row.book_id] = tags[row.book_id] || []).push({ id: row.id, name: row.name, slug: row.slug });
+    return tags;
+  }, {});
+};
+
+// WHERE condition for books carrying any of the given tags
+const buildTagFilter = (names) => {
+  const slugs = names.map(tagSlug);
+  return {
+    sql: `b.id IN (SELECT bt.book_id FROM book_tags bt JOIN tags t ON t.id = bt.tag_id
+                   WHERE t.slug IN (${slugs.map(() => '?').join(', ')}))`,
+    params: slugs
+  };
+};
+
+module.exports = {
+  MAX_TAGS_PER_REQUEST,
+  addBookTags,
+  findTagsForBooks,
+  buildTagFilter
+};
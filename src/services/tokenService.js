@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getDB, withTransaction } = require('../config/database');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'fallback_secret';
+
+// Opaque tokens (refresh, reset, verification) are only ever stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user.id,
+    username: user.username,
+    role: user.role,
+    sid: sessionId,
+    tv: user.token_version || 0
+  },
+  getJwtSecret(),
+  { expiresIn: ACCESS_TOKEN_EXPIRE }
+);
+
+const storeRefreshToken = async (db, userId, sessionId, meta = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const [result] = await db.execute(
+    `INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at, user_agent, ip_address)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?)`,
+    [
+      userId,
+      sessionId,
+      hashToken(token),
+      REFRESH_TOKEN_TTL_DAYS,
+      meta.userAgent ? meta.userAgent.substring(0, 255) : null,
+      meta.ip || null
+    ]
+  );
+  return { id: result.insertId, token };
+};
+
+const buildTokenResponse = (user, sessionId, refreshToken) => ({
+  token: signAccessToken(user, sessionId),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRE
+});
+
+// Starts a new session (refresh token family) for a freshly authenticated user
+const createSession = async (user, meta) => {
+  const db = getDB();
+  const sessionId = crypto.randomUUID();
+  const { token } = await storeRefreshToken(db, user.id, sessionId, meta);
+  return buildTokenResponse(user, sessionId, token);
+};
+
+// Exchanges a refresh token for a new pair. Returns null when the token is unusable.
+// Presenting an already-rotated token revokes its whole session, since it indicates theft.
+const rotateRefreshToken = async (refreshToken, meta) => {
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.execute(
+      `SELECT rt.id, rt.user_id, rt.session_id, rt.revoked_at, rt.expires_at < NOW() as expired,
+              u.username, u.role, u.token_version
+       FROM refresh_tokens rt
+       JOIN users u ON rt.user_id = u.id
+       WHERE rt.token_hash = ?
+       FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const current = rows[0];
+
+    if (current.revoked_at) {
+      await connection.execute(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE session_id = ? AND revoked_at IS NULL',
+        [current.session_id]
+      );
+      return null;
+    }
+
+    if (current.expired) {
+      return null;
+    }
+
+    const next = await storeRefreshToken(connection, current.user_id, current.session_id, meta);
+    await connection.execute(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ?',
+      [next.id, current.id]
+    );
+
+    const user = {
+      id: current.user_id,
+      username: current.username,
+      role: current.role,
+      token_version: current.token_version
+    };
+
+    return {
+      ...buildTokenResponse(user, current.session_id, next.token),
+      user
+    };
+  });
+};
+
+const findSessionByRefreshToken = async (refreshToken) => {
+  const db = getDB();
+  const [rows] = await db.execute(
+    'SELECT user_id, session_id FROM refresh_tokens WHERE token_hash = ?',
+    [hashToken(refreshToken)]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+const revokeSession = async (sessionId) => {
+  const db = getDB();
+  const [result] = await db.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE session_id = ? AND revoked_at IS NULL',
+    [sessionId]
+  );
+  return result.affectedRows;
+};
+
+// Revokes every refresh token and invalidates all outstanding access tokens for a user
+const revokeAllSessions = async (userId, connection = getDB()) => {
+  await connection.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  await connection.execute(
+    'UPDATE users SET token_version = token_version + 1 WHERE id = ?',
+    [userId]
+  );
+};
+
+module.exports = {
+  getJwtSecret,
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { getDB, withTransaction } = require('../config/database');
+const { hashToken } = require('./tokenService');
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 48 * 60
+};
+
+// Issues a single-use token; any earlier unused token for the same purpose stops working
+const createUserToken = async (userId, purpose) => {
+  const db = getDB();
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.execute(
+    'UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await db.execute(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [userId, purpose, hashToken(token), TOKEN_TTL_MINUTES[purpose]]
+  );
+
+  return { token, expiresInMinutes: TOKEN_TTL_MINUTES[purpose] };
+};
+
+// Marks the token used and runs callback(connection, userId) in the same transaction.
+// Returns null when the token is unknown, expired or already used.
+const consumeUserToken = async (token, purpose, callback) => {
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.execute(
+      `SELECT id, user_id
+       FROM user_tokens
+       WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token), purpose]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    await connection.execute('UPDATE user_tokens SET used_at = NOW() WHERE id = ?', [rows[0].id]);
+
+    if (callback) {
+      await callback(connection, rows[0].user_id);
+    }
+
+    return { userId: rows[0].user_id };
+  });
+};
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
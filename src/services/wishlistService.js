@@ -0,0 +1,6 @@
+// Reading-list shelves, in reading order
+const SHELVES = ['want_to_read', 'reading', 'finished'];
+
+module.exports = {
+  SHELVES
+};
@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, escaped quotes, embedded newlines)
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    // A quote only opens a quoted field at its start; elsewhere it is literal
+    if (char === '"' && field.length === 0) {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim().length > 0);
+};
+
+// Parses CSV with a header row into objects keyed by header name
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const keys = header.map(key => key.trim());
+  return rows.map(values => keys.reduce((record, key, index) => {
+    record[key] = values[index] !== undefined ? values[index] : '';
+    return record;
+  }, {}));
+};
+
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(escapeCsvField).join(',') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsvLine
+};
@@ -0,0 +1,74 @@
+// ISBN parsing and conversion. Books store the canonical form: the 13-digit ISBN with
+// no hyphens or spaces. ISBN-10s are converted (978 prefix, new check digit).
+
+const cleanIsbn = (value) => String(value || '').replace(/[-\s]/g, '').toUpperCase();
+
+// ISBN-10: weights 10..2, the check character makes the sum divisible by 11 (X = 10)
+const isbn10CheckDigit = (first9) => {
+  const sum = first9.split('').reduce((total, digit, index) => total + parseInt(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+// ISBN-13: alternating weights 1 and 3, the check digit makes the sum divisible by 10
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((total, digit, index) => total + parseInt(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Parses an ISBN-10 or ISBN-13 (hyphens and spaces allowed) and checks its check digit.
+// Returns { isbn13, isbn10 } (isbn10 is null outside the 978 prefix) or { error }.
+const parseIsbn = (value) => {
+  const isbn = cleanIsbn(value);
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    if (isbn10CheckDigit(isbn.substring(0, 9)) !== isbn[9]) {
+      return { error: 'Invalid ISBN-10 check digit' };
+    }
+    const first12 = `978${isbn.substring(0, 9)}`;
+    return { isbn13: first12 + isbn13CheckDigit(first12), isbn10: isbn };
+  }
+
+  if (/^\d{13}$/.test(isbn)) {
+    if (!/^97[89]/.test(isbn)) {
+      return { error: 'ISBN-13 must start with 978 or 979' };
+    }
+    if (isbn13CheckDigit(isbn.substring(0, 12)) !== isbn[12]) {
+      return { error: 'Invalid ISBN-13 check digit' };
+    }
+    return { isbn13: isbn, isbn10: toIsbn10(isbn) };
+  }
+
+  return { error: 'ISBN must have 10 or 13 digits' };
+};
+
+// The ISBN-10 for a 978-prefixed ISBN-13, or null
+const toIsbn10 = (isbn13) => {
+  const isbn = cleanIsbn(isbn13);
+  if (!/^978\d{10}$/.test(isbn)) {
+    return null;
+  }
+  const first9 = isbn.substring(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+};
+
+// The ISBN-13 for a 10 or 13 character ISBN, or null if it isn't one. Check digits
+// aren't verified, so stored values from before validation still compare.
+const toIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (/^\d{13}$/.test(isbn)) {
+    return isbn;
+  }
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const first12 = `978${isbn.substring(0, 9)}`;
+    return first12 + isbn13CheckDigit(first12);
+  }
+  return null;
+};
+
+module.exports = {
+  cleanIsbn,
+  parseIsbn,
+  toIsbn10,
+  toIsbn13
+};
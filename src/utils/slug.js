@@ -0,0 +1,37 @@
+// URL-safe identifiers for names: "Gabriel García Márquez" -> "gabriel-garcia-marquez"
+
+const crypto = require('crypto');
+
+const MAX_SLUG_LENGTH = 200;
+const NAME_HASH_LENGTH = 12;
+
+// Short hash of a name ignoring case, spacing and punctuation; empty when there is no name
+const hashName = (name) => {
+  const raw = String(name).normalize('NFKC').toLowerCase();
+  const key = raw.replace(/[^\p{L}\p{N}]+/gu, ' ').trim() || raw.trim();
+  return key ? crypto.createHash('sha256').update(key).digest('hex').substring(0, NAME_HASH_LENGTH) : '';
+};
+
+// Names with nothing to transliterate ("Лев Толстой", "村上春樹") get the fallback plus a
+// hash of the name, so different names never share a slug
+const slugify = (name, fallback = 'item') => {
+  const slug = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+  if (slug) {
+    return slug;
+  }
+
+  const hash = hashName(name);
+  return hash ? [fallback, hash].filter(Boolean).join('-') : fallback;
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  slugify
+};